@@ -166,7 +166,15 @@ SET ANSI_NULLS ON
 GO
 SET QUOTED_IDENTIFIER ON
 GO
-
+CREATE TABLE [dbo].[Customers](
+	[CustomerID] [int] IDENTITY(1,1) NOT NULL,
+	[FirstName] [varchar](100) NOT NULL,
+	[LastName] [varchar](100) NOT NULL,
+	[Email] [varchar](100) NOT NULL,
+	[Phone] [varchar](20) NULL,
+	[Password] [varchar](255) NULL,
+	[ShippingAddress] [varchar](255) NULL,
+	[BillingAddress] [varchar](255) NULL,
 PRIMARY KEY CLUSTERED 
 (
 	[CustomerID] ASC
@@ -244,18 +252,6 @@ GROUP BY b.Title
 ORDER BY TotalSold DESC;
 GO
 
-
-	CREATE TABLE [dbo].[Customers](
-	[CustomerID] [int] IDENTITY(1,1) NOT NULL,
-	[FirstName] [varchar](100) NOT NULL,
-	[LastName] [varchar](100) NOT NULL,
-	[Email] [varchar](100) NOT NULL,
-	[Phone] [varchar](20) NULL,
-	[Password] [varchar](255) NULL,
-	[ShippingAddress] [varchar](255) NULL,
-	[BillingAddress] [varchar](255) NULL,
-
-	
 /****** Object:  Table [dbo].[Payments]    Script Date: 6/1/2025 8:54:06 PM ******/
 SET ANSI_NULLS ON
 GO
@@ -0,0 +1,60 @@
+-- =====================================================
+-- 001: Normalize Books.Genre into a Genres table
+-- Apply after Sample_Queries.sql. MySQL.
+-- =====================================================
+
+USE BookStore;
+
+-- Genres Table
+CREATE TABLE Genres (
+    GenreID INT AUTO_INCREMENT PRIMARY KEY,
+    Name VARCHAR(100) NOT NULL UNIQUE
+);
+
+-- Seed from the distinct free-text values already on Books
+INSERT INTO Genres (Name)
+SELECT DISTINCT TRIM(Genre)
+FROM Books
+WHERE Genre IS NOT NULL AND TRIM(Genre) != '';
+
+ALTER TABLE Books ADD COLUMN GenreID INT NULL AFTER PublisherID;
+
+UPDATE Books b
+JOIN Genres g ON g.Name = TRIM(b.Genre)
+SET b.GenreID = g.GenreID;
+
+ALTER TABLE Books
+    ADD CONSTRAINT FK_Books_Genres FOREIGN KEY (GenreID) REFERENCES Genres(GenreID),
+    DROP COLUMN Genre;
+
+-- BookDetails: keep exposing the genre name
+DROP VIEW IF EXISTS BookDetails;
+CREATE VIEW BookDetails AS
+SELECT 
+    b.BookID, b.Title, a.Name AS AuthorName, p.Name AS PublisherName,
+    g.Name AS Genre, b.Price, b.Stock, b.Format, b.Language, b.PublicationDate
+FROM Books b
+JOIN Authors a ON b.AuthorID = a.AuthorID
+JOIN Publishers p ON b.PublisherID = p.PublisherID
+LEFT JOIN Genres g ON b.GenreID = g.GenreID;
+
+-- InsertBook now takes a GenreID
+DROP PROCEDURE IF EXISTS InsertBook;
+DELIMITER //
+CREATE PROCEDURE InsertBook(
+    IN p_Title VARCHAR(200),
+    IN p_AuthorID INT,
+    IN p_PublisherID INT,
+    IN p_GenreID INT,
+    IN p_Price DECIMAL(10,2),
+    IN p_Stock INT,
+    IN p_Format VARCHAR(50),
+    IN p_Language VARCHAR(50),
+    IN p_PublicationDate DATE,
+    IN p_ISBN VARCHAR(17)
+)
+BEGIN
+    INSERT INTO Books (Title, AuthorID, PublisherID, GenreID, Price, Stock, Format, Language, PublicationDate, ISBN)
+    VALUES (p_Title, p_AuthorID, p_PublisherID, p_GenreID, p_Price, p_Stock, p_Format, p_Language, p_PublicationDate, p_ISBN);
+END //
+DELIMITER ;
@@ -0,0 +1,33 @@
+-- =====================================================
+-- 002: Order status lifecycle and audit history
+-- Apply after 001_genres.sql. MySQL.
+-- =====================================================
+
+USE BookStore;
+
+-- Normalize any free-text statuses written before transitions were enforced
+UPDATE Orders
+SET Status = CASE LOWER(TRIM(Status))
+    WHEN 'processing' THEN 'Processing'
+    WHEN 'shipped' THEN 'Shipped'
+    WHEN 'completed' THEN 'Completed'
+    WHEN 'cancelled' THEN 'Cancelled'
+    ELSE 'Pending'
+END;
+
+ALTER TABLE Orders
+    MODIFY Status VARCHAR(50) NOT NULL DEFAULT 'Pending',
+    ADD CONSTRAINT CHK_Orders_Status CHECK (Status IN ('Pending', 'Processing', 'Shipped', 'Completed', 'Cancelled'));
+
+-- OrderLog: one row per lifecycle event, with who made the change
+ALTER TABLE OrderLog
+    ADD COLUMN EventType VARCHAR(30) NOT NULL DEFAULT 'Placed' AFTER OrderID,
+    ADD COLUMN FromStatus VARCHAR(50) NULL AFTER EventType,
+    ADD COLUMN ToStatus VARCHAR(50) NULL AFTER FromStatus,
+    ADD COLUMN ActorRole VARCHAR(20) NULL,
+    ADD COLUMN ActorID INT NULL,
+    ADD COLUMN ActorEmail VARCHAR(100) NULL,
+    ADD INDEX IX_OrderLog_Order (OrderID, LogDate);
+
+-- Existing rows were all written when an order was placed
+UPDATE OrderLog SET EventType = 'Placed', ToStatus = 'Pending' WHERE ToStatus IS NULL;
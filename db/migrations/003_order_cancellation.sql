@@ -0,0 +1,74 @@
+-- =====================================================
+-- 003: Order cancellation, restocking and refunds
+-- Apply after 002_order_status_history.sql. MySQL.
+-- =====================================================
+
+USE BookStore;
+
+-- Units of each line that were cancelled and returned to stock.
+-- Quantity keeps what was originally ordered.
+ALTER TABLE OrderDetails
+    ADD COLUMN CancelledQuantity INT NOT NULL DEFAULT 0,
+    ADD CONSTRAINT CHK_OrderDetails_Cancelled CHECK (CancelledQuantity >= 0 AND CancelledQuantity <= Quantity);
+
+-- Refunds are stored as positive amounts with PaymentType 'Refund'
+ALTER TABLE Payments
+    ADD COLUMN PaymentType VARCHAR(20) NOT NULL DEFAULT 'Payment',
+    ADD COLUMN Note VARCHAR(255) NULL,
+    ADD CONSTRAINT CHK_Payments_Type CHECK (PaymentType IN ('Payment', 'Refund'));
+
+-- OrderSummary: only count units that were not cancelled
+DROP VIEW IF EXISTS OrderSummary;
+CREATE VIEW OrderSummary AS
+SELECT
+    o.OrderID,
+    CONCAT(c.FirstName, ' ', c.LastName) AS CustomerName,
+    o.OrderDate,
+    SUM(b.Price * (od.Quantity - od.CancelledQuantity)) AS TotalAmount,
+    o.Status
+FROM Orders o
+JOIN Customers c ON o.CustomerID = c.CustomerID
+JOIN OrderDetails od ON o.OrderID = od.OrderID
+JOIN Books b ON od.BookID = b.BookID
+GROUP BY o.OrderID, c.FirstName, c.LastName, o.OrderDate, o.Status;
+
+-- TopSellingBooks: cancelled units are not sales
+DROP VIEW IF EXISTS TopSellingBooks;
+CREATE VIEW TopSellingBooks AS
+SELECT
+    b.Title, SUM(od.Quantity - od.CancelledQuantity) AS TotalSold
+FROM OrderDetails od
+JOIN Books b ON od.BookID = b.BookID
+GROUP BY b.Title
+ORDER BY TotalSold DESC
+LIMIT 5;
+
+-- CustomerOrders: one row per order with the amount paid net of refunds
+DROP VIEW IF EXISTS CustomerOrders;
+CREATE VIEW CustomerOrders AS
+SELECT
+    c.CustomerID,
+    c.FirstName,
+    c.LastName,
+    o.OrderID,
+    o.OrderDate,
+    o.Status,
+    p.PaymentMethod,
+    p.Amount
+FROM Customers c
+LEFT JOIN Orders o ON c.CustomerID = o.CustomerID
+LEFT JOIN (
+    SELECT OrderID,
+           MAX(CASE WHEN PaymentType = 'Payment' THEN PaymentMethod END) AS PaymentMethod,
+           SUM(CASE WHEN PaymentType = 'Refund' THEN -Amount ELSE Amount END) AS Amount
+    FROM Payments
+    GROUP BY OrderID
+) p ON o.OrderID = p.OrderID;
+
+-- Orders cancelled before this migration only had their status changed. Mark their
+-- lines as cancelled so they drop out of sales figures. Stock is left untouched,
+-- since it may already have been corrected by hand.
+UPDATE OrderDetails od
+JOIN Orders o ON od.OrderID = o.OrderID
+SET od.CancelledQuantity = od.Quantity
+WHERE o.Status = 'Cancelled';
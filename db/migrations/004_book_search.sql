@@ -0,0 +1,13 @@
+-- =====================================================
+-- 004: Full-text indexes for book search
+-- Apply after 003_order_cancellation.sql. MySQL.
+-- =====================================================
+
+USE BookStore;
+
+ALTER TABLE Books ADD FULLTEXT INDEX FT_Books_Title (Title);
+ALTER TABLE Authors ADD FULLTEXT INDEX FT_Authors_Name (Name);
+
+-- Range filters in the advanced search
+CREATE INDEX IX_Books_Price ON Books (Price);
+CREATE INDEX IX_Books_PublicationDate ON Books (PublicationDate);
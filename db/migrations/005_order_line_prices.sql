@@ -0,0 +1,96 @@
+-- =====================================================
+-- 005: Capture prices on order lines at sale time
+-- Apply after 004_book_search.sql. MySQL.
+-- =====================================================
+
+USE BookStore;
+
+-- UnitPrice is the catalog price when the order was placed, Discount an amount taken
+-- off the whole line and LineTotal = UnitPrice * Quantity - Discount. Later changes to
+-- Books.Price no longer alter past orders.
+ALTER TABLE OrderDetails
+    ADD COLUMN UnitPrice DECIMAL(10,2) NULL AFTER Quantity,
+    ADD COLUMN Discount DECIMAL(10,2) NOT NULL DEFAULT 0 AFTER UnitPrice,
+    ADD COLUMN LineTotal DECIMAL(10,2) NULL AFTER Discount;
+
+-- Backfill from what was actually paid. Each line gets its share of the order's
+-- original payment in proportion to the book's current price, so single-line orders
+-- get the exact unit price and multi-line orders add up to the payment (give or take
+-- rounding). Orders without a payment fall back to the current price.
+UPDATE OrderDetails od
+JOIN Books b ON od.BookID = b.BookID
+LEFT JOIN (
+    SELECT od2.OrderID, SUM(b2.Price * od2.Quantity) AS ListTotal, MAX(pay.Paid) AS Paid
+    FROM OrderDetails od2
+    JOIN Books b2 ON od2.BookID = b2.BookID
+    JOIN (
+        SELECT OrderID, SUM(Amount) AS Paid
+        FROM Payments
+        WHERE PaymentType = 'Payment'
+        GROUP BY OrderID
+    ) pay ON od2.OrderID = pay.OrderID
+    GROUP BY od2.OrderID
+) t ON od.OrderID = t.OrderID
+SET od.UnitPrice = ROUND(CASE WHEN t.ListTotal > 0 THEN b.Price * t.Paid / t.ListTotal ELSE b.Price END, 2);
+
+UPDATE OrderDetails SET LineTotal = ROUND(UnitPrice * Quantity - Discount, 2);
+
+ALTER TABLE OrderDetails
+    MODIFY UnitPrice DECIMAL(10,2) NOT NULL,
+    MODIFY LineTotal DECIMAL(10,2) NOT NULL,
+    ADD CONSTRAINT CHK_OrderDetails_Prices CHECK (UnitPrice >= 0 AND Discount >= 0 AND LineTotal >= 0);
+
+-- OrderSummary: value of the units still on the order at the captured prices
+DROP VIEW IF EXISTS OrderSummary;
+CREATE VIEW OrderSummary AS
+SELECT
+    o.OrderID,
+    CONCAT(c.FirstName, ' ', c.LastName) AS CustomerName,
+    o.OrderDate,
+    ROUND(SUM(od.LineTotal * (od.Quantity - od.CancelledQuantity) / od.Quantity), 2) AS TotalAmount,
+    o.Status
+FROM Orders o
+JOIN Customers c ON o.CustomerID = c.CustomerID
+JOIN OrderDetails od ON o.OrderID = od.OrderID
+GROUP BY o.OrderID, c.FirstName, c.LastName, o.OrderDate, o.Status;
+
+-- PlaceOrder: record the price the line was sold at
+DROP PROCEDURE IF EXISTS PlaceOrder;
+DELIMITER //
+CREATE PROCEDURE PlaceOrder(
+    IN p_CustomerID INT,
+    IN p_BookID INT,
+    IN p_Quantity INT,
+    IN p_PaymentMethod VARCHAR(50)
+)
+BEGIN
+    DECLARE v_OrderID INT;
+    DECLARE v_TotalAmount DECIMAL(10,2);
+    DECLARE v_BookPrice DECIMAL(10,2);
+
+    START TRANSACTION;
+
+    SELECT Price INTO v_BookPrice FROM Books WHERE BookID = p_BookID FOR UPDATE;
+    SET v_TotalAmount = v_BookPrice * p_Quantity;
+
+    INSERT INTO Orders (CustomerID) VALUES (p_CustomerID);
+    SET v_OrderID = LAST_INSERT_ID();
+
+    INSERT INTO OrderDetails (OrderID, BookID, Quantity, UnitPrice, Discount, LineTotal)
+    VALUES (v_OrderID, p_BookID, p_Quantity, v_BookPrice, 0, v_TotalAmount);
+
+    UPDATE Books
+    SET Stock = Stock - p_Quantity
+    WHERE BookID = p_BookID AND Stock >= p_Quantity;
+
+    INSERT INTO Payments (OrderID, PaymentMethod, Amount)
+    VALUES (v_OrderID, p_PaymentMethod, v_TotalAmount);
+
+    INSERT INTO OrderLog (OrderID, PaymentMethod)
+    VALUES (v_OrderID, p_PaymentMethod);
+
+    COMMIT;
+
+    SELECT v_OrderID AS OrderID, v_TotalAmount AS TotalAmount;
+END //
+DELIMITER ;
@@ -0,0 +1,65 @@
+-- =====================================================
+-- 006: Append-only stock movement ledger
+-- Apply after 005_order_line_prices.sql. MySQL.
+-- =====================================================
+
+USE BookStore;
+
+-- One row per change to Books.Stock. BookID has no foreign key on purpose: the ledger
+-- is kept when a book is deleted.
+CREATE TABLE StockMovements (
+    MovementID INT AUTO_INCREMENT PRIMARY KEY,
+    BookID INT NOT NULL,
+    Source VARCHAR(20) NOT NULL,
+    Delta INT NOT NULL,
+    ResultingStock INT NOT NULL,
+    Reason VARCHAR(255) NULL,
+    OrderID INT NULL,
+    ActorRole VARCHAR(20) NULL,
+    ActorID INT NULL,
+    ActorEmail VARCHAR(100) NULL,
+    CreatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT CHK_StockMovements_Source CHECK (Source IN ('Manual', 'Sale', 'Cancellation', 'Import')),
+    CONSTRAINT CHK_StockMovements_Resulting CHECK (ResultingStock >= 0),
+    INDEX IX_StockMovements_Book (BookID, CreatedAt)
+);
+
+DELIMITER //
+CREATE TRIGGER TR_StockMovements_NoUpdate BEFORE UPDATE ON StockMovements
+FOR EACH ROW
+BEGIN
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'StockMovements is append-only';
+END //
+
+CREATE TRIGGER TR_StockMovements_NoDelete BEFORE DELETE ON StockMovements
+FOR EACH ROW
+BEGIN
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'StockMovements is append-only';
+END //
+DELIMITER ;
+
+-- Start every existing book's history from its current level
+INSERT INTO StockMovements (BookID, Source, Delta, ResultingStock, Reason)
+SELECT BookID, 'Manual', Stock, Stock, 'Opening balance'
+FROM Books;
+
+-- UpdateBookStock: fail instead of silently leaving the stock unchanged
+DROP PROCEDURE IF EXISTS UpdateBookStock;
+DELIMITER //
+CREATE PROCEDURE UpdateBookStock(
+    IN p_BookID INT,
+    IN p_StockChange INT
+)
+BEGIN
+    DECLARE v_Stock INT;
+
+    SELECT Stock INTO v_Stock FROM Books WHERE BookID = p_BookID FOR UPDATE;
+    IF v_Stock IS NULL THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Book not found';
+    ELSEIF v_Stock + p_StockChange < 0 THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Insufficient stock';
+    END IF;
+
+    UPDATE Books SET Stock = Stock + p_StockChange WHERE BookID = p_BookID;
+END //
+DELIMITER ;
@@ -0,0 +1,57 @@
+-- =====================================================
+-- 007: Purchase orders and receiving from publishers
+-- Apply after 006_stock_movements.sql. MySQL.
+-- =====================================================
+
+USE BookStore;
+
+CREATE TABLE PurchaseOrders (
+    PurchaseOrderID INT AUTO_INCREMENT PRIMARY KEY,
+    PublisherID INT NOT NULL,
+    Status VARCHAR(20) NOT NULL DEFAULT 'Draft',
+    ExpectedDate DATE NULL,
+    Notes VARCHAR(255) NULL,
+    CreatedDate DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    SentDate DATETIME NULL,
+    ReceivedDate DATETIME NULL,
+    CreatedByEmail VARCHAR(100) NULL,
+    CONSTRAINT FK_PurchaseOrders_Publishers FOREIGN KEY (PublisherID) REFERENCES Publishers(PublisherID),
+    CONSTRAINT CHK_PurchaseOrders_Status CHECK (Status IN ('Draft', 'Sent', 'Partially Received', 'Received')),
+    INDEX IX_PurchaseOrders_Status (Status, CreatedDate)
+);
+
+-- UnitCost is the expected cost per copy agreed with the publisher
+CREATE TABLE PurchaseOrderLines (
+    PurchaseOrderLineID INT AUTO_INCREMENT PRIMARY KEY,
+    PurchaseOrderID INT NOT NULL,
+    BookID INT NOT NULL,
+    QuantityOrdered INT NOT NULL,
+    QuantityReceived INT NOT NULL DEFAULT 0,
+    UnitCost DECIMAL(10,2) NOT NULL,
+    CONSTRAINT FK_PurchaseOrderLines_Orders FOREIGN KEY (PurchaseOrderID) REFERENCES PurchaseOrders(PurchaseOrderID) ON DELETE CASCADE,
+    CONSTRAINT FK_PurchaseOrderLines_Books FOREIGN KEY (BookID) REFERENCES Books(BookID),
+    CONSTRAINT UQ_PurchaseOrderLines_Book UNIQUE (PurchaseOrderID, BookID),
+    CONSTRAINT CHK_PurchaseOrderLines_Quantities CHECK (QuantityOrdered > 0 AND QuantityReceived >= 0 AND QuantityReceived <= QuantityOrdered),
+    CONSTRAINT CHK_PurchaseOrderLines_Cost CHECK (UnitCost >= 0)
+);
+
+-- One row per line per delivery. ExtraCost is this line's share of the delivery's freight,
+-- duties and other charges; LandedUnitCost = (UnitCost * Quantity + ExtraCost) / Quantity.
+CREATE TABLE PurchaseOrderReceipts (
+    ReceiptID INT AUTO_INCREMENT PRIMARY KEY,
+    PurchaseOrderLineID INT NOT NULL,
+    Quantity INT NOT NULL,
+    UnitCost DECIMAL(10,2) NOT NULL,
+    ExtraCost DECIMAL(10,2) NOT NULL DEFAULT 0,
+    LandedUnitCost DECIMAL(10,4) NOT NULL,
+    ReceivedDate DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ReceivedByEmail VARCHAR(100) NULL,
+    CONSTRAINT FK_PurchaseOrderReceipts_Lines FOREIGN KEY (PurchaseOrderLineID) REFERENCES PurchaseOrderLines(PurchaseOrderLineID),
+    CONSTRAINT CHK_PurchaseOrderReceipts_Quantity CHECK (Quantity > 0)
+);
+
+-- Received stock is a new ledger source, linked back to its purchase order
+ALTER TABLE StockMovements
+    ADD COLUMN PurchaseOrderID INT NULL AFTER OrderID,
+    DROP CHECK CHK_StockMovements_Source,
+    ADD CONSTRAINT CHK_StockMovements_Source CHECK (Source IN ('Manual', 'Sale', 'Cancellation', 'Import', 'Receiving'));
@@ -0,0 +1,16 @@
+-- =====================================================
+-- 008: Per-book reorder point and reorder quantity
+-- Apply after 007_purchase_orders.sql. MySQL.
+-- =====================================================
+
+USE BookStore;
+
+-- NULL means "use the store default" (DEFAULT_REORDER_POINT on the server) for the
+-- point, and "top up from sales velocity" for the quantity.
+ALTER TABLE Books
+    ADD COLUMN ReorderPoint INT NULL AFTER Stock,
+    ADD COLUMN ReorderQty INT NULL AFTER ReorderPoint,
+    ADD CONSTRAINT CHK_Books_Reorder CHECK ((ReorderPoint IS NULL OR ReorderPoint >= 0) AND (ReorderQty IS NULL OR ReorderQty > 0));
+
+-- Sales velocity only reads recent orders
+CREATE INDEX IX_Orders_OrderDate ON Orders (OrderDate);
@@ -0,0 +1,23 @@
+-- =====================================================
+-- 009: Notifications table (replaces notifications.json)
+-- Apply after 008_reorder_points.sql. MySQL.
+-- =====================================================
+
+USE BookStore;
+
+-- NotificationID keeps the string ids already issued by the client and the old JSON file.
+-- Existing notifications.json contents can be loaded with scripts/import-notifications.js.
+CREATE TABLE Notifications (
+    NotificationID VARCHAR(64) PRIMARY KEY,
+    Headline VARCHAR(255) NOT NULL,
+    Message TEXT NOT NULL,
+    Type VARCHAR(20) NOT NULL DEFAULT 'info',
+    DetailsLink VARCHAR(255) NOT NULL DEFAULT '#',
+    IsRead BOOLEAN NOT NULL DEFAULT FALSE,
+    CreatedAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    ReadAt DATETIME(3) NULL,
+    CONSTRAINT CHK_Notifications_Type CHECK (Type IN ('info', 'success', 'warning', 'error')),
+    INDEX IX_Notifications_Read (IsRead, CreatedAt),
+    INDEX IX_Notifications_Created (CreatedAt),
+    INDEX IX_Notifications_Type (Type, CreatedAt)
+);
@@ -0,0 +1,12 @@
+-- =====================================================
+-- 011: Customer deactivation and anonymization
+-- Apply after 010_invoices.sql. MySQL.
+-- =====================================================
+
+USE BookStore;
+
+-- Inactive customers cannot sign in or place orders. AnonymizedDate is set once their
+-- personal details have been erased; their orders and payments are kept.
+ALTER TABLE Customers
+    ADD COLUMN IsActive BOOLEAN NOT NULL DEFAULT TRUE AFTER BillingAddress,
+    ADD COLUMN AnonymizedDate DATETIME NULL AFTER IsActive;
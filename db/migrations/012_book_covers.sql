@@ -0,0 +1,11 @@
+-- =====================================================
+-- 012: Uploaded book covers
+-- Apply after 011_customer_status.sql. MySQL.
+-- =====================================================
+
+USE BookStore;
+
+-- Base name of the uploaded cover's files in COVERS_DIR (see lib/covers.js). NULL means
+-- no upload: the cover comes from Open Library by ISBN, or is the placeholder.
+ALTER TABLE Books
+    ADD COLUMN CoverFile VARCHAR(100) NULL AFTER ISBN;
@@ -0,0 +1,13 @@
+-- =====================================================
+-- 013: Revocable sessions
+-- Apply after 012_book_covers.sql. MySQL.
+-- =====================================================
+
+USE BookStore;
+
+-- Signed into every session token. Bumping it ends all the account's sessions: the server
+-- does so on password changes and deactivation.
+ALTER TABLE Admins
+    ADD COLUMN SessionVersion INT NOT NULL DEFAULT 0;
+ALTER TABLE Customers
+    ADD COLUMN SessionVersion INT NOT NULL DEFAULT 0;
@@ -0,0 +1,13 @@
+-- =====================================================
+-- 014: The customer a notification is about
+-- Apply after 013_session_versions.sql. MySQL.
+-- =====================================================
+
+USE BookStore;
+
+-- Set on notifications that name a customer (registrations and new orders), so anonymizing
+-- the customer can delete them by key. Notifications raised before this migration have no
+-- CustomerID and are left alone.
+ALTER TABLE Notifications
+    ADD COLUMN CustomerID INT NULL,
+    ADD INDEX IX_Notifications_Customer (CustomerID);
@@ -0,0 +1,14 @@
+-- =====================================================
+-- 015: Sessions revoked by logout
+-- Apply after 014_notification_subjects.sql. MySQL.
+-- =====================================================
+
+USE BookStore;
+
+-- The token ids of signed-out sessions. A row is only needed until the token expires; the
+-- server deletes expired rows itself.
+CREATE TABLE RevokedSessions (
+    TokenID VARCHAR(32) PRIMARY KEY,
+    ExpiresAt DATETIME(3) NOT NULL,
+    INDEX IX_RevokedSessions_Expires (ExpiresAt)
+);
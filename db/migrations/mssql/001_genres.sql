@@ -0,0 +1,61 @@
+-- =====================================================
+-- 001: Normalize Books.Genre into a Genres table
+-- Apply after BookStore.sql. SQL Server.
+-- =====================================================
+
+USE B2;
+GO
+
+-- Genres Table
+CREATE TABLE Genres (
+    GenreID INT IDENTITY(1,1) PRIMARY KEY,
+    Name VARCHAR(100) NOT NULL UNIQUE
+);
+
+-- Seed from the distinct free-text values already on Books
+INSERT INTO Genres (Name)
+SELECT DISTINCT TRIM(Genre)
+FROM Books
+WHERE Genre IS NOT NULL AND TRIM(Genre) != '';
+
+ALTER TABLE Books ADD GenreID INT NULL;
+GO
+
+UPDATE b
+SET b.GenreID = g.GenreID
+FROM Books b
+JOIN Genres g ON g.Name = TRIM(b.Genre);
+
+ALTER TABLE Books ADD CONSTRAINT FK_Books_Genres FOREIGN KEY (GenreID) REFERENCES Genres(GenreID);
+ALTER TABLE Books DROP COLUMN Genre;
+GO
+
+-- BookDetails: keep exposing the genre name
+CREATE OR ALTER VIEW BookDetails AS
+SELECT 
+    b.BookID, b.Title, a.Name AS AuthorName, p.Name AS PublisherName,
+    g.Name AS Genre, b.Price, b.Stock, b.Format, b.Language, b.PublicationDate
+FROM Books b
+JOIN Authors a ON b.AuthorID = a.AuthorID
+JOIN Publishers p ON b.PublisherID = p.PublisherID
+LEFT JOIN Genres g ON b.GenreID = g.GenreID;
+GO
+
+-- InsertBook now takes a GenreID, in the same parameter order as the MySQL procedure
+CREATE OR ALTER PROCEDURE InsertBook
+    @Title VARCHAR(200),
+    @AuthorID INT,
+    @PublisherID INT,
+    @GenreID INT,
+    @Price DECIMAL(10,2),
+    @Stock INT,
+    @Format VARCHAR(50),
+    @Language VARCHAR(50),
+    @PublicationDate DATE,
+    @ISBN VARCHAR(17) = NULL
+AS
+BEGIN
+    INSERT INTO Books (Title, AuthorID, PublisherID, GenreID, Price, Stock, Format, Language, PublicationDate, ISBN)
+    VALUES (@Title, @AuthorID, @PublisherID, @GenreID, @Price, @Stock, @Format, @Language, @PublicationDate, @ISBN);
+END;
+GO
@@ -0,0 +1,37 @@
+-- =====================================================
+-- 002: Order status lifecycle and audit history
+-- Apply after 001_genres.sql. SQL Server.
+-- =====================================================
+
+USE B2;
+GO
+
+-- Normalize any free-text statuses written before transitions were enforced
+UPDATE Orders
+SET Status = CASE LOWER(TRIM(Status))
+    WHEN 'processing' THEN 'Processing'
+    WHEN 'shipped' THEN 'Shipped'
+    WHEN 'completed' THEN 'Completed'
+    WHEN 'cancelled' THEN 'Cancelled'
+    ELSE 'Pending'
+END;
+
+-- The 'Pending' default is already on the column (BookStore.sql)
+ALTER TABLE Orders ALTER COLUMN Status VARCHAR(50) NOT NULL;
+ALTER TABLE Orders ADD CONSTRAINT CHK_Orders_Status CHECK (Status IN ('Pending', 'Processing', 'Shipped', 'Completed', 'Cancelled'));
+
+-- OrderLog: one row per lifecycle event, with who made the change
+ALTER TABLE OrderLog ADD
+    EventType VARCHAR(30) NOT NULL CONSTRAINT DF_OrderLog_EventType DEFAULT 'Placed',
+    FromStatus VARCHAR(50) NULL,
+    ToStatus VARCHAR(50) NULL,
+    ActorRole VARCHAR(20) NULL,
+    ActorID INT NULL,
+    ActorEmail VARCHAR(100) NULL;
+
+CREATE INDEX IX_OrderLog_Order ON OrderLog (OrderID, LogDate);
+GO
+
+-- Existing rows were all written when an order was placed
+UPDATE OrderLog SET EventType = 'Placed', ToStatus = 'Pending' WHERE ToStatus IS NULL;
+GO
@@ -0,0 +1,26 @@
+-- =====================================================
+-- 004: Full-text indexes for book search
+-- Apply after 003_order_cancellation.sql. SQL Server, with the
+-- Full-Text Search feature installed.
+-- =====================================================
+
+USE B2;
+GO
+
+CREATE FULLTEXT CATALOG FT_BookStore AS DEFAULT;
+GO
+
+-- A full-text index needs a named single-column unique key; the primary keys
+-- from BookStore.sql have generated names.
+CREATE UNIQUE INDEX UX_Books_FullTextKey ON Books (BookID);
+CREATE UNIQUE INDEX UX_Authors_FullTextKey ON Authors (AuthorID);
+GO
+
+CREATE FULLTEXT INDEX ON Books (Title) KEY INDEX UX_Books_FullTextKey;
+CREATE FULLTEXT INDEX ON Authors (Name) KEY INDEX UX_Authors_FullTextKey;
+GO
+
+-- Range filters in the advanced search
+CREATE INDEX IX_Books_Price ON Books (Price);
+CREATE INDEX IX_Books_PublicationDate ON Books (PublicationDate);
+GO
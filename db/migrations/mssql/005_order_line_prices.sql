@@ -0,0 +1,109 @@
+-- =====================================================
+-- 005: Capture prices on order lines at sale time
+-- Apply after 004_book_search.sql. SQL Server.
+-- =====================================================
+
+USE B2;
+GO
+
+-- UnitPrice is the catalog price when the order was placed, Discount an amount taken
+-- off the whole line and LineTotal = UnitPrice * Quantity - Discount. Later changes to
+-- Books.Price no longer alter past orders.
+ALTER TABLE OrderDetails ADD
+    UnitPrice DECIMAL(10,2) NULL,
+    Discount DECIMAL(10,2) NOT NULL CONSTRAINT DF_OrderDetails_Discount DEFAULT 0,
+    LineTotal DECIMAL(10,2) NULL;
+GO
+
+-- Backfill from what was actually paid. Each line gets its share of the order's
+-- original payment in proportion to the book's current price, so single-line orders
+-- get the exact unit price and multi-line orders add up to the payment (give or take
+-- rounding). Orders without a payment fall back to the current price.
+UPDATE od
+SET od.UnitPrice = ROUND(CASE WHEN t.ListTotal > 0 THEN b.Price * t.Paid / t.ListTotal ELSE b.Price END, 2)
+FROM OrderDetails od
+JOIN Books b ON od.BookID = b.BookID
+LEFT JOIN (
+    SELECT od2.OrderID, SUM(b2.Price * od2.Quantity) AS ListTotal, MAX(pay.Paid) AS Paid
+    FROM OrderDetails od2
+    JOIN Books b2 ON od2.BookID = b2.BookID
+    JOIN (
+        SELECT OrderID, SUM(Amount) AS Paid
+        FROM Payments
+        WHERE PaymentType = 'Payment'
+        GROUP BY OrderID
+    ) pay ON od2.OrderID = pay.OrderID
+    GROUP BY od2.OrderID
+) t ON od.OrderID = t.OrderID;
+
+UPDATE OrderDetails SET LineTotal = ROUND(UnitPrice * Quantity - Discount, 2);
+GO
+
+ALTER TABLE OrderDetails ALTER COLUMN UnitPrice DECIMAL(10,2) NOT NULL;
+ALTER TABLE OrderDetails ALTER COLUMN LineTotal DECIMAL(10,2) NOT NULL;
+ALTER TABLE OrderDetails ADD CONSTRAINT CHK_OrderDetails_Prices CHECK (UnitPrice >= 0 AND Discount >= 0 AND LineTotal >= 0);
+GO
+
+-- OrderSummary: value of the units still on the order at the captured prices
+CREATE OR ALTER VIEW OrderSummary AS
+SELECT
+    o.OrderID,
+    CONCAT(c.FirstName, ' ', c.LastName) AS CustomerName,
+    o.OrderDate,
+    ROUND(SUM(od.LineTotal * (od.Quantity - od.CancelledQuantity) / od.Quantity), 2) AS TotalAmount,
+    o.Status
+FROM Orders o
+JOIN Customers c ON o.CustomerID = c.CustomerID
+JOIN OrderDetails od ON o.OrderID = od.OrderID
+GROUP BY o.OrderID, c.FirstName, c.LastName, o.OrderDate, o.Status;
+GO
+
+-- PlaceOrder: record the price each line was sold at. BookIDs and Quantities are
+-- paired by position, as before.
+CREATE OR ALTER PROCEDURE PlaceOrder
+    @CustomerID INT,
+    @BookIDs dbo.IntList READONLY,
+    @Quantities dbo.IntList READONLY,
+    @PaymentMethod VARCHAR(50)
+AS
+BEGIN
+    SET NOCOUNT ON;
+    SET XACT_ABORT ON;
+
+    DECLARE @OrderID INT;
+    DECLARE @TotalAmount DECIMAL(10,2);
+
+    BEGIN TRANSACTION;
+
+    INSERT INTO Orders (CustomerID) VALUES (@CustomerID);
+    SET @OrderID = SCOPE_IDENTITY();
+
+    INSERT INTO OrderDetails (OrderID, BookID, Quantity, UnitPrice, Discount, LineTotal)
+    SELECT @OrderID, b.BookID, q.Quantity, bk.Price, 0, bk.Price * q.Quantity
+    FROM (
+        SELECT ROW_NUMBER() OVER (ORDER BY (SELECT NULL)) AS RN, Value AS BookID FROM @BookIDs
+    ) b
+    JOIN (
+        SELECT ROW_NUMBER() OVER (ORDER BY (SELECT NULL)) AS RN, Value AS Quantity FROM @Quantities
+    ) q ON b.RN = q.RN
+    JOIN Books bk WITH (UPDLOCK) ON bk.BookID = b.BookID;
+
+    UPDATE bk
+    SET bk.Stock = bk.Stock - od.Quantity
+    FROM Books bk
+    JOIN OrderDetails od ON bk.BookID = od.BookID
+    WHERE od.OrderID = @OrderID AND bk.Stock >= od.Quantity;
+
+    SELECT @TotalAmount = SUM(LineTotal) FROM OrderDetails WHERE OrderID = @OrderID;
+
+    INSERT INTO Payments (OrderID, PaymentMethod, Amount)
+    VALUES (@OrderID, @PaymentMethod, @TotalAmount);
+
+    INSERT INTO OrderLog (OrderID, PaymentMethod)
+    VALUES (@OrderID, @PaymentMethod);
+
+    COMMIT;
+
+    SELECT @OrderID AS OrderID, @TotalAmount AS TotalAmount;
+END;
+GO
@@ -0,0 +1,70 @@
+-- =====================================================
+-- 006: Append-only stock movement ledger
+-- Apply after 005_order_line_prices.sql. SQL Server.
+-- =====================================================
+
+USE B2;
+GO
+
+-- One row per change to Books.Stock. BookID has no foreign key on purpose: the ledger
+-- is kept when a book is deleted.
+CREATE TABLE StockMovements (
+    MovementID INT IDENTITY(1,1) PRIMARY KEY,
+    BookID INT NOT NULL,
+    Source VARCHAR(20) NOT NULL,
+    Delta INT NOT NULL,
+    ResultingStock INT NOT NULL,
+    Reason VARCHAR(255) NULL,
+    OrderID INT NULL,
+    ActorRole VARCHAR(20) NULL,
+    ActorID INT NULL,
+    ActorEmail VARCHAR(100) NULL,
+    CreatedAt DATETIME2(0) NOT NULL DEFAULT SYSDATETIME(),
+    CONSTRAINT CHK_StockMovements_Source CHECK (Source IN ('Manual', 'Sale', 'Cancellation', 'Import')),
+    CONSTRAINT CHK_StockMovements_Resulting CHECK (ResultingStock >= 0)
+);
+
+CREATE INDEX IX_StockMovements_Book ON StockMovements (BookID, CreatedAt);
+GO
+
+CREATE TRIGGER TR_StockMovements_NoUpdate ON StockMovements
+INSTEAD OF UPDATE
+AS
+BEGIN
+    THROW 50000, 'StockMovements is append-only', 1;
+END;
+GO
+
+CREATE TRIGGER TR_StockMovements_NoDelete ON StockMovements
+INSTEAD OF DELETE
+AS
+BEGIN
+    THROW 50000, 'StockMovements is append-only', 1;
+END;
+GO
+
+-- Start every existing book's history from its current level
+INSERT INTO StockMovements (BookID, Source, Delta, ResultingStock, Reason)
+SELECT BookID, 'Manual', Stock, Stock, 'Opening balance'
+FROM Books;
+GO
+
+-- UpdateBookStock: fail instead of silently leaving the stock unchanged
+CREATE OR ALTER PROCEDURE UpdateBookStock
+    @BookID INT,
+    @StockChange INT
+AS
+BEGIN
+    SET XACT_ABORT ON;
+
+    DECLARE @Stock INT;
+
+    SELECT @Stock = Stock FROM Books WITH (UPDLOCK, ROWLOCK) WHERE BookID = @BookID;
+    IF @Stock IS NULL
+        THROW 50000, 'Book not found', 1;
+    IF @Stock + @StockChange < 0
+        THROW 50000, 'Insufficient stock', 1;
+
+    UPDATE Books SET Stock = Stock + @StockChange WHERE BookID = @BookID;
+END;
+GO
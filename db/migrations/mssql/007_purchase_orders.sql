@@ -0,0 +1,59 @@
+-- =====================================================
+-- 007: Purchase orders and receiving from publishers
+-- Apply after 006_stock_movements.sql. SQL Server.
+-- =====================================================
+
+USE B2;
+GO
+
+CREATE TABLE PurchaseOrders (
+    PurchaseOrderID INT IDENTITY(1,1) PRIMARY KEY,
+    PublisherID INT NOT NULL,
+    Status VARCHAR(20) NOT NULL DEFAULT 'Draft',
+    ExpectedDate DATE NULL,
+    Notes VARCHAR(255) NULL,
+    CreatedDate DATETIME2(0) NOT NULL DEFAULT SYSDATETIME(),
+    SentDate DATETIME2(0) NULL,
+    ReceivedDate DATETIME2(0) NULL,
+    CreatedByEmail VARCHAR(100) NULL,
+    CONSTRAINT FK_PurchaseOrders_Publishers FOREIGN KEY (PublisherID) REFERENCES Publishers(PublisherID),
+    CONSTRAINT CHK_PurchaseOrders_Status CHECK (Status IN ('Draft', 'Sent', 'Partially Received', 'Received'))
+);
+
+CREATE INDEX IX_PurchaseOrders_Status ON PurchaseOrders (Status, CreatedDate);
+
+-- UnitCost is the expected cost per copy agreed with the publisher
+CREATE TABLE PurchaseOrderLines (
+    PurchaseOrderLineID INT IDENTITY(1,1) PRIMARY KEY,
+    PurchaseOrderID INT NOT NULL,
+    BookID INT NOT NULL,
+    QuantityOrdered INT NOT NULL,
+    QuantityReceived INT NOT NULL DEFAULT 0,
+    UnitCost DECIMAL(10,2) NOT NULL,
+    CONSTRAINT FK_PurchaseOrderLines_Orders FOREIGN KEY (PurchaseOrderID) REFERENCES PurchaseOrders(PurchaseOrderID) ON DELETE CASCADE,
+    CONSTRAINT FK_PurchaseOrderLines_Books FOREIGN KEY (BookID) REFERENCES Books(BookID),
+    CONSTRAINT UQ_PurchaseOrderLines_Book UNIQUE (PurchaseOrderID, BookID),
+    CONSTRAINT CHK_PurchaseOrderLines_Quantities CHECK (QuantityOrdered > 0 AND QuantityReceived >= 0 AND QuantityReceived <= QuantityOrdered),
+    CONSTRAINT CHK_PurchaseOrderLines_Cost CHECK (UnitCost >= 0)
+);
+
+-- One row per line per delivery. ExtraCost is this line's share of the delivery's freight,
+-- duties and other charges; LandedUnitCost = (UnitCost * Quantity + ExtraCost) / Quantity.
+CREATE TABLE PurchaseOrderReceipts (
+    ReceiptID INT IDENTITY(1,1) PRIMARY KEY,
+    PurchaseOrderLineID INT NOT NULL,
+    Quantity INT NOT NULL,
+    UnitCost DECIMAL(10,2) NOT NULL,
+    ExtraCost DECIMAL(10,2) NOT NULL DEFAULT 0,
+    LandedUnitCost DECIMAL(10,4) NOT NULL,
+    ReceivedDate DATETIME2(0) NOT NULL DEFAULT SYSDATETIME(),
+    ReceivedByEmail VARCHAR(100) NULL,
+    CONSTRAINT FK_PurchaseOrderReceipts_Lines FOREIGN KEY (PurchaseOrderLineID) REFERENCES PurchaseOrderLines(PurchaseOrderLineID),
+    CONSTRAINT CHK_PurchaseOrderReceipts_Quantity CHECK (Quantity > 0)
+);
+
+-- Received stock is a new ledger source, linked back to its purchase order
+ALTER TABLE StockMovements ADD PurchaseOrderID INT NULL;
+ALTER TABLE StockMovements DROP CONSTRAINT CHK_StockMovements_Source;
+ALTER TABLE StockMovements ADD CONSTRAINT CHK_StockMovements_Source CHECK (Source IN ('Manual', 'Sale', 'Cancellation', 'Import', 'Receiving'));
+GO
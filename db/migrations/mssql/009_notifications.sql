@@ -0,0 +1,26 @@
+-- =====================================================
+-- 009: Notifications table (replaces notifications.json)
+-- Apply after 008_reorder_points.sql. SQL Server.
+-- =====================================================
+
+USE B2;
+GO
+
+-- NotificationID keeps the string ids already issued by the client and the old JSON file.
+-- Existing notifications.json contents can be loaded with scripts/import-notifications.js.
+CREATE TABLE Notifications (
+    NotificationID VARCHAR(64) PRIMARY KEY,
+    Headline VARCHAR(255) NOT NULL,
+    Message VARCHAR(MAX) NOT NULL,
+    Type VARCHAR(20) NOT NULL DEFAULT 'info',
+    DetailsLink VARCHAR(255) NOT NULL DEFAULT '#',
+    IsRead BIT NOT NULL DEFAULT 0,
+    CreatedAt DATETIME2(3) NOT NULL DEFAULT SYSDATETIME(),
+    ReadAt DATETIME2(3) NULL,
+    CONSTRAINT CHK_Notifications_Type CHECK (Type IN ('info', 'success', 'warning', 'error'))
+);
+
+CREATE INDEX IX_Notifications_Read ON Notifications (IsRead, CreatedAt);
+CREATE INDEX IX_Notifications_Created ON Notifications (CreatedAt);
+CREATE INDEX IX_Notifications_Type ON Notifications (Type, CreatedAt);
+GO
@@ -0,0 +1,31 @@
+-- =====================================================
+-- 010: Store settings and invoices
+-- Apply after 009_notifications.sql. SQL Server.
+-- =====================================================
+
+USE B2;
+GO
+
+-- A single row: the store details printed on invoices (previously kept in the browser)
+CREATE TABLE StoreSettings (
+    SettingsID INT PRIMARY KEY DEFAULT 1,
+    StoreName VARCHAR(100) NOT NULL,
+    StoreEmail VARCHAR(100) NOT NULL,
+    UpdatedDate DATETIME2(0) NOT NULL DEFAULT SYSDATETIME(),
+    CONSTRAINT CHK_StoreSettings_Single CHECK (SettingsID = 1)
+);
+
+INSERT INTO StoreSettings (SettingsID, StoreName, StoreEmail) VALUES (1, 'HHM Books', 'contact@hhmbooks.com');
+
+-- One invoice per order. InvoiceNumber is assigned by the server as the next number in
+-- sequence when the invoice is first issued, so there are no gaps.
+CREATE TABLE Invoices (
+    InvoiceNumber INT PRIMARY KEY,
+    OrderID INT NOT NULL,
+    IssuedDate DATETIME2(0) NOT NULL DEFAULT SYSDATETIME(),
+    IssuedByEmail VARCHAR(100) NULL,
+    CONSTRAINT FK_Invoices_Orders FOREIGN KEY (OrderID) REFERENCES Orders(OrderID),
+    CONSTRAINT UQ_Invoices_Order UNIQUE (OrderID),
+    CONSTRAINT CHK_Invoices_Number CHECK (InvoiceNumber > 0)
+);
+GO
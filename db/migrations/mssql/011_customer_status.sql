@@ -0,0 +1,14 @@
+-- =====================================================
+-- 011: Customer deactivation and anonymization
+-- Apply after 010_invoices.sql. SQL Server.
+-- =====================================================
+
+USE B2;
+GO
+
+-- Inactive customers cannot sign in or place orders. AnonymizedDate is set once their
+-- personal details have been erased; their orders and payments are kept.
+ALTER TABLE Customers ADD
+    IsActive BIT NOT NULL CONSTRAINT DF_Customers_IsActive DEFAULT 1,
+    AnonymizedDate DATETIME2(0) NULL;
+GO
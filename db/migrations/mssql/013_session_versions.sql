@@ -0,0 +1,15 @@
+-- =====================================================
+-- 013: Revocable sessions
+-- Apply after 012_book_covers.sql. SQL Server.
+-- =====================================================
+
+USE B2;
+GO
+
+-- Signed into every session token. Bumping it ends all the account's sessions: the server
+-- does so on password changes and deactivation.
+ALTER TABLE Admins ADD
+    SessionVersion INT NOT NULL CONSTRAINT DF_Admins_SessionVersion DEFAULT 0;
+ALTER TABLE Customers ADD
+    SessionVersion INT NOT NULL CONSTRAINT DF_Customers_SessionVersion DEFAULT 0;
+GO
@@ -0,0 +1,16 @@
+-- =====================================================
+-- 014: The customer a notification is about
+-- Apply after 013_session_versions.sql. SQL Server.
+-- =====================================================
+
+USE B2;
+GO
+
+-- Set on notifications that name a customer (registrations and new orders), so anonymizing
+-- the customer can delete them by key. Notifications raised before this migration have no
+-- CustomerID and are left alone.
+ALTER TABLE Notifications ADD CustomerID INT NULL;
+GO
+
+CREATE INDEX IX_Notifications_Customer ON Notifications (CustomerID);
+GO
@@ -0,0 +1,17 @@
+-- =====================================================
+-- 015: Sessions revoked by logout
+-- Apply after 014_notification_subjects.sql. SQL Server.
+-- =====================================================
+
+USE B2;
+GO
+
+-- The token ids of signed-out sessions. A row is only needed until the token expires; the
+-- server deletes expired rows itself.
+CREATE TABLE RevokedSessions (
+    TokenID VARCHAR(32) PRIMARY KEY,
+    ExpiresAt DATETIME2(3) NOT NULL
+);
+
+CREATE INDEX IX_RevokedSessions_Expires ON RevokedSessions (ExpiresAt);
+GO
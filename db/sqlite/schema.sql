@@ -0,0 +1,322 @@
+-- =====================================================
+-- BOOKSTORE DATABASE - SQLite Version
+-- The schema of db/Sample_Queries.sql with every file in db/migrations/ applied.
+-- lib/db/sqlite.js runs this on first start. The stored procedures are implemented
+-- in lib/db/sqliteProcedures.js.
+-- =====================================================
+
+-- Text columns that MySQL compares case-insensitively use COLLATE NOCASE. DATE columns
+-- hold 'YYYY-MM-DD' and DATETIME columns local 'YYYY-MM-DD HH:MM:SS.SSS' text.
+
+-- =====================================================
+-- TABLES
+-- =====================================================
+
+-- Authors Table
+CREATE TABLE Authors (
+    AuthorID INTEGER PRIMARY KEY AUTOINCREMENT,
+    Name VARCHAR(100) NOT NULL COLLATE NOCASE,
+    DOB DATE
+);
+
+-- Publishers Table
+CREATE TABLE Publishers (
+    PublisherID INTEGER PRIMARY KEY AUTOINCREMENT,
+    Name VARCHAR(100) NOT NULL COLLATE NOCASE,
+    Address VARCHAR(255),
+    Contact VARCHAR(100)
+);
+
+-- Genres Table
+CREATE TABLE Genres (
+    GenreID INTEGER PRIMARY KEY AUTOINCREMENT,
+    Name VARCHAR(100) NOT NULL UNIQUE COLLATE NOCASE
+);
+
+-- Books Table
+CREATE TABLE Books (
+    BookID INTEGER PRIMARY KEY AUTOINCREMENT,
+    Title VARCHAR(200) NOT NULL UNIQUE COLLATE NOCASE,
+    AuthorID INT NOT NULL REFERENCES Authors(AuthorID),
+    PublisherID INT NOT NULL REFERENCES Publishers(PublisherID),
+    GenreID INT NULL REFERENCES Genres(GenreID),
+    Price DECIMAL(10, 2) CHECK (Price >= 0),
+    Stock INT CHECK (Stock >= 0),
+    ReorderPoint INT NULL,
+    ReorderQty INT NULL,
+    Format VARCHAR(50) CHECK (Format IN ('eBook', 'Hardcover', 'Paperback')),
+    Language VARCHAR(50),
+    PublicationDate DATE,
+    ISBN VARCHAR(17),
+    CoverFile VARCHAR(100) NULL,
+    CONSTRAINT CHK_Books_Reorder CHECK ((ReorderPoint IS NULL OR ReorderPoint >= 0) AND (ReorderQty IS NULL OR ReorderQty > 0))
+);
+
+CREATE INDEX IX_Books_ISBN ON Books (ISBN);
+CREATE INDEX IX_Books_Price ON Books (Price);
+CREATE INDEX IX_Books_PublicationDate ON Books (PublicationDate);
+
+-- Customers Table
+CREATE TABLE Customers (
+    CustomerID INTEGER PRIMARY KEY AUTOINCREMENT,
+    FirstName VARCHAR(100) NOT NULL,
+    LastName VARCHAR(100) NOT NULL,
+    Email VARCHAR(100) NOT NULL UNIQUE COLLATE NOCASE,
+    Phone VARCHAR(20),
+    Password VARCHAR(255),
+    ShippingAddress VARCHAR(255),
+    BillingAddress VARCHAR(255),
+    IsActive BOOLEAN NOT NULL DEFAULT 1,
+    AnonymizedDate DATETIME NULL,
+    SessionVersion INT NOT NULL DEFAULT 0
+);
+
+-- Orders Table
+CREATE TABLE Orders (
+    OrderID INTEGER PRIMARY KEY AUTOINCREMENT,
+    CustomerID INT NOT NULL REFERENCES Customers(CustomerID),
+    OrderDate DATE DEFAULT (date('now', 'localtime')),
+    Status VARCHAR(50) NOT NULL DEFAULT 'Pending',
+    CONSTRAINT CHK_Orders_Status CHECK (Status IN ('Pending', 'Processing', 'Shipped', 'Completed', 'Cancelled'))
+);
+
+CREATE INDEX IX_Orders_OrderDate ON Orders (OrderDate);
+
+-- OrderDetails Table
+CREATE TABLE OrderDetails (
+    OrderDetailID INTEGER PRIMARY KEY AUTOINCREMENT,
+    OrderID INT NOT NULL REFERENCES Orders(OrderID),
+    BookID INT NOT NULL REFERENCES Books(BookID),
+    Quantity INT CHECK (Quantity > 0),
+    UnitPrice DECIMAL(10,2) NOT NULL,
+    Discount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    LineTotal DECIMAL(10,2) NOT NULL,
+    CancelledQuantity INT NOT NULL DEFAULT 0,
+    CONSTRAINT CHK_OrderDetails_Cancelled CHECK (CancelledQuantity >= 0 AND CancelledQuantity <= Quantity),
+    CONSTRAINT CHK_OrderDetails_Prices CHECK (UnitPrice >= 0 AND Discount >= 0 AND LineTotal >= 0)
+);
+
+-- Payments Table
+CREATE TABLE Payments (
+    PaymentID INTEGER PRIMARY KEY AUTOINCREMENT,
+    OrderID INT NOT NULL REFERENCES Orders(OrderID),
+    PaymentMethod VARCHAR(50) CHECK (PaymentMethod IN ('SadaPay', 'EasyPaisa', 'JazzCash', 'Card', 'Cash')),
+    PaymentDate DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+    Amount DECIMAL(10, 2) CHECK (Amount >= 0),
+    PaymentType VARCHAR(20) NOT NULL DEFAULT 'Payment',
+    Note VARCHAR(255) NULL,
+    CONSTRAINT CHK_Payments_Type CHECK (PaymentType IN ('Payment', 'Refund'))
+);
+
+-- Admins Table
+CREATE TABLE Admins (
+    AdminID INTEGER PRIMARY KEY AUTOINCREMENT,
+    Email VARCHAR(100) NOT NULL UNIQUE COLLATE NOCASE,
+    AdminPass VARCHAR(255) NOT NULL,
+    FirstName VARCHAR(50),
+    LastName VARCHAR(50),
+    IsActive BOOLEAN DEFAULT 1,
+    CreatedDate DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+    LastLoginDate DATETIME,
+    UpdatedDate DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+    SessionVersion INT NOT NULL DEFAULT 0
+);
+
+-- OrderLog Table: one row per lifecycle event, with who made the change
+CREATE TABLE OrderLog (
+    LogID INTEGER PRIMARY KEY AUTOINCREMENT,
+    OrderID INT REFERENCES Orders(OrderID),
+    EventType VARCHAR(30) NOT NULL DEFAULT 'Placed',
+    FromStatus VARCHAR(50) NULL,
+    ToStatus VARCHAR(50) NULL,
+    LogDate DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+    PaymentMethod VARCHAR(50),
+    ActorRole VARCHAR(20) NULL,
+    ActorID INT NULL,
+    ActorEmail VARCHAR(100) NULL
+);
+
+CREATE INDEX IX_OrderLog_Order ON OrderLog (OrderID, LogDate);
+
+-- StockMovements: one row per change to Books.Stock. BookID has no foreign key on
+-- purpose: the ledger is kept when a book is deleted.
+CREATE TABLE StockMovements (
+    MovementID INTEGER PRIMARY KEY AUTOINCREMENT,
+    BookID INT NOT NULL,
+    Source VARCHAR(20) NOT NULL,
+    Delta INT NOT NULL,
+    ResultingStock INT NOT NULL,
+    Reason VARCHAR(255) NULL,
+    OrderID INT NULL,
+    PurchaseOrderID INT NULL,
+    ActorRole VARCHAR(20) NULL,
+    ActorID INT NULL,
+    ActorEmail VARCHAR(100) NULL,
+    CreatedAt DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+    CONSTRAINT CHK_StockMovements_Source CHECK (Source IN ('Manual', 'Sale', 'Cancellation', 'Import', 'Receiving')),
+    CONSTRAINT CHK_StockMovements_Resulting CHECK (ResultingStock >= 0)
+);
+
+CREATE INDEX IX_StockMovements_Book ON StockMovements (BookID, CreatedAt);
+
+CREATE TRIGGER TR_StockMovements_NoUpdate BEFORE UPDATE ON StockMovements
+BEGIN
+    SELECT RAISE(ABORT, 'StockMovements is append-only');
+END;
+
+CREATE TRIGGER TR_StockMovements_NoDelete BEFORE DELETE ON StockMovements
+BEGIN
+    SELECT RAISE(ABORT, 'StockMovements is append-only');
+END;
+
+-- Purchase orders and receiving from publishers
+CREATE TABLE PurchaseOrders (
+    PurchaseOrderID INTEGER PRIMARY KEY AUTOINCREMENT,
+    PublisherID INT NOT NULL REFERENCES Publishers(PublisherID),
+    Status VARCHAR(20) NOT NULL DEFAULT 'Draft',
+    ExpectedDate DATE NULL,
+    Notes VARCHAR(255) NULL,
+    CreatedDate DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+    SentDate DATETIME NULL,
+    ReceivedDate DATETIME NULL,
+    CreatedByEmail VARCHAR(100) NULL,
+    CONSTRAINT CHK_PurchaseOrders_Status CHECK (Status IN ('Draft', 'Sent', 'Partially Received', 'Received'))
+);
+
+CREATE INDEX IX_PurchaseOrders_Status ON PurchaseOrders (Status, CreatedDate);
+
+-- UnitCost is the expected cost per copy agreed with the publisher
+CREATE TABLE PurchaseOrderLines (
+    PurchaseOrderLineID INTEGER PRIMARY KEY AUTOINCREMENT,
+    PurchaseOrderID INT NOT NULL REFERENCES PurchaseOrders(PurchaseOrderID) ON DELETE CASCADE,
+    BookID INT NOT NULL REFERENCES Books(BookID),
+    QuantityOrdered INT NOT NULL,
+    QuantityReceived INT NOT NULL DEFAULT 0,
+    UnitCost DECIMAL(10,2) NOT NULL,
+    CONSTRAINT UQ_PurchaseOrderLines_Book UNIQUE (PurchaseOrderID, BookID),
+    CONSTRAINT CHK_PurchaseOrderLines_Quantities CHECK (QuantityOrdered > 0 AND QuantityReceived >= 0 AND QuantityReceived <= QuantityOrdered),
+    CONSTRAINT CHK_PurchaseOrderLines_Cost CHECK (UnitCost >= 0)
+);
+
+-- One row per line per delivery
+CREATE TABLE PurchaseOrderReceipts (
+    ReceiptID INTEGER PRIMARY KEY AUTOINCREMENT,
+    PurchaseOrderLineID INT NOT NULL REFERENCES PurchaseOrderLines(PurchaseOrderLineID),
+    Quantity INT NOT NULL,
+    UnitCost DECIMAL(10,2) NOT NULL,
+    ExtraCost DECIMAL(10,2) NOT NULL DEFAULT 0,
+    LandedUnitCost DECIMAL(10,4) NOT NULL,
+    ReceivedDate DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+    ReceivedByEmail VARCHAR(100) NULL,
+    CONSTRAINT CHK_PurchaseOrderReceipts_Quantity CHECK (Quantity > 0)
+);
+
+-- Notifications
+CREATE TABLE Notifications (
+    NotificationID VARCHAR(64) PRIMARY KEY,
+    Headline VARCHAR(255) NOT NULL,
+    Message TEXT NOT NULL,
+    Type VARCHAR(20) NOT NULL DEFAULT 'info',
+    DetailsLink VARCHAR(255) NOT NULL DEFAULT '#',
+    IsRead BOOLEAN NOT NULL DEFAULT 0,
+    CreatedAt DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+    ReadAt DATETIME NULL,
+    CustomerID INT NULL,
+    CONSTRAINT CHK_Notifications_Type CHECK (Type IN ('info', 'success', 'warning', 'error'))
+);
+
+CREATE INDEX IX_Notifications_Read ON Notifications (IsRead, CreatedAt);
+CREATE INDEX IX_Notifications_Created ON Notifications (CreatedAt);
+CREATE INDEX IX_Notifications_Type ON Notifications (Type, CreatedAt);
+CREATE INDEX IX_Notifications_Customer ON Notifications (CustomerID);
+
+-- Store settings (a single row) and invoices
+CREATE TABLE StoreSettings (
+    SettingsID INT PRIMARY KEY DEFAULT 1,
+    StoreName VARCHAR(100) NOT NULL,
+    StoreEmail VARCHAR(100) NOT NULL,
+    UpdatedDate DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+    CONSTRAINT CHK_StoreSettings_Single CHECK (SettingsID = 1)
+);
+
+INSERT INTO StoreSettings (SettingsID, StoreName, StoreEmail) VALUES (1, 'HHM Books', 'contact@hhmbooks.com');
+
+CREATE TABLE Invoices (
+    InvoiceNumber INT PRIMARY KEY,
+    OrderID INT NOT NULL UNIQUE REFERENCES Orders(OrderID),
+    IssuedDate DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+    IssuedByEmail VARCHAR(100) NULL,
+    CONSTRAINT CHK_Invoices_Number CHECK (InvoiceNumber > 0)
+);
+
+-- Token ids of sessions ended by logout, until the tokens expire
+CREATE TABLE RevokedSessions (
+    TokenID VARCHAR(32) PRIMARY KEY,
+    ExpiresAt DATETIME NOT NULL
+);
+
+CREATE INDEX IX_RevokedSessions_Expires ON RevokedSessions (ExpiresAt);
+
+-- =====================================================
+-- VIEWS
+-- =====================================================
+
+-- 1. BookDetails: Full book info with author and publisher
+CREATE VIEW BookDetails AS
+SELECT 
+    b.BookID, b.Title, a.Name AS AuthorName, p.Name AS PublisherName,
+    g.Name AS Genre, b.Price, b.Stock, b.Format, b.Language, b.PublicationDate
+FROM Books b
+JOIN Authors a ON b.AuthorID = a.AuthorID
+JOIN Publishers p ON b.PublisherID = p.PublisherID
+LEFT JOIN Genres g ON b.GenreID = g.GenreID;
+
+-- 2. OrderSummary: value of the units still on the order at the captured prices
+CREATE VIEW OrderSummary AS
+SELECT
+    o.OrderID,
+    c.FirstName || ' ' || c.LastName AS CustomerName,
+    o.OrderDate,
+    ROUND(SUM(od.LineTotal * (od.Quantity - od.CancelledQuantity) / od.Quantity), 2) AS TotalAmount,
+    o.Status
+FROM Orders o
+JOIN Customers c ON o.CustomerID = c.CustomerID
+JOIN OrderDetails od ON o.OrderID = od.OrderID
+GROUP BY o.OrderID, c.FirstName, c.LastName, o.OrderDate, o.Status;
+
+-- 3. TopSellingBooks: cancelled units are not sales
+CREATE VIEW TopSellingBooks AS
+SELECT
+    b.Title, SUM(od.Quantity - od.CancelledQuantity) AS TotalSold
+FROM OrderDetails od
+JOIN Books b ON od.BookID = b.BookID
+GROUP BY b.Title
+ORDER BY TotalSold DESC
+LIMIT 5;
+
+-- 4. CustomerOrders: one row per order with the amount paid net of refunds
+CREATE VIEW CustomerOrders AS
+SELECT
+    c.CustomerID,
+    c.FirstName,
+    c.LastName,
+    o.OrderID,
+    o.OrderDate,
+    o.Status,
+    p.PaymentMethod,
+    p.Amount
+FROM Customers c
+LEFT JOIN Orders o ON c.CustomerID = o.CustomerID
+LEFT JOIN (
+    SELECT OrderID,
+           MAX(CASE WHEN PaymentType = 'Payment' THEN PaymentMethod END) AS PaymentMethod,
+           SUM(CASE WHEN PaymentType = 'Refund' THEN -Amount ELSE Amount END) AS Amount
+    FROM Payments
+    GROUP BY OrderID
+) p ON o.OrderID = p.OrderID;
+
+-- 5. BooksInStock: Books where stock > 0
+CREATE VIEW BooksInStock AS
+SELECT BookID, Title, Stock
+FROM Books
+WHERE Stock > 0;
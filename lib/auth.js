@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+const SESSION_COOKIE = 'hhm_session';
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 8) * 60 * 60 * 1000;
+
+let sessionSecret = null;
+
+function getSessionSecret() {
+    if (!sessionSecret) {
+        sessionSecret = process.env.SESSION_SECRET;
+        if (!sessionSecret) {
+            sessionSecret = crypto.randomBytes(32).toString('hex');
+            console.warn('SESSION_SECRET is not set. Using a random secret; sessions will not survive a restart.');
+        }
+    }
+    return sessionSecret;
+}
+
+// --- Passwords ---
+
+function isPasswordHash(value) {
+    return typeof value === 'string' && value.startsWith(`${HASH_PREFIX}$`);
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derived = await scrypt(password, salt, KEY_LENGTH);
+    return `${HASH_PREFIX}$${salt}$${derived.toString('hex')}`;
+}
+
+// Returns { valid, needsRehash }. Rows created before hashing was introduced still hold
+// plaintext; those are compared directly and flagged so the caller can upgrade them.
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string' || !stored) {
+        return { valid: false, needsRehash: false };
+    }
+
+    if (!isPasswordHash(stored)) {
+        const a = Buffer.from(password);
+        const b = Buffer.from(stored);
+        const valid = a.length === b.length && crypto.timingSafeEqual(a, b);
+        return { valid, needsRehash: valid };
+    }
+
+    const [, salt, hashHex] = stored.split('$');
+    if (!salt || !hashHex) return { valid: false, needsRehash: false };
+    const expected = Buffer.from(hashHex, 'hex');
+    const derived = await scrypt(password, salt, expected.length);
+    return { valid: crypto.timingSafeEqual(derived, expected), needsRehash: false };
+}
+
+// --- Session tokens ---
+
+function sign(payload) {
+    return crypto.createHmac('sha256', getSessionSecret()).update(payload).digest('base64url');
+}
+
+// version is the account's SessionVersion when the session starts, and jti a random id for
+// revoking just this token. The signature only proves the token was issued here; whether the
+// account still accepts it is the server's check.
+function createSessionToken({ userId, role, email, version = 0 }) {
+    const payload = Buffer.from(JSON.stringify({
+        sub: userId, role, email, ver: version, jti: crypto.randomBytes(16).toString('hex'), exp: Date.now() + SESSION_TTL_MS
+    })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+function readSessionToken(token) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+        if (!session.exp || session.exp < Date.now()) return null;
+        return {
+            userId: session.sub, role: session.role, email: session.email, version: session.ver || 0,
+            tokenId: session.jti || null, expiresAt: session.exp
+        };
+    } catch (err) {
+        return null;
+    }
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try { cookies[name] = decodeURIComponent(value); } catch (err) { cookies[name] = value; }
+    }
+    return cookies;
+}
+
+function setSessionCookie(res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_TTL_MS,
+        path: '/'
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// --- Middleware ---
+
+// Attaches req.session from the session cookie or an "Authorization: Bearer" header.
+function loadSession(req, res, next) {
+    let token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const authHeader = req.headers.authorization;
+    if (!token && authHeader && authHeader.startsWith('Bearer ')) {
+        token = authHeader.slice(7).trim();
+    }
+    req.session = readSessionToken(token);
+    next();
+}
+
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.session) return res.status(401).json({ error: 'Authentication required' });
+        if (!roles.includes(req.session.role)) {
+            return res.status(403).json({ error: 'You do not have permission to perform this action' });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    isPasswordHash,
+    hashPassword,
+    verifyPassword,
+    createSessionToken,
+    readSessionToken,
+    setSessionCookie,
+    clearSessionCookie,
+    loadSession,
+    requireRole
+};
@@ -0,0 +1,136 @@
+// Row normalization and validation for bulk imports. The rules mirror the Books, Authors
+// and Publishers column definitions and the InsertBook procedure.
+const { isValidDateString, normalizeIsbn } = require('./validation');
+
+const BOOK_FORMATS = ['eBook', 'Hardcover', 'Paperback'];
+
+// Header spellings accepted for each field, compared after lowercasing and
+// stripping spaces, dashes and underscores.
+const FIELD_ALIASES = {
+    books: {
+        title: ['title', 'booktitle'],
+        author: ['author', 'authorname'],
+        authorId: ['authorid'],
+        publisher: ['publisher', 'publishername'],
+        publisherId: ['publisherid'],
+        genre: ['genre'],
+        price: ['price'],
+        stock: ['stock', 'quantity', 'qty'],
+        format: ['format'],
+        language: ['language'],
+        publicationDate: ['publicationdate', 'published', 'pubdate'],
+        isbn: ['isbn', 'isbn13', 'isbn10']
+    },
+    authors: {
+        name: ['name', 'author', 'authorname'],
+        dob: ['dob', 'dateofbirth', 'birthdate']
+    },
+    publishers: {
+        name: ['name', 'publisher', 'publishername'],
+        address: ['address'],
+        contact: ['contact', 'phone', 'email']
+    }
+};
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[\s_-]/g, '');
+}
+
+// Maps a raw row (CSV or JSON) onto the entity's field names, trimming string values.
+function mapRow(entity, raw) {
+    const lookup = {};
+    for (const [field, aliases] of Object.entries(FIELD_ALIASES[entity])) {
+        aliases.forEach(alias => { lookup[alias] = field; });
+    }
+    const row = {};
+    for (const [key, value] of Object.entries(raw || {})) {
+        const field = lookup[normalizeHeader(key)];
+        if (!field || row[field] !== undefined) continue;
+        const trimmed = typeof value === 'string' ? value.trim() : value;
+        if (trimmed !== '' && trimmed !== null && trimmed !== undefined) row[field] = trimmed;
+    }
+    return row;
+}
+
+function checkLength(errors, row, field, max) {
+    if (row[field] !== undefined && String(row[field]).length > max) {
+        errors.push(`${field} must be at most ${max} characters`);
+    }
+}
+
+function validateBook(row) {
+    const errors = [];
+    if (!row.title) errors.push('title is required');
+    checkLength(errors, row, 'title', 200);
+
+    if (!row.author && row.authorId === undefined) errors.push('author or authorId is required');
+    if (row.authorId !== undefined && !Number.isInteger(Number(row.authorId))) errors.push('authorId must be an integer');
+    checkLength(errors, row, 'author', 100);
+
+    if (!row.publisher && row.publisherId === undefined) errors.push('publisher or publisherId is required');
+    if (row.publisherId !== undefined && !Number.isInteger(Number(row.publisherId))) errors.push('publisherId must be an integer');
+    checkLength(errors, row, 'publisher', 100);
+
+    checkLength(errors, row, 'genre', 100);
+    checkLength(errors, row, 'language', 50);
+    const isbn = row.isbn !== undefined ? normalizeIsbn(row.isbn) : undefined;
+    if (isbn === null) errors.push('isbn must be a valid ISBN-10 or ISBN-13');
+
+    const price = Number(row.price);
+    if (row.price === undefined) errors.push('price is required');
+    else if (!Number.isFinite(price) || price < 0 || price >= 1e8) errors.push('price must be a number of at least 0');
+
+    const stock = Number(row.stock);
+    if (row.stock === undefined) errors.push('stock is required');
+    else if (!Number.isInteger(stock) || stock < 0) errors.push('stock must be a whole number of at least 0');
+
+    const format = BOOK_FORMATS.find(f => f.toLowerCase() === String(row.format || '').toLowerCase());
+    if (!row.format) errors.push('format is required');
+    else if (!format) errors.push(`format must be one of ${BOOK_FORMATS.join(', ')}`);
+
+    if (!row.publicationDate) errors.push('publicationDate is required');
+    else if (!isValidDateString(String(row.publicationDate))) errors.push('publicationDate must be a date in YYYY-MM-DD format');
+
+    return {
+        errors,
+        value: errors.length > 0 ? null : {
+            ...row,
+            authorId: row.authorId !== undefined ? Number(row.authorId) : undefined,
+            publisherId: row.publisherId !== undefined ? Number(row.publisherId) : undefined,
+            price: Math.round(price * 100) / 100,
+            stock,
+            format,
+            isbn
+        }
+    };
+}
+
+function validateAuthor(row) {
+    const errors = [];
+    if (!row.name) errors.push('name is required');
+    checkLength(errors, row, 'name', 100);
+    if (row.dob !== undefined && !isValidDateString(String(row.dob))) errors.push('dob must be a date in YYYY-MM-DD format');
+    return { errors, value: errors.length > 0 ? null : row };
+}
+
+function validatePublisher(row) {
+    const errors = [];
+    if (!row.name) errors.push('name is required');
+    checkLength(errors, row, 'name', 100);
+    checkLength(errors, row, 'address', 255);
+    checkLength(errors, row, 'contact', 100);
+    return { errors, value: errors.length > 0 ? null : row };
+}
+
+const VALIDATORS = { books: validateBook, authors: validateAuthor, publishers: validatePublisher };
+
+// Returns { value, errors } for one raw row of the given entity.
+function validateImportRow(entity, raw) {
+    return VALIDATORS[entity](mapRow(entity, raw));
+}
+
+module.exports = {
+    BOOK_FORMATS,
+    IMPORT_ENTITIES: Object.keys(VALIDATORS),
+    validateImportRow
+};
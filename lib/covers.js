@@ -0,0 +1,98 @@
+// Book covers uploaded through the API, kept on local disk and served by the app itself.
+// Every upload is decoded and re-encoded as two JPEGs, so whatever was sent never reaches
+// a browser as-is: the cover (fits in 400x600) and a thumbnail (cropped to 120x180). Each
+// upload gets new file names, which lets the files be cached forever.
+// Books without an uploaded cover can fall back to Open Library by ISBN, and otherwise
+// get the placeholder in public/img.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const COVER_URL_PATH = '/covers';
+const PLACEHOLDER_COVER = '/img/no-cover.svg';
+// sharp's names for the formats accepted as uploads
+const COVER_FORMATS = ['jpeg', 'png', 'webp'];
+// Larger images are refused before they are decoded
+const MAX_COVER_PIXELS = 40 * 1000 * 1000;
+const RENDITIONS = {
+    cover: { suffix: '', resize: { width: 400, height: 600, fit: 'inside', withoutEnlargement: true }, quality: 85 },
+    thumbnail: { suffix: '-thumb', resize: { width: 120, height: 180, fit: 'cover' }, quality: 80 }
+};
+
+// The upload is not an image we accept. status is the HTTP status to answer with.
+class CoverImageError extends Error {
+    constructor(message, status = 415) {
+        super(message);
+        this.name = 'CoverImageError';
+        this.status = status;
+    }
+}
+
+const fileName = (coverFile, rendition) => `${coverFile}${RENDITIONS[rendition].suffix}.jpg`;
+
+// dir: where the files go. remoteFallback: use Open Library for books with an ISBN but no
+// uploaded cover.
+function createCoverStore({ dir, remoteFallback = true }) {
+    const remoteUrl = isbn => `https://covers.openlibrary.org/b/isbn/${encodeURIComponent(isbn)}-M.jpg`;
+
+    // { cover, thumbnail } URLs for a Books row with CoverFile and ISBN
+    function urls({ CoverFile, ISBN }) {
+        if (CoverFile) {
+            return {
+                cover: `${COVER_URL_PATH}/${fileName(CoverFile, 'cover')}`,
+                thumbnail: `${COVER_URL_PATH}/${fileName(CoverFile, 'thumbnail')}`
+            };
+        }
+        const fallback = remoteFallback && ISBN ? remoteUrl(ISBN) : PLACEHOLDER_COVER;
+        return { cover: fallback, thumbnail: fallback };
+    }
+
+    // Writes both renditions of the image for the book and returns the new CoverFile.
+    // Rejects with CoverImageError if the data is not a JPEG, PNG or WebP image.
+    async function save(bookId, data) {
+        let metadata;
+        try {
+            metadata = await sharp(data, { limitInputPixels: false }).metadata();
+        } catch {
+            throw new CoverImageError('The file is not an image. Upload a JPEG, PNG or WebP cover.');
+        }
+        if (!COVER_FORMATS.includes(metadata.format)) {
+            throw new CoverImageError(`${String(metadata.format).toUpperCase()} images are not accepted. Upload a JPEG, PNG or WebP cover.`);
+        }
+        if (metadata.width * metadata.height > MAX_COVER_PIXELS) {
+            throw new CoverImageError(`The image is ${metadata.width}x${metadata.height} pixels; covers can have at most ${MAX_COVER_PIXELS / 1e6} megapixels.`, 413);
+        }
+
+        const coverFile = `book-${bookId}-${crypto.randomBytes(6).toString('hex')}`;
+        await fs.mkdir(dir, { recursive: true });
+        try {
+            for (const [rendition, { resize, quality }] of Object.entries(RENDITIONS)) {
+                // rotate() applies the EXIF orientation, which the JPEG output drops
+                await sharp(data, { limitInputPixels: MAX_COVER_PIXELS })
+                    .rotate()
+                    .resize(resize)
+                    .flatten({ background: '#ffffff' })
+                    .jpeg({ quality, mozjpeg: true })
+                    .toFile(path.join(dir, fileName(coverFile, rendition)));
+            }
+        } catch (err) {
+            await remove(coverFile);
+            // File system errors carry a code; sharp's decoding errors don't
+            if (err.code) throw err;
+            throw new CoverImageError('The image could not be read. It may be damaged.', 400);
+        }
+        return coverFile;
+    }
+
+    // Deletes the files of a CoverFile; missing files are ignored
+    async function remove(coverFile) {
+        if (!coverFile) return;
+        await Promise.all(Object.keys(RENDITIONS).map(rendition =>
+            fs.rm(path.join(dir, fileName(coverFile, rendition)), { force: true })));
+    }
+
+    return { dir, urls, save, remove };
+}
+
+module.exports = { COVER_URL_PATH, CoverImageError, createCoverStore };
@@ -0,0 +1,68 @@
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and CRLF/LF line endings,
+// and the matching writer for exports.
+
+function parseCsvRecords(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) throw new Error('Unterminated quoted field');
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    return records;
+}
+
+// Returns one object per data row, keyed by the header row. Blank lines are skipped.
+function parseCsv(text) {
+    const records = parseCsvRecords(text.replace(/^\uFEFF/, ''))
+        .filter(record => record.some(value => value.trim() !== ''));
+    if (records.length === 0) return [];
+
+    const headers = records[0].map(header => header.trim());
+    return records.slice(1).map(record => {
+        const row = {};
+        headers.forEach((header, index) => {
+            if (header) row[header] = record[index] !== undefined ? record[index] : '';
+        });
+        return row;
+    });
+}
+
+// One CRLF-terminated CSV record. Fields holding a comma, quote or line break are quoted.
+function toCsvRow(values) {
+    return values.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsvRow };
@@ -0,0 +1,88 @@
+// The SQL that differs between MySQL, SQL Server and SQLite. Routes write the subset all
+// three accept (COALESCE, CONCAT, 1/0 for booleans, no column aliases in GROUP BY or
+// HAVING) and take everything else from the dialect.
+
+function placeholders(count) {
+    return Array(count).fill('?').join(', ');
+}
+
+const mysql = {
+    name: 'mysql',
+    // Row limit, after ORDER BY
+    limit: count => `LIMIT ${count}`,
+    // One page of a sorted result
+    paginate: (count, offset) => ({ sql: 'LIMIT ? OFFSET ?', params: [count, offset] }),
+    // Row locks inside a transaction: lockTable() wraps the table in FROM, forUpdate ends the SELECT
+    lockTable: table => table,
+    forUpdate: ' FOR UPDATE',
+    call: (procedure, argCount) => `CALL ${procedure}(${placeholders(argCount)})`,
+    now: 'CURRENT_TIMESTAMP(3)',
+    today: 'CURDATE()',
+    addDays: (expression, days) => `DATE_ADD(${expression}, INTERVAL ${days} DAY)`,
+    // Date part of a date-time
+    dateOf: expression => `DATE(${expression})`,
+    // 'YYYY-MM-DD' start of the day, week (from Monday) or month the expression falls in
+    dateBucket: (expression, unit) => ({
+        day: `DATE_FORMAT(${expression}, '%Y-%m-%d')`,
+        week: `DATE_FORMAT(DATE_SUB(DATE(${expression}), INTERVAL WEEKDAY(${expression}) DAY), '%Y-%m-%d')`,
+        month: `DATE_FORMAT(${expression}, '%Y-%m-01')`
+    })[unit],
+    // Full-text relevance of one column for a single ? search term; 0 when it doesn't match.
+    // Needs the FULLTEXT indexes from db/migrations/004_book_search.sql.
+    fullTextScore: ({ alias, column }) => `MATCH(${alias}.${column}) AGAINST (? IN NATURAL LANGUAGE MODE)`
+};
+
+const mssql = {
+    name: 'mssql',
+    // OFFSET ... FETCH needs an ORDER BY, which every limited query here has
+    limit: count => `OFFSET 0 ROWS FETCH NEXT ${count} ROWS ONLY`,
+    paginate: (count, offset) => ({ sql: 'OFFSET ? ROWS FETCH NEXT ? ROWS ONLY', params: [offset, count] }),
+    lockTable: table => `${table} WITH (UPDLOCK, ROWLOCK)`,
+    forUpdate: '',
+    call: (procedure, argCount) => `EXEC ${procedure} ${placeholders(argCount)}`,
+    now: 'SYSDATETIME()',
+    today: 'CAST(GETDATE() AS DATE)',
+    addDays: (expression, days) => `DATEADD(DAY, ${days}, CAST(${expression} AS DATETIME2))`,
+    dateOf: expression => `CAST(${expression} AS DATE)`,
+    // Style 23 is yyyy-mm-dd. The weekday offset makes Monday 0 whatever @@DATEFIRST is set to.
+    dateBucket: (expression, unit) => ({
+        day: `CONVERT(CHAR(10), ${expression}, 23)`,
+        week: `CONVERT(CHAR(10), DATEADD(DAY, -((DATEPART(WEEKDAY, ${expression}) + @@DATEFIRST + 5) % 7), CAST(${expression} AS DATE)), 23)`,
+        month: `CONVERT(CHAR(7), ${expression}, 23) + '-01'`
+    })[unit],
+    // Needs the full-text indexes from db/migrations/mssql/004_book_search.sql
+    fullTextScore: ({ table, alias, column, key }) =>
+        `COALESCE((SELECT ft.[RANK] FROM FREETEXTTABLE(${table}, ${column}, ?) ft WHERE ft.[KEY] = ${alias}.${key}), 0)`
+};
+
+// SQLite keeps dates as text: 'YYYY-MM-DD' for DATE columns and local
+// 'YYYY-MM-DD HH:MM:SS.SSS' for DATETIME, so they compare as strings.
+const SQLITE_NOW = "strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')";
+const SQLITE_TODAY = "date('now', 'localtime')";
+
+const sqlite = {
+    name: 'sqlite',
+    limit: mysql.limit,
+    paginate: mysql.paginate,
+    // One connection and serialized transactions (lib/db/sqlite.js), so no row locks
+    lockTable: table => table,
+    forUpdate: '',
+    // Procedures are implemented in lib/db/sqliteProcedures.js; the driver picks up the CALL
+    call: mysql.call,
+    now: SQLITE_NOW,
+    today: SQLITE_TODAY,
+    // A date plus days stays a date, so it still compares with DATE columns
+    addDays: (expression, days) => `${expression === SQLITE_TODAY ? 'date' : 'datetime'}(${expression}, ${days} || ' days')`,
+    dateOf: expression => `date(${expression})`,
+    dateBucket: (expression, unit) => ({
+        day: `strftime('%Y-%m-%d', ${expression})`,
+        week: `date(${expression}, '-' || ((CAST(strftime('%w', ${expression}) AS INTEGER) + 6) % 7) || ' days')`,
+        month: `strftime('%Y-%m-01', ${expression})`
+    })[unit],
+    // No full-text index: a case-insensitive substring match scores 1
+    fullTextScore: ({ alias, column }) => `(instr(LOWER(${alias}.${column}), LOWER(?)) > 0)`
+};
+
+const DIALECTS = { mysql, mssql, sqlite };
+
+module.exports = { DIALECTS };
@@ -0,0 +1,33 @@
+// Domain errors for the data-access layer. Each driver rethrows the constraint failures
+// routes care about as a DatabaseError whose code is one of DB_ERRORS, so handlers check
+// err.code the same way whichever database is behind them. Anything else is rethrown as is.
+const DB_ERRORS = {
+    // A UNIQUE or PRIMARY KEY constraint was violated
+    DUPLICATE_ENTRY: 'DUPLICATE_ENTRY',
+    // The row can't be deleted or re-keyed because a foreign key still points at it
+    ROW_REFERENCED: 'ROW_REFERENCED',
+    // A foreign key value doesn't match any row
+    MISSING_REFERENCE: 'MISSING_REFERENCE',
+    // A CHECK constraint failed
+    CONSTRAINT_VIOLATION: 'CONSTRAINT_VIOLATION',
+    // A procedure or trigger refused the change (MySQL SIGNAL, SQL Server THROW/RAISERROR)
+    REJECTED: 'REJECTED'
+};
+
+class DatabaseError extends Error {
+    constructor(code, cause) {
+        super(cause.message);
+        this.name = 'DatabaseError';
+        this.code = code;
+        this.cause = cause;
+    }
+}
+
+// Wraps err when mapCode(err) recognizes it, otherwise returns it unchanged.
+function toDatabaseError(err, mapCode) {
+    if (err instanceof DatabaseError) return err;
+    const code = mapCode(err);
+    return code ? new DatabaseError(code, err) : err;
+}
+
+module.exports = { DB_ERRORS, DatabaseError, toDatabaseError };
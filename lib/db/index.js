@@ -0,0 +1,50 @@
+// Data-access layer. DB_CLIENT picks the driver: "mysql" (the default), "mssql" for
+// SQL Server or "sqlite" for an embedded database file. All return the same interface:
+//   query(sql, params)  mysql2-style ? placeholders; resolves to [rows] for a SELECT and
+//                       [{ affectedRows, insertId }] for a write
+//   stream(sql, params) an async iterable of a SELECT's rows, read as they arrive, for
+//                       results too big to hold in memory (exports)
+//   getConnection()     a connection with the same query(), plus beginTransaction, commit,
+//                       rollback, savepoint/releaseSavepoint/rollbackToSavepoint and release
+//   name                the database name, or file for SQLite
+//   dialect             the SQL fragments that differ between them (lib/db/dialects.js)
+//   end()               closes the pool
+// Constraint failures are rethrown as DatabaseErrors with a DB_ERRORS code.
+const { DIALECTS } = require('./dialects');
+const { DB_ERRORS, DatabaseError } = require('./errors');
+
+const DB_CLIENTS = Object.keys(DIALECTS);
+
+function getDialect(client) {
+    if (!DIALECTS[client]) throw new Error(`Unknown DB_CLIENT "${client}". Use one of: ${DB_CLIENTS.join(', ')}`);
+    return DIALECTS[client];
+}
+
+function databaseConfigFromEnv(env = process.env) {
+    return {
+        client: env.DB_CLIENT || 'mysql',
+        host: env.DB_HOST,
+        port: env.DB_PORT ? parseInt(env.DB_PORT) : undefined,
+        user: env.DB_USER,
+        password: env.DB_PASSWORD,
+        database: env.DB_NAME,
+        connectionLimit: parseInt(env.DB_CONNECTION_LIMIT) || 10,
+        // SQL Server only
+        encrypt: env.DB_ENCRYPT === 'true',
+        trustServerCertificate: env.DB_TRUST_SERVER_CERTIFICATE !== 'false',
+        // SQLite only: database file (":memory:" for a throwaway one) and whether a new
+        // database gets the sample data
+        file: env.SQLITE_FILE,
+        seed: env.SQLITE_SEED === 'true'
+    };
+}
+
+// Drivers are required lazily so a deployment only needs the package for its own database.
+async function createDatabase(config) {
+    getDialect(config.client);
+    if (config.client === 'mssql') return require('./mssql').createMssqlDatabase(config);
+    if (config.client === 'sqlite') return require('./sqlite').createSqliteDatabase(config);
+    return require('./mysql').createMysqlDatabase(config);
+}
+
+module.exports = { DB_CLIENTS, DB_ERRORS, DatabaseError, getDialect, databaseConfigFromEnv, createDatabase };
@@ -0,0 +1,142 @@
+// SQL Server driver for lib/db, on an mssql (tedious) connection pool. Routes keep writing
+// mysql2-style ? placeholders and get mysql2-shaped results back, so the same handler code
+// runs on both: rows for a SELECT, { affectedRows, insertId } for everything else.
+const mssql = require('mssql');
+const { DB_ERRORS, toDatabaseError } = require('./errors');
+const { DIALECTS } = require('./dialects');
+const { expandPlaceholders } = require('./placeholders');
+
+// 2627/2601: unique constraint or index. 547 covers foreign keys and CHECKs alike, so the
+// message says which. 50000 and up are raised by our own procedures and triggers.
+function mapSingleError(err) {
+    const number = Number(err.number);
+    if (number === 2627 || number === 2601) return DB_ERRORS.DUPLICATE_ENTRY;
+    if (number === 547) {
+        if (/REFERENCE constraint/i.test(err.message)) return DB_ERRORS.ROW_REFERENCED;
+        if (/FOREIGN KEY constraint/i.test(err.message)) return DB_ERRORS.MISSING_REFERENCE;
+        if (/CHECK constraint/i.test(err.message)) return DB_ERRORS.CONSTRAINT_VIOLATION;
+    }
+    if (number >= 50000) return DB_ERRORS.REJECTED;
+    return undefined;
+}
+
+// The thrown error is the last one the batch raised ("The statement has been terminated"
+// usually); the constraint error that caused it is among precedingErrors.
+function mapError(err) {
+    for (const candidate of [err, ...(err.precedingErrors || [])]) {
+        const code = mapSingleError(candidate);
+        if (code) return code;
+    }
+    return undefined;
+}
+
+// Rewrites ? placeholders to @p0, @p1, ... with the values to bind to each.
+function toNamedParameters(sql, params = []) {
+    const inputs = [];
+    const text = expandPlaceholders(sql, params, value => {
+        const name = `p${inputs.length}`;
+        inputs.push([name, value]);
+        return `@${name}`;
+    });
+    return { text, inputs };
+}
+
+function prepare(request, sql, params) {
+    const { text, inputs } = toNamedParameters(sql, params);
+    for (const [name, value] of inputs) {
+        // DateTime2 keeps the milliseconds that DATETIME would round to 1/300 s
+        if (value instanceof Date) request.input(name, mssql.DateTime2, value);
+        else request.input(name, value);
+    }
+    return text;
+}
+
+async function run(request, sql, params) {
+    const text = prepare(request, sql, params);
+    const isInsert = /^\s*INSERT\b/i.test(text);
+    try {
+        const result = await request.query(isInsert ? `${text}; SELECT CAST(SCOPE_IDENTITY() AS INT) AS insertId` : text);
+        if (isInsert) {
+            return [{ affectedRows: result.rowsAffected[0] || 0, insertId: result.recordset[0].insertId }];
+        }
+        if (result.recordset) return [result.recordset, result.recordset.columns];
+        return [{ affectedRows: result.rowsAffected.reduce((sum, count) => sum + count, 0), insertId: null }];
+    } catch (err) {
+        throw toDatabaseError(err, mapError);
+    }
+}
+
+// Rows one at a time as SQL Server sends them, for results too big to hold in memory. A
+// caller that stops early cancels the rest of the query.
+async function* stream(pool, sql, params) {
+    const request = pool.request();
+    const text = prepare(request, sql, params);
+    const rows = request.toReadableStream();
+    request.query(text);
+    let finished = false;
+    try {
+        for await (const row of rows) yield row;
+        finished = true;
+    } catch (err) {
+        throw toDatabaseError(err, mapError);
+    } finally {
+        if (!finished) request.cancel();
+    }
+}
+
+// Requests made before beginTransaction() (and after commit or rollback) run on the pool.
+function createConnection(pool) {
+    let transaction = null;
+    const request = () => (transaction ? new mssql.Request(transaction) : pool.request());
+    const finish = async action => {
+        if (!transaction) return;
+        const current = transaction;
+        transaction = null;
+        await current[action]();
+    };
+    return {
+        query: (sql, params) => run(request(), sql, params),
+        beginTransaction: async () => {
+            transaction = new mssql.Transaction(pool);
+            await transaction.begin();
+        },
+        commit: () => finish('commit'),
+        rollback: () => finish('rollback'),
+        savepoint: name => run(request(), `SAVE TRANSACTION ${name}`),
+        // SQL Server savepoints can't be released; they end with the transaction
+        releaseSavepoint: async () => {},
+        rollbackToSavepoint: name => run(request(), `ROLLBACK TRANSACTION ${name}`),
+        // A transaction left open by a handler that returned early is rolled back
+        release: () => {
+            finish('rollback').catch(err => console.error('Error rolling back released connection:', err));
+        }
+    };
+}
+
+async function createMssqlDatabase(config) {
+    const pool = new mssql.ConnectionPool({
+        server: config.host,
+        user: config.user,
+        password: config.password,
+        database: config.database,
+        port: config.port || 1433,
+        pool: { max: config.connectionLimit },
+        options: {
+            encrypt: config.encrypt,
+            trustServerCertificate: config.trustServerCertificate
+        }
+    });
+    await pool.connect();
+
+    return {
+        client: 'mssql',
+        name: config.database,
+        dialect: DIALECTS.mssql,
+        query: (sql, params) => run(pool.request(), sql, params),
+        stream: (sql, params) => stream(pool, sql, params),
+        getConnection: async () => createConnection(pool),
+        end: () => pool.close()
+    };
+}
+
+module.exports = { createMssqlDatabase, toNamedParameters };
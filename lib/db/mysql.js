@@ -0,0 +1,86 @@
+// MySQL driver for lib/db, on a mysql2 connection pool. Results are mysql2's own:
+// rows for a SELECT, { affectedRows, insertId } for writes.
+const mysql = require('mysql2/promise');
+const { DB_ERRORS, toDatabaseError } = require('./errors');
+const { DIALECTS } = require('./dialects');
+
+const ERROR_CODES = {
+    ER_DUP_ENTRY: DB_ERRORS.DUPLICATE_ENTRY,
+    ER_ROW_IS_REFERENCED: DB_ERRORS.ROW_REFERENCED,
+    ER_ROW_IS_REFERENCED_2: DB_ERRORS.ROW_REFERENCED,
+    ER_NO_REFERENCED_ROW: DB_ERRORS.MISSING_REFERENCE,
+    ER_NO_REFERENCED_ROW_2: DB_ERRORS.MISSING_REFERENCE,
+    ER_CHECK_CONSTRAINT_VIOLATED: DB_ERRORS.CONSTRAINT_VIOLATION,
+    ER_SIGNAL_EXCEPTION: DB_ERRORS.REJECTED
+};
+
+function mapError(err) {
+    return ERROR_CODES[err.code];
+}
+
+async function query(target, sql, params) {
+    try {
+        return await target.query(sql, params);
+    } catch (err) {
+        throw toDatabaseError(err, mapError);
+    }
+}
+
+// Rows one at a time, on a connection of their own, for results too big to hold in memory.
+// A caller that stops early (the client went away) leaves rows unread, so the connection
+// is closed rather than returned to the pool.
+async function* stream(pool, sql, params) {
+    const connection = await pool.getConnection();
+    let finished = false;
+    try {
+        for await (const row of connection.connection.query(sql, params).stream()) yield row;
+        finished = true;
+    } catch (err) {
+        throw toDatabaseError(err, mapError);
+    } finally {
+        if (finished) connection.release();
+        else connection.destroy();
+    }
+}
+
+function wrapConnection(connection) {
+    return {
+        query: (sql, params) => query(connection, sql, params),
+        beginTransaction: () => connection.beginTransaction(),
+        commit: () => connection.commit(),
+        rollback: () => connection.rollback(),
+        savepoint: name => query(connection, `SAVEPOINT ${name}`),
+        releaseSavepoint: name => query(connection, `RELEASE SAVEPOINT ${name}`),
+        rollbackToSavepoint: name => query(connection, `ROLLBACK TO SAVEPOINT ${name}`),
+        release: () => connection.release()
+    };
+}
+
+async function createMysqlDatabase(config) {
+    const pool = mysql.createPool({
+        host: config.host,
+        user: config.user,
+        password: config.password,
+        database: config.database,
+        port: config.port || 3306,
+        waitForConnections: true,
+        connectionLimit: config.connectionLimit,
+        queueLimit: 0
+    });
+
+    // createPool is lazy; fail now rather than on the first request
+    const connection = await pool.getConnection();
+    connection.release();
+
+    return {
+        client: 'mysql',
+        name: config.database,
+        dialect: DIALECTS.mysql,
+        query: (sql, params) => query(pool, sql, params),
+        stream: (sql, params) => stream(pool, sql, params),
+        getConnection: async () => wrapConnection(await pool.getConnection()),
+        end: () => pool.end()
+    };
+}
+
+module.exports = { createMysqlDatabase };
@@ -0,0 +1,54 @@
+// Shared ? placeholder handling for drivers whose client library doesn't expand
+// mysql2-style values itself.
+
+// Rewrites each ? (outside quotes, bracketed names and comments) with bind(value), in order.
+// Like mysql2, an array value expands to a list, for IN (?), and an array of arrays to
+// grouped lists, for a multi-row VALUES ?. An empty list becomes NULL, which matches nothing.
+function expandPlaceholders(sql, params = [], bind) {
+    let index = 0;
+    const expand = value => {
+        if (!Array.isArray(value)) return bind(value);
+        if (value.length === 0) return 'NULL';
+        return value.map(item => (Array.isArray(item) ? `(${item.map(bind).join(', ')})` : bind(item))).join(', ');
+    };
+
+    let text = '';
+    let i = 0;
+    while (i < sql.length) {
+        const char = sql[i];
+        const closing = { "'": "'", '"': '"', '[': ']' }[char];
+        if (closing) {
+            let end = i + 1;
+            while (end < sql.length) {
+                if (sql[end] === closing) {
+                    // '' inside a string is an escaped quote
+                    if (closing === "'" && sql[end + 1] === "'") { end += 2; continue; }
+                    break;
+                }
+                end++;
+            }
+            text += sql.slice(i, end + 1);
+            i = end + 1;
+        } else if (char === '-' && sql[i + 1] === '-') {
+            const end = sql.indexOf('\n', i);
+            const stop = end === -1 ? sql.length : end;
+            text += sql.slice(i, stop);
+            i = stop;
+        } else if (char === '/' && sql[i + 1] === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            const stop = end === -1 ? sql.length : end + 2;
+            text += sql.slice(i, stop);
+            i = stop;
+        } else if (char === '?') {
+            if (index >= params.length) throw new Error(`Missing value for placeholder ${index + 1}`);
+            text += expand(params[index++]);
+            i++;
+        } else {
+            text += char;
+            i++;
+        }
+    }
+    return text;
+}
+
+module.exports = { expandPlaceholders };
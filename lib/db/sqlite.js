@@ -0,0 +1,187 @@
+// SQLite driver for lib/db, on a single better-sqlite3 connection, for demos, CI and the
+// test suite. A new database gets the schema from db/sqlite/schema.sql and, optionally,
+// the sample data from db/booksData.txt (lib/db/sqliteSeed.js). Results are mysql2-shaped
+// like the other drivers: rows for a SELECT, { affectedRows, insertId } for writes.
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { DB_ERRORS, toDatabaseError } = require('./errors');
+const { DIALECTS } = require('./dialects');
+const { expandPlaceholders } = require('./placeholders');
+const { PROCEDURES } = require('./sqliteProcedures');
+const { seedDatabase } = require('./sqliteSeed');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCHEMA_FILE = path.join(ROOT, 'db', 'sqlite', 'schema.sql');
+const SEED_FILE = path.join(ROOT, 'db', 'booksData.txt');
+const DEFAULT_FILE = path.join(ROOT, 'db', 'bookstore.sqlite');
+
+const ERROR_CODES = {
+    SQLITE_CONSTRAINT_UNIQUE: DB_ERRORS.DUPLICATE_ENTRY,
+    SQLITE_CONSTRAINT_PRIMARYKEY: DB_ERRORS.DUPLICATE_ENTRY,
+    SQLITE_CONSTRAINT_CHECK: DB_ERRORS.CONSTRAINT_VIOLATION,
+    // RAISE(ABORT) in a trigger
+    SQLITE_CONSTRAINT_TRIGGER: DB_ERRORS.REJECTED
+};
+
+// SQLite doesn't say which end of a foreign key failed. A DELETE can only fail because
+// something still points at the row; anything else wrote a key that doesn't exist.
+function mapError(err, sql) {
+    if (err.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
+        return /^\s*DELETE\b/i.test(sql) ? DB_ERRORS.ROW_REFERENCED : DB_ERRORS.MISSING_REFERENCE;
+    }
+    return ERROR_CODES[err.code];
+}
+
+function pad(number, width = 2) {
+    return String(number).padStart(width, '0');
+}
+
+// Dates are bound in local time, the way the DATETIME defaults store them
+function toSqliteValue(value) {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} `
+            + `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}.${pad(value.getMilliseconds(), 3)}`;
+    }
+    return value;
+}
+
+// mysql2 returns DATE and DATETIME columns as Date objects, so this driver does too
+function toDate(value) {
+    if (typeof value !== 'string') return value;
+    const date = new Date(value.length === 10 ? `${value}T00:00:00` : value.replace(' ', 'T'));
+    return isNaN(date.getTime()) ? value : date;
+}
+
+function run(db, sql, params = []) {
+    try {
+        const call = /^\s*CALL\s+(\w+)\s*\(/i.exec(sql);
+        if (call) {
+            const procedure = PROCEDURES[call[1]];
+            if (!procedure) throw new Error(`PROCEDURE ${call[1]} does not exist`);
+            return [procedure(db, params.map(toSqliteValue))];
+        }
+
+        const values = [];
+        const text = expandPlaceholders(sql, params, value => {
+            values.push(toSqliteValue(value));
+            return '?';
+        });
+        const statement = db.prepare(text);
+        if (!statement.reader) {
+            const result = statement.run(values);
+            return [{ affectedRows: result.changes, insertId: Number(result.lastInsertRowid) }];
+        }
+        const columns = statement.columns();
+        const dateColumns = columns.filter(column => /^DATE/i.test(column.type || '')).map(column => column.name);
+        const rows = statement.all(values);
+        if (dateColumns.length > 0) {
+            for (const row of rows) {
+                for (const name of dateColumns) row[name] = toDate(row[name]);
+            }
+        }
+        return [rows, columns];
+    } catch (err) {
+        throw toDatabaseError(err, mappable => mapError(mappable, sql));
+    }
+}
+
+// better-sqlite3 can't run other statements while a result is being iterated, and callers
+// of stream() wait on the client between rows, so SQLite reads the whole result up front.
+// The interface matches the other drivers; the memory saving doesn't apply.
+async function* stream(read) {
+    const [rows] = await read();
+    yield* rows;
+}
+
+// A promise queue: each acquire() resolves, with its release function, once every
+// earlier holder has released.
+function createLock() {
+    let last = Promise.resolve();
+    return () => {
+        let release;
+        const released = new Promise(resolve => { release = resolve; });
+        const acquired = last.then(() => release);
+        last = last.then(() => released);
+        return acquired;
+    };
+}
+
+// Runs a statement outside any transaction once the queue gets to it
+async function runQueued(db, acquireLock, sql, params) {
+    const release = await acquireLock();
+    try {
+        return run(db, sql, params);
+    } finally {
+        release();
+    }
+}
+
+// There is only one connection, so everything takes turns on the same queue:
+// beginTransaction() waits until the previous transaction has committed or rolled back,
+// and statements outside a transaction (pool queries included) wait for any open one to
+// finish, so they are never committed or rolled back along with someone else's work.
+function createConnection(db, acquireLock) {
+    let unlock = null;
+    const finish = statement => {
+        if (!unlock) return;
+        const release = unlock;
+        unlock = null;
+        try {
+            // A failed statement can already have ended the transaction
+            if (db.inTransaction) db.exec(statement);
+        } finally {
+            release();
+        }
+    };
+    return {
+        query: async (sql, params) => (unlock ? run(db, sql, params) : runQueued(db, acquireLock, sql, params)),
+        beginTransaction: async () => {
+            unlock = await acquireLock();
+            try {
+                db.exec('BEGIN IMMEDIATE');
+            } catch (err) {
+                unlock();
+                unlock = null;
+                throw err;
+            }
+        },
+        commit: async () => finish('COMMIT'),
+        rollback: async () => finish('ROLLBACK'),
+        savepoint: async name => run(db, `SAVEPOINT ${name}`),
+        releaseSavepoint: async name => run(db, `RELEASE SAVEPOINT ${name}`),
+        rollbackToSavepoint: async name => run(db, `ROLLBACK TO SAVEPOINT ${name}`),
+        // A transaction left open by a handler that returned early is rolled back
+        release: () => finish('ROLLBACK')
+    };
+}
+
+async function createSqliteDatabase(config) {
+    const file = config.file || DEFAULT_FILE;
+    const db = new Database(file);
+    db.pragma('foreign_keys = ON');
+    if (file !== ':memory:') db.pragma('journal_mode = WAL');
+
+    const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'Books'").get();
+    if (!exists) {
+        db.transaction(() => {
+            db.exec(fs.readFileSync(SCHEMA_FILE, 'utf-8'));
+            if (config.seed) seedDatabase(db, SEED_FILE);
+        })();
+    }
+
+    const acquireLock = createLock();
+    return {
+        client: 'sqlite',
+        name: file,
+        dialect: DIALECTS.sqlite,
+        query: async (sql, params) => runQueued(db, acquireLock, sql, params),
+        stream: (sql, params) => stream(() => runQueued(db, acquireLock, sql, params)),
+        getConnection: async () => createConnection(db, acquireLock),
+        end: async () => db.close()
+    };
+}
+
+module.exports = { createSqliteDatabase };
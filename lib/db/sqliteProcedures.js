@@ -0,0 +1,65 @@
+// The stored procedures from db/Sample_Queries.sql and db/migrations/, for SQLite, which
+// has none. lib/db/sqlite.js runs these when a route issues CALL Name(?, ...). Each takes
+// the better-sqlite3 handle and the arguments in the MySQL parameter order, runs
+// synchronously and returns the rows it SELECTs or a { affectedRows, insertId } result.
+const { DB_ERRORS, DatabaseError } = require('./errors');
+
+// The procedures' SIGNAL SQLSTATE '45000' errors
+function reject(message) {
+    return new DatabaseError(DB_ERRORS.REJECTED, new Error(message));
+}
+
+function writeResult(result) {
+    return { affectedRows: result.changes, insertId: Number(result.lastInsertRowid) };
+}
+
+// InsertBook(Title, AuthorID, PublisherID, GenreID, Price, Stock, Format, Language, PublicationDate, ISBN)
+function insertBook(db, args) {
+    return writeResult(db.prepare(`
+        INSERT INTO Books (Title, AuthorID, PublisherID, GenreID, Price, Stock, Format, Language, PublicationDate, ISBN)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(args.slice(0, 10)));
+}
+
+// AddCustomer(FirstName, LastName, Email, Phone, Password, ShippingAddress, BillingAddress)
+function addCustomer(db, args) {
+    return writeResult(db.prepare(`
+        INSERT INTO Customers (FirstName, LastName, Email, Phone, Password, ShippingAddress, BillingAddress)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(args.slice(0, 7)));
+}
+
+// UpdateBookStock(BookID, StockChange): fails instead of leaving the stock unchanged
+function updateBookStock(db, [bookId, stockChange]) {
+    const book = db.prepare('SELECT Stock FROM Books WHERE BookID = ?').get(bookId);
+    if (!book) throw reject('Book not found');
+    if (book.Stock + stockChange < 0) throw reject('Insufficient stock');
+    return writeResult(db.prepare('UPDATE Books SET Stock = Stock + ? WHERE BookID = ?').run(stockChange, bookId));
+}
+
+// PlaceOrder(CustomerID, BookID, Quantity, PaymentMethod): a one-line order at the
+// current price, paid in full. Like the MySQL version, stock is only taken when there
+// is enough of it. Returns the new OrderID and TotalAmount.
+const placeOrder = (db, [customerId, bookId, quantity, paymentMethod]) => db.transaction(() => {
+    const book = db.prepare('SELECT Price FROM Books WHERE BookID = ?').get(bookId);
+    const price = book ? book.Price : null;
+    const totalAmount = price === null ? null : price * quantity;
+
+    const orderId = Number(db.prepare('INSERT INTO Orders (CustomerID) VALUES (?)').run(customerId).lastInsertRowid);
+    db.prepare('INSERT INTO OrderDetails (OrderID, BookID, Quantity, UnitPrice, Discount, LineTotal) VALUES (?, ?, ?, ?, 0, ?)')
+        .run(orderId, bookId, quantity, price, totalAmount);
+    db.prepare('UPDATE Books SET Stock = Stock - ? WHERE BookID = ? AND Stock >= ?').run(quantity, bookId, quantity);
+    db.prepare('INSERT INTO Payments (OrderID, PaymentMethod, Amount) VALUES (?, ?, ?)').run(orderId, paymentMethod, totalAmount);
+    db.prepare('INSERT INTO OrderLog (OrderID, PaymentMethod) VALUES (?, ?)').run(orderId, paymentMethod);
+
+    return [{ OrderID: orderId, TotalAmount: totalAmount }];
+})();
+
+const PROCEDURES = {
+    InsertBook: insertBook,
+    AddCustomer: addCustomer,
+    UpdateBookStock: updateBookStock,
+    PlaceOrder: placeOrder
+};
+
+module.exports = { PROCEDURES };
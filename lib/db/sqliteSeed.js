@@ -0,0 +1,129 @@
+// Sample data for a new SQLite database, from db/booksData.txt. That script is T-SQL: its
+// literal INSERT ... VALUES statements (admins, authors, publishers, books) are translated
+// and run as they are, and the rows its WHILE loops generate (more admins, customers and
+// one order each) are built here with the same values. Everything is then brought up to
+// date the way db/migrations/ would: genres, captured line prices, cancelled quantities,
+// order statuses and opening stock balances.
+const fs = require('fs');
+
+const NOW = "strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')";
+
+// Top-level statements only; the ones inside WHILE loops are indented
+const LITERAL_INSERT = /^INSERT INTO \[dbo\]\.\[(\w+)\] \(([^)]*)\) VALUES\s*\n([\s\S]*?\));\s*$/gm;
+
+function toSqliteValues(values) {
+    return values
+        .replace(/DATEADD\((\w+), (-?\d+), GETDATE\(\)\)/gi,
+            (match, unit, amount) => `strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime', '${amount} ${unit.toLowerCase()}s')`)
+        .replace(/GETDATE\(\)/gi, NOW);
+}
+
+function insertLiteralRows(db, script) {
+    const tables = [];
+    for (const [, table, columns, values] of script.matchAll(LITERAL_INSERT)) {
+        // Books still has the free-text Genre (and a BookCover column); they go through a
+        // staging table and are resolved to GenreIDs as in 001_genres.sql.
+        const target = table === 'Books' ? 'temp.SeedBooks' : table;
+        db.exec(`INSERT INTO ${target} (${columns.replace(/[[\]]/g, '')}) VALUES ${toSqliteValues(values)}`);
+        tables.push(table);
+    }
+    return tables;
+}
+
+function loadBooks(db) {
+    db.exec(`
+        INSERT INTO Genres (Name)
+        SELECT TRIM(Genre) FROM temp.SeedBooks
+        WHERE Genre IS NOT NULL AND TRIM(Genre) != ''
+        GROUP BY TRIM(Genre) COLLATE NOCASE;
+
+        INSERT INTO Books (Title, AuthorID, PublisherID, GenreID, Price, Stock, Format, Language, PublicationDate, ISBN)
+        SELECT s.Title, s.AuthorID, s.PublisherID, g.GenreID, s.Price, s.Stock, s.Format, s.Language, s.PublicationDate, s.ISBN
+        FROM temp.SeedBooks s
+        LEFT JOIN Genres g ON g.Name = TRIM(s.Genre);
+    `);
+}
+
+// "Delivered" in the sample data is this app's "Completed"
+const ORDER_STATUSES = ['Pending', 'Shipped', 'Completed', 'Cancelled'];
+const PAYMENT_METHODS = ['Card', 'JazzCash', 'EasyPaisa', 'SadaPay', 'Cash'];
+
+function insertGeneratedRows(db) {
+    const insertAdmin = db.prepare(`
+        INSERT INTO Admins (Email, AdminPass, FirstName, LastName, IsActive, CreatedDate, LastLoginDate, UpdatedDate)
+        VALUES (?, ?, ?, ?, ?,
+                strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime', ?),
+                strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime', ?),
+                strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime', ?))
+    `);
+    for (let i = 1; i <= 46; i++) {
+        insertAdmin.run(`admin${i}@bookstore.com`, `AdminP@$$wOrd${i}!`, `AdminF${i}`, `AdminL${i}`,
+            i % 10 === 0 ? 0 : 1, `-${i} days`, `-${i % 5} days`, `-${i % 3} days`);
+    }
+
+    const insertCustomer = db.prepare(`
+        INSERT INTO Customers (FirstName, LastName, Email, Phone, Password, ShippingAddress, BillingAddress)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertOrder = db.prepare(`
+        INSERT INTO Orders (CustomerID, OrderDate, Status) VALUES (?, date('now', 'localtime', ?), ?)
+    `);
+    // Line prices are the book's price, which is also what the sample payments charged
+    const insertLine = db.prepare(`
+        INSERT INTO OrderDetails (OrderID, BookID, Quantity, UnitPrice, LineTotal, CancelledQuantity)
+        SELECT ?, BookID, ?, Price, Price * ?, ? FROM Books WHERE BookID = ?
+    `);
+    const insertPayment = db.prepare(`
+        INSERT INTO Payments (OrderID, PaymentMethod, PaymentDate, Amount)
+        SELECT o.OrderID, ?, strftime('%Y-%m-%d %H:%M:%f', o.OrderDate, ?), od.LineTotal
+        FROM Orders o JOIN OrderDetails od ON o.OrderID = od.OrderID
+        WHERE o.OrderID = ?
+    `);
+    const insertLog = db.prepare(`
+        INSERT INTO OrderLog (OrderID, EventType, ToStatus, LogDate, PaymentMethod)
+        SELECT OrderID, 'Placed', 'Pending', strftime('%Y-%m-%d %H:%M:%f', OrderDate, ?), ?
+        FROM Orders WHERE OrderID = ?
+    `);
+    for (let i = 1; i <= 50; i++) {
+        const customerId = Number(insertCustomer.run(`CustF${i}`, `CustL${i}`, `customer${i}@example.com`,
+            `555-01${String(i).padStart(2, '0')}`, `CustP@$$wOrd${i}!`, `${i} Main St, Anytown, USA`,
+            i % 5 === 0 ? null : `${i} Main St, Anytown, USA`).lastInsertRowid);
+
+        // Customer n orders book n
+        const status = ORDER_STATUSES[i % 4];
+        const orderId = Number(insertOrder.run(customerId, `-${i % 30} days`, status).lastInsertRowid);
+        const quantity = (i % 3) + 1;
+        insertLine.run(orderId, quantity, quantity, status === 'Cancelled' ? quantity : 0, i);
+
+        let paymentMethod = null;
+        if (status === 'Shipped' || status === 'Completed') {
+            paymentMethod = PAYMENT_METHODS[i % 5];
+            insertPayment.run(paymentMethod, `-${i % 60} minutes`, orderId);
+        }
+        insertLog.run(`-${i % 24} hours`, paymentMethod, orderId);
+    }
+
+    // 006_stock_movements.sql: start every book's history from its current level
+    db.exec(`
+        INSERT INTO StockMovements (BookID, Source, Delta, ResultingStock, Reason)
+        SELECT BookID, 'Manual', Stock, Stock, 'Opening balance' FROM Books
+    `);
+}
+
+// Runs inside the caller's transaction
+function seedDatabase(db, file) {
+    const script = fs.readFileSync(file, 'utf-8');
+    db.exec(`
+        CREATE TEMP TABLE SeedBooks (
+            Title TEXT, AuthorID INT, PublisherID INT, Genre TEXT, Price REAL, Stock INT,
+            Format TEXT, Language TEXT, PublicationDate TEXT, BookCover TEXT, ISBN TEXT
+        )
+    `);
+    const tables = insertLiteralRows(db, script);
+    if (!tables.includes('Books')) throw new Error(`No books found in ${file}`);
+    loadBooks(db);
+    db.exec('DROP TABLE temp.SeedBooks');
+    insertGeneratedRows(db);
+}
+
+module.exports = { seedDatabase };
@@ -0,0 +1,73 @@
+// In-process hub behind the /api/events Server-Sent Events stream. Recent events are kept in a
+// ring buffer so a reconnecting client can resume from its Last-Event-ID. Event ids are
+// "<boot>-<sequence>": an id from an earlier process (or one that has scrolled out of the
+// buffer) can't be replayed, so the client gets a "reset" event and reloads instead.
+
+const DEFAULT_BUFFER_SIZE = 500;
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+function formatEvent({ id, type, data }) {
+    return `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function createEventHub({ bufferSize = DEFAULT_BUFFER_SIZE } = {}) {
+    const bootId = Date.now().toString(36);
+    const buffer = [];
+    const clients = new Set();
+    let sequence = 0;
+    let heartbeat = null;
+
+    function publish(type, data) {
+        sequence += 1;
+        const event = { id: `${bootId}-${sequence}`, sequence, type, data };
+        buffer.push(event);
+        if (buffer.length > bufferSize) buffer.shift();
+        const text = formatEvent(event);
+        for (const client of clients) client.write(text);
+        return event;
+    }
+
+    // Events after lastEventId, or null when they can no longer be replayed.
+    function eventsSince(lastEventId) {
+        const [boot, seq] = String(lastEventId).split('-');
+        const lastSequence = Number(seq);
+        if (boot !== bootId || !Number.isInteger(lastSequence) || lastSequence > sequence) return null;
+        const oldest = buffer.length > 0 ? buffer[0].sequence : sequence + 1;
+        if (lastSequence < oldest - 1) return null;
+        return buffer.filter(event => event.sequence > lastSequence);
+    }
+
+    // Registers a writable stream (an SSE response) and returns a function that removes it.
+    function subscribe(client, lastEventId) {
+        if (lastEventId) {
+            const missed = eventsSince(lastEventId);
+            if (missed) {
+                missed.forEach(event => client.write(formatEvent(event)));
+            } else {
+                client.write(formatEvent({ id: `${bootId}-${sequence}`, type: 'reset', data: { reason: 'Events since the last seen id are no longer available' } }));
+            }
+        }
+        clients.add(client);
+        if (!heartbeat) {
+            // Comment lines keep proxies from closing idle connections
+            heartbeat = setInterval(() => clients.forEach(c => c.write(': ping\n\n')), HEARTBEAT_INTERVAL_MS);
+            heartbeat.unref();
+        }
+        return () => {
+            clients.delete(client);
+            if (clients.size === 0 && heartbeat) {
+                clearInterval(heartbeat);
+                heartbeat = null;
+            }
+        };
+    }
+
+    return {
+        publish,
+        subscribe,
+        eventsSince,
+        get clientCount() { return clients.size; }
+    };
+}
+
+module.exports = { createEventHub };
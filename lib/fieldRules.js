@@ -0,0 +1,108 @@
+// Per-field input normalization. Values are stored with the casing they were entered in;
+// only the fields declared here are touched, and every declared string field is trimmed.
+//   collapseWhitespace     runs of spaces, tabs and newlines become one space
+//   uniqueCaseInsensitive  "iOS Programming" and "ios programming" count as the same value
+//   displayCase: 'title'   responses show the value in Title Case (storage is unchanged)
+
+const FIELD_RULES = {
+    books: {
+        title: { collapseWhitespace: true, uniqueCaseInsensitive: true },
+        author: { collapseWhitespace: true },
+        publisher: { collapseWhitespace: true },
+        genre: { collapseWhitespace: true },
+        language: { collapseWhitespace: true, displayCase: 'title' },
+        isbn: {}
+    },
+    authors: {
+        name: { collapseWhitespace: true }
+    },
+    publishers: {
+        name: { collapseWhitespace: true },
+        address: {},
+        contact: {}
+    },
+    genres: {
+        name: { collapseWhitespace: true, uniqueCaseInsensitive: true }
+    },
+    customers: {
+        firstName: { collapseWhitespace: true },
+        lastName: { collapseWhitespace: true },
+        email: { uniqueCaseInsensitive: true },
+        phone: {},
+        shippingAddress: {},
+        billingAddress: {}
+    },
+    admins: {
+        firstName: { collapseWhitespace: true },
+        lastName: { collapseWhitespace: true },
+        email: { uniqueCaseInsensitive: true }
+    },
+    purchaseOrders: {
+        notes: {}
+    },
+    stockAdjustments: {
+        reason: {}
+    },
+    orderCancellations: {
+        reason: {}
+    },
+    storeSettings: {
+        storeName: { collapseWhitespace: true },
+        storeEmail: {}
+    }
+};
+
+function normalizeValue(rule, value) {
+    if (typeof value !== 'string') return value;
+    const trimmed = value.trim();
+    return rule.collapseWhitespace ? trimmed.replace(/\s+/g, ' ') : trimmed;
+}
+
+// Returns a copy of data with the entity's declared fields normalized; other fields are untouched.
+function normalizeFields(entity, data) {
+    const rules = FIELD_RULES[entity];
+    if (!rules || !data || typeof data !== 'object') return data;
+    const normalized = { ...data };
+    for (const [field, rule] of Object.entries(rules)) {
+        if (normalized[field] !== undefined) normalized[field] = normalizeValue(rule, normalized[field]);
+    }
+    return normalized;
+}
+
+// Comparison key for uniqueness checks and lookups by name.
+function uniqueKey(entity, field, value) {
+    const rule = (FIELD_RULES[entity] || {})[field] || {};
+    const normalized = normalizeValue(rule, String(value));
+    return rule.uniqueCaseInsensitive ? normalized.toLowerCase() : normalized;
+}
+
+function uniqueCaseInsensitiveFields(entity) {
+    return Object.entries(FIELD_RULES[entity] || {})
+        .filter(([, rule]) => rule.uniqueCaseInsensitive)
+        .map(([field]) => field);
+}
+
+function toTitleCase(str) {
+    return str.toLowerCase().replace(/(^|[\s\-(/])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+// Applies display casing to response rows. Row keys are matched case-insensitively, so
+// both the "language" body field and the "Language" column are covered.
+function applyDisplayCase(entity, rows) {
+    const fields = Object.entries(FIELD_RULES[entity] || {})
+        .filter(([, rule]) => rule.displayCase === 'title')
+        .map(([field]) => field.toLowerCase());
+    if (fields.length === 0) return rows;
+    const format = row => {
+        const formatted = { ...row };
+        for (const key of Object.keys(formatted)) {
+            if (fields.includes(key.toLowerCase()) && typeof formatted[key] === 'string') {
+                formatted[key] = toTitleCase(formatted[key]);
+            }
+        }
+        return formatted;
+    };
+    return Array.isArray(rows) ? rows.map(format) : format(rows);
+}
+
+module.exports = { FIELD_RULES, normalizeFields, uniqueKey, uniqueCaseInsensitiveFields, applyDisplayCase };
@@ -0,0 +1,57 @@
+// Reorder and stock-out risk calculations shared by the inventory and purchasing endpoints.
+
+// Without a per-book ReorderQty, stock is topped up to this multiple of the reorder point
+const TOP_UP_FACTOR = 2;
+// ...or to this many days of sales, whichever is more
+const COVER_TARGET_DAYS = 30;
+// Days of cover at or below which a book is critical / low
+const CRITICAL_COVER_DAYS = 7;
+const LOW_COVER_DAYS = 14;
+
+const RISK_ORDER = { out: 0, critical: 1, low: 2, ok: 3 };
+
+// How many copies to order. With a fixed ReorderQty that quantity is ordered once stock plus
+// copies on order fall to the reorder point; otherwise enough to reach the top-up target.
+function suggestReorderQuantity({ stock, onOrder = 0, reorderPoint, reorderQty = null, dailyVelocity = 0 }) {
+    const position = stock + onOrder;
+    if (reorderQty) return position <= reorderPoint ? reorderQty : 0;
+    const target = Math.max(reorderPoint * TOP_UP_FACTOR, Math.ceil(dailyVelocity * COVER_TARGET_DAYS) + reorderPoint);
+    return Math.max(target - position, 0);
+}
+
+// row: { stock, onOrder, reorderPoint, reorderQty, unitsSold } over windowDays of sales.
+// daysOfCover is null when the book hasn't sold in the window.
+function assessStockoutRisk(row, windowDays) {
+    const dailyVelocity = row.unitsSold / windowDays;
+    const daysOfCover = dailyVelocity > 0 ? row.stock / dailyVelocity : null;
+
+    let risk = 'ok';
+    if (row.stock <= 0) risk = 'out';
+    else if (daysOfCover !== null && daysOfCover <= CRITICAL_COVER_DAYS) risk = 'critical';
+    else if (row.stock <= row.reorderPoint || (daysOfCover !== null && daysOfCover <= LOW_COVER_DAYS)) risk = 'low';
+
+    return {
+        dailyVelocity: Math.round(dailyVelocity * 1000) / 1000,
+        daysOfCover: daysOfCover === null ? null : Math.round(daysOfCover * 10) / 10,
+        risk,
+        suggestedQuantity: risk === 'ok' ? 0 : suggestReorderQuantity({ ...row, dailyVelocity })
+    };
+}
+
+// Out of stock first, then fewest days of cover (books that aren't selling last), then
+// furthest below the reorder point.
+function compareStockoutRisk(a, b) {
+    if (RISK_ORDER[a.risk] !== RISK_ORDER[b.risk]) return RISK_ORDER[a.risk] - RISK_ORDER[b.risk];
+    if (a.daysOfCover !== b.daysOfCover) {
+        if (a.daysOfCover === null) return 1;
+        if (b.daysOfCover === null) return -1;
+        return a.daysOfCover - b.daysOfCover;
+    }
+    return (a.stock - a.reorderPoint) - (b.stock - b.reorderPoint);
+}
+
+module.exports = {
+    suggestReorderQuantity,
+    assessStockoutRisk,
+    compareStockoutRisk
+};
@@ -0,0 +1,154 @@
+// Order invoices: buildInvoice() works out the figures from the database rows, and the
+// invoice is rendered either as print-ready HTML (views/invoice.ejs) or as a PDF here.
+const PDFDocument = require('pdfkit');
+const { drawTableRow, drawTable } = require('./pdfTable');
+
+function formatInvoiceNumber(number) {
+    return `INV-${String(number).padStart(6, '0')}`;
+}
+
+function formatMoney(value) {
+    return `$${Number(value || 0).toFixed(2)}`;
+}
+
+function formatDate(value) {
+    if (!value) return '';
+    return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// invoice: { InvoiceNumber, IssuedDate }  store: { storeName, storeEmail }
+// order: the Orders row joined with its customer's name, email and addresses
+// lines: OrderDetails rows with Title and AuthorName  payments: Payments rows, oldest first
+// Cancelled units are left off the invoice, taking their share of the line discount with them.
+function buildInvoice({ invoice, store, order, lines, payments }) {
+    const items = lines.map(line => {
+        const quantity = line.Quantity - line.CancelledQuantity;
+        const share = quantity / line.Quantity;
+        return {
+            title: line.Title,
+            author: line.AuthorName,
+            quantity,
+            cancelledQuantity: line.CancelledQuantity,
+            unitPrice: Number(line.UnitPrice),
+            discount: round2(Number(line.Discount) * share),
+            amount: round2(Number(line.LineTotal) * share)
+        };
+    });
+    const subtotal = round2(items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0));
+    const discount = round2(items.reduce((sum, item) => sum + item.discount, 0));
+    const total = round2(items.reduce((sum, item) => sum + item.amount, 0));
+    const paid = round2(payments.reduce((sum, payment) =>
+        sum + (payment.PaymentType === 'Refund' ? -1 : 1) * Number(payment.Amount), 0));
+
+    return {
+        number: formatInvoiceNumber(invoice.InvoiceNumber),
+        issuedDate: formatDate(invoice.IssuedDate),
+        store: { name: store.storeName, email: store.storeEmail },
+        order: { id: order.OrderID, date: formatDate(order.OrderDate), status: order.Status },
+        customer: {
+            name: `${order.FirstName} ${order.LastName}`,
+            email: order.Email,
+            phone: order.Phone,
+            billingAddress: order.BillingAddress || order.ShippingAddress,
+            shippingAddress: order.ShippingAddress
+        },
+        items,
+        payments: payments.map(payment => ({
+            date: formatDate(payment.PaymentDate),
+            method: payment.PaymentMethod,
+            type: payment.PaymentType,
+            amount: Number(payment.Amount)
+        })),
+        subtotal,
+        discount,
+        total,
+        paid,
+        balanceDue: Math.max(round2(total - paid), 0)
+    };
+}
+
+const PAGE_MARGIN = 50;
+const ITEM_COLUMNS = [
+    { label: 'Item', x: 50, width: 245, align: 'left' },
+    { label: 'Qty', x: 295, width: 40, align: 'right' },
+    { label: 'Unit price', x: 335, width: 70, align: 'right' },
+    { label: 'Discount', x: 405, width: 70, align: 'right' },
+    { label: 'Amount', x: 475, width: 70, align: 'right' }
+];
+const PAYMENT_COLUMNS = [
+    { label: 'Date', x: 50, width: 120, align: 'left' },
+    { label: 'Method', x: 170, width: 120, align: 'left' },
+    { label: 'Type', x: 290, width: 115, align: 'left' },
+    { label: 'Amount', x: 405, width: 140, align: 'right' }
+];
+
+// Writes the invoice as a PDF to a writable stream (an HTTP response, usually).
+function renderInvoicePdf(invoice, out) {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `Invoice ${invoice.number}` } });
+    doc.pipe(out);
+    const right = { width: doc.page.width - 2 * PAGE_MARGIN, align: 'right' };
+
+    doc.font('Helvetica-Bold').fontSize(20).text(invoice.store.name, PAGE_MARGIN, PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(10).text(invoice.store.email);
+    doc.font('Helvetica-Bold').fontSize(16).text('INVOICE', PAGE_MARGIN, PAGE_MARGIN, right);
+    doc.font('Helvetica').fontSize(10)
+        .text(invoice.number, right)
+        .text(`Issued ${invoice.issuedDate}`, right)
+        .text(`Order #${invoice.order.id} of ${invoice.order.date}`, right);
+
+    const addressTop = 140;
+    const addressWidth = 230;
+    const { customer } = invoice;
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill to', PAGE_MARGIN, addressTop);
+    doc.font('Helvetica').text([customer.name, customer.billingAddress, customer.email, customer.phone]
+        .filter(Boolean).join('\n'), { width: addressWidth });
+    const billBottom = doc.y;
+    doc.font('Helvetica-Bold').text('Ship to', PAGE_MARGIN + 265, addressTop);
+    doc.font('Helvetica').text([customer.name, customer.shippingAddress || 'No shipping address']
+        .join('\n'), { width: addressWidth });
+    doc.x = PAGE_MARGIN;
+    doc.y = Math.max(billBottom, doc.y) + 25;
+
+    drawTable(doc, ITEM_COLUMNS, invoice.items.map(item => [
+        item.cancelledQuantity ? `${item.title}\n${item.author} (${item.cancelledQuantity} cancelled)` : `${item.title}\n${item.author}`,
+        item.quantity,
+        formatMoney(item.unitPrice),
+        item.discount ? `-${formatMoney(item.discount)}` : '',
+        formatMoney(item.amount)
+    ]));
+
+    doc.moveDown();
+    const totals = [
+        ['Subtotal', formatMoney(invoice.subtotal)],
+        ['Discounts', `-${formatMoney(invoice.discount)}`],
+        ['Total', formatMoney(invoice.total)],
+        ['Paid', formatMoney(invoice.paid)],
+        ['Balance due', formatMoney(invoice.balanceDue)]
+    ];
+    const totalColumns = [
+        { x: 335, width: 140, align: 'right' },
+        { x: 475, width: 70, align: 'right' }
+    ];
+    totals.forEach(([label, value]) => {
+        const bold = label === 'Total' || label === 'Balance due';
+        drawTableRow(doc, totalColumns, [label, value], { bold });
+    });
+
+    if (invoice.payments.length > 0) {
+        doc.moveDown();
+        doc.font('Helvetica-Bold').fontSize(11).text('Payments', PAGE_MARGIN);
+        doc.moveDown(0.5);
+        drawTable(doc, PAYMENT_COLUMNS, invoice.payments.map(payment => [
+            payment.date,
+            payment.method || '',
+            payment.type,
+            payment.type === 'Refund' ? `-${formatMoney(payment.amount)}` : formatMoney(payment.amount)
+        ]));
+    }
+
+    doc.end();
+}
+
+module.exports = { formatInvoiceNumber, formatMoney, buildInvoice, renderInvoicePdf };
@@ -0,0 +1,106 @@
+// Shared page/pageSize/sort/order and field-filter handling for list endpoints.
+// Only columns named in an endpoint's spec can reach the SQL.
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const FILTER_OPERATORS = {
+    eq: '= ?',
+    like: 'LIKE ?',
+    gte: '>= ?',
+    lte: '<= ?'
+};
+
+function parseFilterValue(raw, type) {
+    if (type === 'number') {
+        const value = Number(raw);
+        return Number.isFinite(value) ? value : undefined;
+    }
+    if (type === 'date') {
+        return /^\d{4}-\d{2}-\d{2}$/.test(raw) && !isNaN(Date.parse(raw)) ? raw : undefined;
+    }
+    if (type === 'boolean') {
+        // Compared as 1/0, which suits BOOLEAN in MySQL and SQLite and BIT in SQL Server
+        if (raw === 'true' || raw === '1') return 1;
+        if (raw === 'false' || raw === '0') return 0;
+        return undefined;
+    }
+    return raw;
+}
+
+// spec: {
+//   sortable: { paramName: 'sql expression' or ['sql expression', ...], ... },
+//   defaultSort, defaultOrder ('asc' | 'desc'), tieBreaker ('sql expression'),
+//   filters: { paramName: { column, op: 'eq' | 'like' | 'gte' | 'lte', type: 'number' | 'date' | 'boolean' } }
+// }
+// Returns { error } for invalid input, otherwise the SQL fragments and their params.
+function parseListQuery(query, spec) {
+    const sortable = spec.sortable || {};
+    const sort = query.sort || spec.defaultSort;
+    if (!Object.prototype.hasOwnProperty.call(sortable, sort)) {
+        return { error: { error: `Cannot sort by "${sort}".`, sortable: Object.keys(sortable) } };
+    }
+
+    const order = String(query.order || spec.defaultOrder || 'asc').toLowerCase();
+    if (order !== 'asc' && order !== 'desc') {
+        return { error: { error: 'order must be "asc" or "desc".' } };
+    }
+
+    const conditions = [];
+    const params = [];
+    const invalidFilters = [];
+    for (const [name, filter] of Object.entries(spec.filters || {})) {
+        const raw = query[name];
+        if (raw === undefined || raw === '') continue;
+        const value = parseFilterValue(String(raw).trim(), filter.type);
+        if (value === undefined) {
+            invalidFilters.push(name);
+            continue;
+        }
+        conditions.push(`${filter.column} ${FILTER_OPERATORS[filter.op || 'eq']}`);
+        params.push(filter.op === 'like' ? `%${value}%` : value);
+    }
+    if (invalidFilters.length > 0) {
+        return { error: { error: 'Invalid filter values.', fields: invalidFilters } };
+    }
+
+    // Without page/pageSize the whole (filtered, sorted) list is returned, which the
+    // dropdowns rely on.
+    const paginated = query.page !== undefined || query.pageSize !== undefined;
+    const page = Math.max(1, parseInt(query.page) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.pageSize) || DEFAULT_PAGE_SIZE));
+
+    const direction = order.toUpperCase();
+    const orderColumns = [].concat(sortable[sort]).map(column => `${column} ${direction}`);
+    if (spec.tieBreaker) orderColumns.push(`${spec.tieBreaker} ${direction}`);
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params,
+        orderBy: `ORDER BY ${orderColumns.join(', ')}`,
+        // The LIMIT/OFFSET clause itself comes from the database dialect (lib/db)
+        paginated,
+        offset: (page - 1) * pageSize,
+        page,
+        pageSize
+    };
+}
+
+// Paginated requests get { items, total, page, pageSize, totalPages }; unpaginated ones
+// keep the plain array. Both carry the total in X-Total-Count.
+function sendList(res, list, items, total) {
+    res.set('X-Total-Count', String(total));
+    if (!list.paginated) return res.json(items);
+    res.json({
+        items,
+        total,
+        page: list.page,
+        pageSize: list.pageSize,
+        totalPages: Math.ceil(total / list.pageSize)
+    });
+}
+
+module.exports = {
+    parseListQuery,
+    sendList
+};
@@ -0,0 +1,118 @@
+// Templates for the notifications the server raises on domain events. {placeholders} are
+// filled from the event's data; unknown placeholders are left as written so typos show up.
+const fs = require('fs');
+
+const NOTIFICATION_TYPES = ['info', 'success', 'warning', 'error'];
+
+const DEFAULT_NOTIFICATION_TEMPLATES = {
+    'order.placed': {
+        headline: 'New Order Placed: #{orderId}',
+        message: 'Order #{orderId} has been placed by {customerName}. Total items: {itemCount}. Total: ${totalAmount}. Payment: {paymentMethod}.',
+        type: 'success',
+        detailsLink: '#orders-panel'
+    },
+    'order.statusChanged': {
+        headline: 'Order Status Update: #{orderId}',
+        message: 'Order #{orderId} status has been changed from "{fromStatus}" to "{toStatus}".',
+        type: 'info',
+        detailsLink: '#orders-panel'
+    },
+    'order.cancelled': {
+        headline: 'Order Cancelled: #{orderId}',
+        message: '{unitCount} unit(s) returned to stock and {refundAmount} refunded{paymentNote}.{reasonNote}',
+        type: 'warning',
+        detailsLink: '#orders-panel'
+    },
+    'order.partiallyCancelled': {
+        headline: 'Order Partially Cancelled: #{orderId}',
+        message: '{unitCount} unit(s) returned to stock and {refundAmount} refunded{paymentNote}.{reasonNote}',
+        type: 'warning',
+        detailsLink: '#orders-panel'
+    },
+    'book.added': {
+        headline: 'Book Added: {title}',
+        message: 'The book "{title}" has been added. Stock: {stock}, Price: ${price}.',
+        type: 'success',
+        detailsLink: '#books-panel'
+    },
+    'book.deleted': {
+        headline: 'Book Deleted: {title}',
+        message: 'The book "{title}" has been deleted.',
+        type: 'info',
+        detailsLink: '#books-panel'
+    },
+    'stock.belowReorderPoint': {
+        headline: 'Low Stock: {title}',
+        message: 'Stock of "{title}" fell to {stock}, at or below its reorder point of {reorderPoint}.',
+        type: 'warning',
+        detailsLink: '#books-panel'
+    },
+    'customer.registered': {
+        headline: 'Customer Registered: {customerName}',
+        message: 'Customer "{customerName}" has been registered. Email: {email}.',
+        type: 'success',
+        detailsLink: '#customers-panel'
+    },
+    'purchaseOrder.received': {
+        headline: 'Stock Received: PO #{purchaseOrderId}',
+        message: '{unitCount} unit(s) across {lineCount} title(s) received. Purchase order is now {status}.',
+        type: 'success',
+        detailsLink: '#purchase-orders-panel'
+    },
+    'import.completed': {
+        headline: 'Import Completed: {entity}',
+        message: '{imported} of {total} {entity} imported.',
+        type: 'success',
+        detailsLink: '#books-panel'
+    },
+    'import.completedWithErrors': {
+        headline: 'Import Completed: {entity}',
+        message: '{imported} of {total} {entity} imported, {skipped} row(s) skipped.',
+        type: 'warning',
+        detailsLink: '#books-panel'
+    }
+};
+
+// Merges overrides from a JSON file ({ "order.placed": { "headline": "...", "enabled": false } })
+// over the defaults. Only known events and fields are accepted, so a bad file fails at startup.
+function loadNotificationTemplates(filePath) {
+    const templates = {};
+    for (const [event, template] of Object.entries(DEFAULT_NOTIFICATION_TEMPLATES)) {
+        templates[event] = { ...template, enabled: true };
+    }
+    if (!filePath) return templates;
+
+    const overrides = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    for (const [event, override] of Object.entries(overrides)) {
+        if (!templates[event]) throw new Error(`Unknown notification event "${event}" in ${filePath}`);
+        for (const [field, value] of Object.entries(override)) {
+            if (field === 'enabled') {
+                if (typeof value !== 'boolean') throw new Error(`${event}.enabled must be true or false in ${filePath}`);
+            } else if (field === 'type') {
+                if (!NOTIFICATION_TYPES.includes(value)) throw new Error(`${event}.type must be one of: ${NOTIFICATION_TYPES.join(', ')} in ${filePath}`);
+            } else if (!['headline', 'message', 'detailsLink'].includes(field) || typeof value !== 'string') {
+                throw new Error(`Invalid field "${field}" for ${event} in ${filePath}`);
+            }
+            templates[event][field] = value;
+        }
+    }
+    return templates;
+}
+
+function fillTemplate(text, data) {
+    return text.replace(/\{(\w+)\}/g, (placeholder, key) =>
+        data[key] === undefined || data[key] === null ? placeholder : String(data[key]));
+}
+
+// Returns { headline, message, type, detailsLink } or null when the event is disabled.
+function renderNotification(template, data) {
+    if (!template || !template.enabled) return null;
+    return {
+        headline: fillTemplate(template.headline, data),
+        message: fillTemplate(template.message, data),
+        type: template.type,
+        detailsLink: fillTemplate(template.detailsLink, data)
+    };
+}
+
+module.exports = { NOTIFICATION_TYPES, DEFAULT_NOTIFICATION_TEMPLATES, loadNotificationTemplates, renderNotification };
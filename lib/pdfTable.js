@@ -0,0 +1,37 @@
+// Table drawing for pdfkit documents, shared by invoices and report exports.
+// columns: [{ label, x, width, align: 'left' | 'right' }], x in points from the page's left edge.
+
+// Draws one row at the current position and moves below it. The row starts a new page
+// (repeating the header, when given) if it would run past the bottom margin.
+function drawTableRow(doc, columns, values, { bold = false, header = null, fontSize = 9 } = {}) {
+    const font = bold ? 'Helvetica-Bold' : 'Helvetica';
+    doc.font(font).fontSize(fontSize);
+    const height = Math.max(...columns.map((column, i) =>
+        doc.heightOfString(String(values[i]), { width: column.width - 6 })));
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        if (header) drawTableRow(doc, columns, header, { bold: true, fontSize });
+        doc.font(font).fontSize(fontSize);
+    }
+    const top = doc.y;
+    columns.forEach((column, i) => {
+        const x = column.align === 'right' ? column.x + 6 : column.x;
+        doc.text(String(values[i]), x, top, { width: column.width - 6, align: column.align || 'left' });
+    });
+    doc.y = top + height + 4;
+    doc.moveTo(doc.page.margins.left, doc.y - 2).lineTo(doc.page.width - doc.page.margins.right, doc.y - 2)
+        .lineWidth(0.5).strokeColor('#dddddd').stroke();
+    doc.x = doc.page.margins.left;
+}
+
+function drawTableHeader(doc, columns, options = {}) {
+    drawTableRow(doc, columns, columns.map(column => column.label), { ...options, bold: true });
+}
+
+function drawTable(doc, columns, rows, options = {}) {
+    const header = columns.map(column => column.label);
+    drawTableHeader(doc, columns, options);
+    rows.forEach(row => drawTableRow(doc, columns, row, { ...options, header }));
+}
+
+module.exports = { drawTableRow, drawTableHeader, drawTable };
@@ -0,0 +1,180 @@
+// Report exports as CSV, XLSX or PDF. Rows are written as they arrive from the database
+// and the writer waits whenever the client falls behind, so an export is never held in
+// memory whole.
+// columns: [{ key, label, type, width }]. type is 'text' (default), 'integer', 'number',
+// 'money' or 'date'; width is relative to the other columns (default 1).
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { toCsvRow } = require('./csv');
+const { drawTableRow, drawTableHeader } = require('./pdfTable');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// The client went away part-way through. Nothing is left to respond to.
+class ExportAbortedError extends Error {
+    constructor() {
+        super('The client closed the connection during the export');
+        this.name = 'ExportAbortedError';
+    }
+}
+
+const pad = number => String(number).padStart(2, '0');
+
+// DATE columns arrive as Dates from the drivers, or as 'YYYY-MM-DD' text from expressions
+function toDateString(value) {
+    if (value instanceof Date) return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    return String(value).slice(0, 10);
+}
+
+// The value typed for the column: a number, a 'YYYY-MM-DD' string, a string, or null
+function cellValue(column, value) {
+    if (value === null || value === undefined || value === '') return null;
+    switch (column.type) {
+        case 'integer': return parseInt(value);
+        case 'number': return Number(value);
+        case 'money': return Math.round(Number(value) * 100) / 100;
+        case 'date': return toDateString(value);
+        default: return String(value);
+    }
+}
+
+function textValue(column, value) {
+    const cell = cellValue(column, value);
+    if (cell === null) return '';
+    return column.type === 'money' ? cell.toFixed(2) : String(cell);
+}
+
+const isNumeric = column => ['integer', 'number', 'money'].includes(column.type);
+
+function waitForDrain(out) {
+    if (out.destroyed) return Promise.reject(new ExportAbortedError());
+    if (!out.writableNeedDrain) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const finish = err => {
+            out.off('drain', onDrain);
+            out.off('close', onClose);
+            if (err) reject(err);
+            else resolve();
+        };
+        const onDrain = () => finish();
+        const onClose = () => finish(new ExportAbortedError());
+        out.on('drain', onDrain);
+        out.on('close', onClose);
+    });
+}
+
+// Spreadsheet apps run a CSV field starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function createCsvWriter(out, { columns }) {
+    // The byte order mark makes Excel read the file as UTF-8
+    out.write(`\uFEFF${toCsvRow(columns.map(column => column.label))}`);
+    return {
+        async write(row) {
+            out.write(toCsvRow(columns.map(column => {
+                const text = textValue(column, row[column.key]);
+                return !isNumeric(column) && FORMULA_PREFIX.test(text) ? `'${text}` : text;
+            })));
+            await waitForDrain(out);
+        },
+        async end() {
+            out.end();
+        }
+    };
+}
+
+const XLSX_FORMATS = { integer: '0', number: '#,##0.##', money: '#,##0.00', date: 'yyyy-mm-dd' };
+
+function createXlsxWriter(out, { title, columns }) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: true });
+    const sheet = workbook.addWorksheet(title.slice(0, 31), { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns.map(column => ({
+        header: column.label,
+        key: column.key,
+        width: 14 * (column.width || 1),
+        style: XLSX_FORMATS[column.type] ? { numFmt: XLSX_FORMATS[column.type] } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+    return {
+        async write(row) {
+            sheet.addRow(columns.map(column => {
+                const cell = cellValue(column, row[column.key]);
+                // Excel dates have no time zone; ExcelJS reads a Date's UTC fields
+                return column.type === 'date' && cell !== null ? new Date(`${cell}T00:00:00Z`) : cell;
+            })).commit();
+            await waitForDrain(out);
+        },
+        async end() {
+            sheet.commit();
+            await workbook.commit();
+        }
+    };
+}
+
+const PDF_MARGIN = 40;
+
+function createPdfWriter(out, { title, subtitle, columns }) {
+    const doc = new PDFDocument({
+        size: 'A4',
+        layout: columns.length > 5 ? 'landscape' : 'portrait',
+        margin: PDF_MARGIN,
+        info: { Title: title }
+    });
+    doc.pipe(out);
+
+    const totalWidth = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+    const usableWidth = doc.page.width - 2 * PDF_MARGIN;
+    let x = PDF_MARGIN;
+    const tableColumns = columns.map(column => {
+        const width = usableWidth * (column.width || 1) / totalWidth;
+        const tableColumn = { label: column.label, x, width, align: isNumeric(column) ? 'right' : 'left' };
+        x += width;
+        return tableColumn;
+    });
+    const header = tableColumns.map(column => column.label);
+
+    doc.font('Helvetica-Bold').fontSize(16).text(title);
+    if (subtitle) doc.font('Helvetica').fontSize(9).fillColor('#555555').text(subtitle).fillColor('black');
+    doc.moveDown();
+    drawTableHeader(doc, tableColumns, { fontSize: 8 });
+
+    return {
+        async write(row) {
+            drawTableRow(doc, tableColumns, columns.map(column => textValue(column, row[column.key])), { header, fontSize: 8 });
+            await waitForDrain(out);
+        },
+        async end() {
+            doc.end();
+        }
+    };
+}
+
+const WRITERS = { csv: createCsvWriter, xlsx: createXlsxWriter, pdf: createPdfWriter };
+
+// Streams rows (an async iterable of row objects) to res as an attachment. The first row is
+// read before anything is sent, so a failing query can still get an error response.
+// Rejects with ExportAbortedError if the client disconnects.
+async function sendExport(res, { format, filename, title, subtitle, columns, rows }) {
+    const iterator = rows[Symbol.asyncIterator]();
+    let next = await iterator.next();
+    try {
+        const { contentType, extension } = EXPORT_FORMATS[format];
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+        const writer = WRITERS[format](res, { title, subtitle, columns });
+        while (!next.done) {
+            await writer.write(next.value);
+            next = await iterator.next();
+        }
+        await writer.end();
+    } finally {
+        // Stopping early lets the driver release the query
+        if (!next.done && iterator.return) await iterator.return();
+    }
+}
+
+module.exports = { EXPORT_FORMATS, ExportAbortedError, sendExport };
@@ -0,0 +1,172 @@
+// Declarative request validation. A route declares the fields it reads from params, query
+// and body, and validateRequest() checks them all before the handler runs:
+//   validateRequest({ params: { id: ID }, body: { price: { type: 'number', required: true, min: 0 } } })
+// Every failing field is reported at once, with status 400:
+//   { error: 'Invalid request.', errors: [{ location: 'body', field: 'price', message: 'must be a number of at least 0' }] }
+// Values that pass are converted to their type ("12" becomes 12, an ISBN loses its hyphens,
+// an enum takes its canonical casing), so the handler gets typed input. Fields a schema does
+// not declare are passed through untouched.
+//
+// Field rules:
+//   type        'string' (default), 'integer', 'number', 'boolean', 'date' (YYYY-MM-DD),
+//               'email', 'isbn' (ISBN-10 or ISBN-13 with a correct check digit), 'enum',
+//               'array' or 'object'
+//   required    must be present; empty strings and null count as missing
+//   min, max    bounds for integers and numbers
+//   maxLength   for strings and emails
+//   values      the allowed values of an enum, matched ignoring case
+//   items       the rule every element of an array must pass; minItems for its length
+//   fields      the field rules of an object
+//   check       value => message or null, for anything the rules above can't express
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// A real calendar date in YYYY-MM-DD form; Date.parse alone accepts 2024-02-31
+function isValidDateString(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// The ISBN with hyphens and spaces removed, or null if the check digit is wrong
+function normalizeIsbn(value) {
+    const isbn = String(value).replace(/[\s-]/g, '').toUpperCase();
+    if (/^\d{9}[\dX]$/.test(isbn)) {
+        const sum = [...isbn].reduce((total, char, i) => total + (char === 'X' ? 10 : Number(char)) * (10 - i), 0);
+        return sum % 11 === 0 ? isbn : null;
+    }
+    if (/^97[89]\d{10}$/.test(isbn)) {
+        const sum = [...isbn].reduce((total, char, i) => total + Number(char) * (i % 2 === 0 ? 1 : 3), 0);
+        return sum % 10 === 0 ? isbn : null;
+    }
+    return null;
+}
+
+const isMissing = value => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function describeRange(noun, { min, max }) {
+    if (min !== undefined && max !== undefined) return `must be ${noun} from ${min} to ${max}`;
+    if (min !== undefined) return `must be ${noun} of at least ${min}`;
+    if (max !== undefined) return `must be ${noun} of at most ${max}`;
+    return `must be ${noun}`;
+}
+
+function inRange(rule, value) {
+    return (rule.min === undefined || value >= rule.min) && (rule.max === undefined || value <= rule.max);
+}
+
+// Returns { value } with the converted value, or { message } saying what is wrong
+function checkValue(rule, value, report) {
+    switch (rule.type || 'string') {
+        case 'string': {
+            if (typeof value !== 'string' && typeof value !== 'number') return { message: 'must be text' };
+            const text = String(value);
+            if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+                return { message: `must be at most ${rule.maxLength} characters` };
+            }
+            return { value: text };
+        }
+        case 'integer': {
+            const number = typeof value === 'string' ? Number(value.trim()) : value;
+            if (typeof number !== 'number' || !Number.isInteger(number) || !inRange(rule, number)) {
+                return { message: describeRange('a whole number', rule) };
+            }
+            return { value: number };
+        }
+        case 'number': {
+            const number = typeof value === 'string' ? Number(value.trim()) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number) || !inRange(rule, number)) {
+                return { message: describeRange('a number', rule) };
+            }
+            return { value: number };
+        }
+        case 'boolean':
+            if (value === true || value === 'true') return { value: true };
+            if (value === false || value === 'false') return { value: false };
+            return { message: 'must be true or false' };
+        case 'date':
+            if (!isValidDateString(value)) return { message: 'must be a date in YYYY-MM-DD format' };
+            return { value };
+        case 'email':
+            if (typeof value !== 'string' || !EMAIL_PATTERN.test(value)) return { message: 'must be a valid email address' };
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return { message: `must be at most ${rule.maxLength} characters` };
+            }
+            return { value };
+        case 'isbn': {
+            const isbn = typeof value === 'string' || typeof value === 'number' ? normalizeIsbn(value) : null;
+            if (!isbn) return { message: 'must be a valid ISBN-10 or ISBN-13' };
+            return { value: isbn };
+        }
+        case 'enum': {
+            const match = rule.values.find(allowed => String(allowed).toLowerCase() === String(value).toLowerCase());
+            if (match === undefined) return { message: `must be one of: ${rule.values.join(', ')}` };
+            return { value: match };
+        }
+        case 'array':
+            if (!Array.isArray(value)) return { message: 'must be a list' };
+            if (rule.minItems !== undefined && value.length < rule.minItems) {
+                return { message: `must have at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}` };
+            }
+            return { value: value.map((item, i) => checkField(rule.items, item, `[${i}]`, report)) };
+        case 'object':
+            if (!isPlainObject(value)) return { message: 'must be an object' };
+            return { value: checkFields(rule.fields, value, report) };
+        default:
+            throw new Error(`Unknown validation type "${rule.type}"`);
+    }
+}
+
+// Checks one value, reporting failures as (relativeField, message); returns the converted value
+function checkField(rule, value, field, report) {
+    if (isMissing(value)) {
+        if (rule.required) report(field, 'is required');
+        return value;
+    }
+    const nestedReport = (nested, message) => report(`${field}${nested.startsWith('[') ? '' : '.'}${nested}`, message);
+    const result = checkValue(rule, value, nestedReport);
+    if (result.message) {
+        report(field, result.message);
+        return value;
+    }
+    const problem = rule.check ? rule.check(result.value) : null;
+    if (problem) report(field, problem);
+    return result.value;
+}
+
+function checkFields(fields, source, report) {
+    const checked = { ...source };
+    for (const [name, rule] of Object.entries(fields)) {
+        const value = checkField(rule, source[name], name, report);
+        if (value !== undefined) checked[name] = value;
+    }
+    return checked;
+}
+
+// Express middleware checking req.params, req.query and req.body against the schema
+function validateRequest(schema) {
+    return (req, res, next) => {
+        const errors = [];
+        const checked = {};
+        for (const location of ['params', 'query', 'body']) {
+            if (!schema[location]) continue;
+            const report = (field, message) => errors.push({ location, field, message });
+            const source = req[location] === undefined ? {} : req[location];
+            if (!isPlainObject(source)) {
+                errors.push({ location, field: '', message: 'must be a JSON object' });
+                continue;
+            }
+            checked[location] = checkFields(schema[location], source, report);
+        }
+        if (errors.length > 0) return res.status(400).json({ error: 'Invalid request.', errors });
+
+        if (checked.params) req.params = checked.params;
+        if (checked.body) req.body = checked.body;
+        // Express computes req.query on each access, so the converted copy has to shadow it
+        if (checked.query) Object.defineProperty(req, 'query', { value: checked.query, writable: true, configurable: true, enumerable: true });
+        next();
+    };
+}
+
+module.exports = { EMAIL_PATTERN, isValidDateString, normalizeIsbn, validateRequest };
@@ -0,0 +1,74 @@
+// liveUpdates.js
+// Subscribes to the server's /api/events stream (Server-Sent Events). EventSource retries
+// dropped connections by itself and resends Last-Event-ID; when the server refuses the
+// stream (e.g. it was restarting) we open a new one after a backoff and pass the last id
+// as ?lastEventId= so missed events are still replayed.
+
+const LIVE_EVENT_TYPES = ['notification', 'order', 'stock', 'kpis', 'reset'];
+const LIVE_RECONNECT_MIN_MS = 2000;
+const LIVE_RECONNECT_MAX_MS = 60000;
+
+let liveEventSource = null;
+let liveLastEventId = null;
+let liveReconnectDelay = LIVE_RECONNECT_MIN_MS;
+let liveReconnectTimer = null;
+const liveEventHandlers = {};
+
+// handler(data) is called for every event of that type
+function onLiveEvent(type, handler) {
+    (liveEventHandlers[type] = liveEventHandlers[type] || []).push(handler);
+}
+
+function dispatchLiveEvent(type, event) {
+    if (event.lastEventId) liveLastEventId = event.lastEventId;
+    let data = null;
+    try {
+        data = JSON.parse(event.data);
+    } catch (error) {
+        console.warn(`Ignoring malformed ${type} event:`, event.data);
+        return;
+    }
+    (liveEventHandlers[type] || []).forEach(handler => {
+        try {
+            handler(data);
+        } catch (error) {
+            console.error(`Error handling ${type} event:`, error);
+        }
+    });
+}
+
+function connectLiveUpdates() {
+    if (liveEventSource || typeof EventSource === 'undefined') return;
+    const url = liveLastEventId ? `/api/events?lastEventId=${encodeURIComponent(liveLastEventId)}` : '/api/events';
+    liveEventSource = new EventSource(url);
+
+    liveEventSource.addEventListener('open', () => {
+        liveReconnectDelay = LIVE_RECONNECT_MIN_MS;
+    });
+    LIVE_EVENT_TYPES.forEach(type => {
+        liveEventSource.addEventListener(type, event => dispatchLiveEvent(type, event));
+    });
+    liveEventSource.addEventListener('error', () => {
+        // CONNECTING means the browser is already retrying on its own
+        if (!liveEventSource || liveEventSource.readyState !== EventSource.CLOSED) return;
+        liveEventSource = null;
+        liveReconnectTimer = setTimeout(() => {
+            liveReconnectTimer = null;
+            connectLiveUpdates();
+        }, liveReconnectDelay);
+        liveReconnectDelay = Math.min(liveReconnectDelay * 2, LIVE_RECONNECT_MAX_MS);
+    });
+}
+
+function disconnectLiveUpdates() {
+    if (liveReconnectTimer) {
+        clearTimeout(liveReconnectTimer);
+        liveReconnectTimer = null;
+    }
+    if (liveEventSource) {
+        liveEventSource.close();
+        liveEventSource = null;
+    }
+    liveLastEventId = null;
+    liveReconnectDelay = LIVE_RECONNECT_MIN_MS;
+}
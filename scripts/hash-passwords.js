@@ -0,0 +1,40 @@
+// One-off migration: replaces plaintext Admins.AdminPass and Customers.Password values
+// with scrypt hashes. Safe to re-run; already-hashed rows are skipped.
+// Usage: node scripts/hash-passwords.js
+require('dotenv').config();
+const { createDatabase, databaseConfigFromEnv } = require('../lib/db');
+const { isPasswordHash, hashPassword } = require('../lib/auth');
+
+const targets = [
+    { table: 'Admins', idColumn: 'AdminID', passwordColumn: 'AdminPass' },
+    { table: 'Customers', idColumn: 'CustomerID', passwordColumn: 'Password' }
+];
+
+async function main() {
+    const db = await createDatabase(databaseConfigFromEnv());
+
+    try {
+        for (const { table, idColumn, passwordColumn } of targets) {
+            const [rows] = await db.query(
+                `SELECT ${idColumn} AS id, ${passwordColumn} AS password FROM ${table} WHERE ${passwordColumn} IS NOT NULL AND ${passwordColumn} != ''`
+            );
+            let updated = 0;
+            for (const row of rows) {
+                if (isPasswordHash(row.password)) continue;
+                await db.query(
+                    `UPDATE ${table} SET ${passwordColumn} = ? WHERE ${idColumn} = ?`,
+                    [await hashPassword(row.password), row.id]
+                );
+                updated++;
+            }
+            console.log(`${table}: hashed ${updated} of ${rows.length} password(s).`);
+        }
+    } finally {
+        await db.end();
+    }
+}
+
+main().catch(err => {
+    console.error('Password migration failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,69 @@
+// One-off migration: loads notifications.json into the Notifications table
+// (db/migrations/009_notifications.sql). Safe to re-run; ids already in the table are skipped.
+// Timestamps mangled by the old body-lowercasing middleware ("2025-05-31t18:45:07.141z")
+// are repaired; entries without a usable headline, message or timestamp are reported and skipped.
+// Usage: node scripts/import-notifications.js [path/to/notifications.json]
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { createDatabase, databaseConfigFromEnv, DB_ERRORS } = require('../lib/db');
+const { NOTIFICATION_TYPES } = require('../lib/notificationTemplates');
+
+function toRow(entry, read) {
+    if (!entry || typeof entry !== 'object') return null;
+    const createdAt = new Date(String(entry.timestamp || '').toUpperCase());
+    if (!entry.id || !entry.headline || !entry.message || Number.isNaN(createdAt.getTime())) return null;
+    const type = String(entry.type || '').toLowerCase();
+    return [
+        String(entry.id),
+        String(entry.headline),
+        String(entry.message),
+        NOTIFICATION_TYPES.includes(type) ? type : 'info',
+        entry.detailsLink || '#',
+        read,
+        createdAt
+    ];
+}
+
+async function main() {
+    const filePath = process.argv[2] || path.join(__dirname, '..', 'notifications.json');
+    const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    const entries = [
+        ...(Array.isArray(data.unread) ? data.unread : []).map(entry => [entry, false]),
+        ...(Array.isArray(data.read) ? data.read : []).map(entry => [entry, true])
+    ];
+
+    const db = await createDatabase(databaseConfigFromEnv());
+
+    try {
+        let imported = 0;
+        let skipped = 0;
+        for (const [entry, read] of entries) {
+            const row = toRow(entry, read);
+            if (!row) {
+                console.warn('Skipping invalid notification:', JSON.stringify(entry));
+                skipped++;
+                continue;
+            }
+            try {
+                await db.query(
+                    `INSERT INTO Notifications (NotificationID, Headline, Message, Type, DetailsLink, IsRead, CreatedAt)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    row
+                );
+                imported++;
+            } catch (err) {
+                // Already imported
+                if (err.code !== DB_ERRORS.DUPLICATE_ENTRY) throw err;
+            }
+        }
+        console.log(`Notifications: imported ${imported} of ${entries.length}, skipped ${skipped} invalid.`);
+    } finally {
+        await db.end();
+    }
+}
+
+main().catch(err => {
+    console.error('Notification import failed:', err);
+    process.exit(1);
+});
@@ -1,155 +1,313 @@
 require('dotenv').config();
 const express = require('express');
-const mysql = require('mysql2/promise');
 const path = require('path');
-const fs = require('fs').promises;
+const crypto = require('crypto');
+const {
+    hashPassword, verifyPassword, createSessionToken, setSessionCookie, clearSessionCookie,
+    loadSession, requireRole
+} = require('./lib/auth');
+const { createDatabase, databaseConfigFromEnv, getDialect, DB_ERRORS } = require('./lib/db');
+const { parseListQuery, sendList } = require('./lib/listQuery');
+const { parseCsv } = require('./lib/csv');
+const { EXPORT_FORMATS, ExportAbortedError, sendExport } = require('./lib/reportExport');
+const { BOOK_FORMATS, IMPORT_ENTITIES, validateImportRow } = require('./lib/bulkImport');
+const { assessStockoutRisk, compareStockoutRisk } = require('./lib/inventory');
+const { NOTIFICATION_TYPES, loadNotificationTemplates, renderNotification } = require('./lib/notificationTemplates');
+const { createEventHub } = require('./lib/eventHub');
+const { normalizeFields, uniqueKey, uniqueCaseInsensitiveFields, applyDisplayCase } = require('./lib/fieldRules');
+const { formatInvoiceNumber, formatMoney, buildInvoice, renderInvoicePdf } = require('./lib/invoice');
+const { isValidDateString, validateRequest } = require('./lib/validation');
+const { COVER_URL_PATH, CoverImageError, createCoverStore } = require('./lib/covers');
+const multer = require('multer');
 
 const app = express();
 const port = process.env.PORT || 3000;
-
-// MySQL Connection Pool
+// Server-rendered pages (invoices); the admin app itself is static HTML in public/
+app.set('view engine', 'ejs');
+app.set('views', path.join(__dirname, 'views'));
+
+// Database pool from lib/db. DB_CLIENT picks MySQL (default), SQL Server or SQLite; SQL
+// that differs between them is taken from `dialect`.
+const dbConfig = databaseConfigFromEnv();
+const dialect = getDialect(dbConfig.client);
 let pool;
 
 async function connectDb() {
     try {
         console.log('Attempting to connect to database...');
-        pool = mysql.createPool({
-            host: process.env.DB_HOST,
-            user: process.env.DB_USER,
-            password: process.env.DB_PASSWORD,
-            database: process.env.DB_NAME,
-            port: process.env.DB_PORT || 3306,
-            waitForConnections: true,
-            connectionLimit: 10,
-            queueLimit: 0
-        });
-        
-        // Test connection
-        const connection = await pool.getConnection();
-        console.log(`Connected to database "${process.env.DB_NAME}" successfully!`);
-        connection.release();
+        pool = await createDatabase(dbConfig);
+        console.log(`Connected to ${dbConfig.client} database "${pool.name}" successfully!`);
     } catch (err) {
         console.error('Database connection failed:', err);
         process.exit(1);
     }
 }
 
+// Bulk imports send whole spreadsheets, so they get a larger body limit and accept raw CSV.
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || '5mb';
+// Reorder point for books that don't set their own
+const DEFAULT_REORDER_POINT = parseInt(process.env.DEFAULT_REORDER_POINT) || 10;
+// Uploaded book covers: where they are stored, the largest upload accepted, and whether books
+// without one use Open Library's cover for their ISBN
+const covers = createCoverStore({
+    dir: process.env.COVERS_DIR || path.join(__dirname, 'uploads', 'covers'),
+    remoteFallback: process.env.COVER_REMOTE_FALLBACK !== 'false'
+});
+const COVER_MAX_BYTES = parseInt(process.env.COVER_MAX_BYTES) || 5 * 1024 * 1024;
+// Per-event notification templates, optionally overridden from a JSON file
+const notificationTemplates = loadNotificationTemplates(process.env.NOTIFICATION_TEMPLATES_FILE);
+app.use('/api/import', express.json({ limit: IMPORT_BODY_LIMIT }), express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_BODY_LIMIT }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Middleware to lowercase string values in req.body for POST and PUT requests
-app.use((req, res, next) => {
-    if ((req.method === 'POST' || req.method === 'PUT') && req.body) {
-        const exceptions = [
-            'password', 'adminpass', 'format', 'paymentmethod', 'status',
-            'email', 'isbn'
-        ];
-        for (const key in req.body) {
-            if (Object.prototype.hasOwnProperty.call(req.body, key) && typeof req.body[key] === 'string') {
-                if (!exceptions.includes(key.toLowerCase())) {
-                    req.body[key] = req.body[key].toLowerCase();
-                }
-            }
+// Route-level middleware: trims and normalizes the fields declared for the entity in
+// lib/fieldRules.js. Everything is stored with the casing it was sent in.
+function normalizeBody(entity) {
+    return (req, res, next) => {
+        if (req.body && typeof req.body === 'object' && !Array.isArray(req.body)) {
+            req.body = normalizeFields(entity, req.body);
+        }
+        next();
+    };
+}
+
+// Route schemas for validateRequest() (lib/validation.js) are declared next to their routes.
+// Most routes take a numeric :id.
+const ID_PARAMS = { id: { type: 'integer', required: true, min: 1 } };
+
+// Tables behind the fields declared uniqueCaseInsensitive. The UNIQUE constraints still back
+// these checks up; MySQL's default collation compares case-insensitively as well.
+const UNIQUE_FIELD_COLUMNS = {
+    books: { table: 'Books', idColumn: 'BookID', columns: { title: 'Title' } },
+    genres: { table: 'Genres', idColumn: 'GenreID', columns: { name: 'Name' } },
+    customers: { table: 'Customers', idColumn: 'CustomerID', columns: { email: 'Email' } },
+    admins: { table: 'Admins', idColumn: 'AdminID', columns: { email: 'Email' } }
+};
+
+// Returns the first unique field whose value another row already uses, ignoring case, or null.
+async function findCaseInsensitiveDuplicate(db, entity, values, excludeId = null) {
+    const { table, idColumn, columns } = UNIQUE_FIELD_COLUMNS[entity];
+    for (const field of uniqueCaseInsensitiveFields(entity)) {
+        if (values[field] === undefined || values[field] === null || values[field] === '') continue;
+        const params = [uniqueKey(entity, field, values[field])];
+        let query = `SELECT ${idColumn} FROM ${table} WHERE LOWER(${columns[field]}) = ?`;
+        if (excludeId !== null) {
+            query += ` AND ${idColumn} <> ?`;
+            params.push(excludeId);
         }
+        const [rows] = await db.query(`${query} ORDER BY ${idColumn} ${dialect.limit(1)}`, params);
+        if (rows.length > 0) return field;
     }
-    next();
-});
+    return null;
+}
 
 app.use(express.static(path.join(__dirname, 'public')));
-
-// Helper function to convert string to Title Case
-function toTitleCase(str) {
-    if (!str || typeof str !== 'string') return str;
-    return str.toLowerCase().split(' ').map(word => {
-        return word.charAt(0).toUpperCase() + word.slice(1);
-    }).join(' ');
+// Every upload gets new file names, so a cover file never changes once written
+app.use(COVER_URL_PATH, express.static(covers.dir, { immutable: true, maxAge: '365d' }));
+
+// Replaces a Books row's CoverFile with the URLs of its cover and thumbnail
+function withCoverUrls(book) {
+    const { CoverFile, ...rest } = book;
+    const { cover, thumbnail } = covers.urls(book);
+    return { ...rest, BookCover: cover, BookCoverThumb: thumbnail };
 }
 
-const titleCaseExceptions = [
-    'password', 'adminpass', 'email', 'isbn', 'bookcover',
-    'format', 'paymentmethod', 'status', 'language', 'code',
-    'timestamp', 'date', 'createddate', 'orderdate', 'publicationdate',
-    'paymentdate', 'lastlogindate', 'updateddate',
-    'url', 'uri', 'path', 'href'
+// --- Authentication & Authorization ---
+// Login and logout are open. A few read routes are shared with customers (handlers
+// enforce ownership); every other /api route requires an admin session.
+const publicApiRoutes = [
+    { method: 'POST', path: /^\/admin\/login$/ },
+    { method: 'POST', path: /^\/auth\/logout$/ }
+];
+const customerApiRoutes = [
+    { method: 'GET', path: /^\/auth\/session$/ },
+    { method: 'GET', path: /^\/customers\/\d+\/orders$/ },
+    { method: 'GET', path: /^\/customers\/\d+\/export$/ },
+    { method: 'GET', path: /^\/orders\/\d+\/invoice$/ }
 ];
 
-function transformDataForTitleCasing(data) {
-    if (Array.isArray(data)) {
-        return data.map(item => transformDataForTitleCasing(item));
-    } else if (typeof data === 'object' && data !== null) {
-        const newData = {};
-        for (const key in data) {
-            if (Object.prototype.hasOwnProperty.call(data, key)) {
-                const lowerKey = key.toLowerCase();
-                const isExceptionKey = titleCaseExceptions.includes(lowerKey) ||
-                    lowerKey.endsWith('id') || lowerKey.endsWith('url') ||
-                    lowerKey.endsWith('uri') || lowerKey.endsWith('path');
-
-                if (typeof data[key] === 'string') {
-                    const dateRegex = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?|\s\d{2}:\d{2}:\d{2}(\.\d{3})?)?$/;
-
-                    if (!isExceptionKey && !dateRegex.test(data[key])) {
-                        newData[key] = toTitleCase(data[key]);
-                    } else {
-                        newData[key] = data[key];
-                    }
-                } else if (typeof data[key] === 'object' && data[key] !== null) {
-                    newData[key] = transformDataForTitleCasing(data[key]);
-                } else {
-                    newData[key] = data[key];
-                }
-            }
+// IsActive comes back as 0/1, true/false or NULL (Admins) depending on the driver
+const isActiveFlag = value => value !== 0 && value !== false;
+
+// Session tokens are stateless, so each request also checks the account behind the token:
+// it must still exist, be active, and have the SessionVersion signed into the token, and the
+// token itself must not have been signed out (RevokedSessions). Bumping the version ends
+// every session the account has.
+const SESSION_ACCOUNTS = {
+    admin: { table: 'Admins', idColumn: 'AdminID' },
+    customer: { table: 'Customers', idColumn: 'CustomerID' }
+};
+
+async function checkSessionAccount(req, res, next) {
+    if (!req.session || !pool) return next();
+    const account = SESSION_ACCOUNTS[req.session.role];
+    try {
+        const [rows] = account
+            ? await pool.query(`
+                SELECT a.IsActive, a.SessionVersion, r.TokenID AS RevokedTokenID
+                FROM ${account.table} a
+                LEFT JOIN RevokedSessions r ON r.TokenID = ?
+                WHERE a.${account.idColumn} = ?
+            `, [req.session.tokenId, req.session.userId])
+            : [[]];
+        if (rows.length === 0 || !isActiveFlag(rows[0].IsActive) || rows[0].SessionVersion !== req.session.version
+            || rows[0].RevokedTokenID) {
+            req.session = null;
         }
-        return newData;
+        next();
+    } catch (err) {
+        next(err);
     }
-    return data;
 }
 
-// Middleware to Title Case string values in GET JSON responses
-app.use((req, res, next) => {
-    if (req.method === 'GET') {
-        const originalJson = res.json;
-        res.json = function (body) {
-            const transformedBody = (typeof body === 'object' && body !== null)
-                ? transformDataForTitleCasing(body)
-                : body;
-            originalJson.call(this, transformedBody);
-        };
-    }
-    next();
+app.use('/api', loadSession, checkSessionAccount, (req, res, next) => {
+    const matches = routes => routes.some(route => route.method === req.method && route.path.test(req.path));
+    if (matches(publicApiRoutes)) return next();
+    if (matches(customerApiRoutes)) return requireRole('admin', 'customer')(req, res, next);
+    return requireRole('admin')(req, res, next);
 });
 
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Runs a list query built by parseListQuery. The COUNT is only needed when paginating.
+async function queryList(list, { select, selectParams = [], from }) {
+    const page = list.paginated ? dialect.paginate(list.pageSize, list.offset) : { sql: '', params: [] };
+    const [items] = await pool.query(
+        `${select} ${from} ${list.where} ${list.orderBy} ${page.sql}`,
+        [...selectParams, ...list.params, ...page.params]
+    );
+    if (!list.paginated) return { items, total: items.length };
+    const [countRows] = await pool.query(`SELECT COUNT(*) AS Total ${from} ${list.where}`, list.params);
+    return { items, total: countRows[0].Total };
+}
+
+// Value of the units still on an order line (alias od) at the price captured when it was
+// sold. Cancelled units take their share of the line discount with them.
+const NET_LINE_TOTAL = 'od.LineTotal * (od.Quantity - od.CancelledQuantity) / od.Quantity';
+
 // --- KPIs ---
+async function loadKpis() {
+    const [totalBooksResult] = await pool.query('SELECT COUNT(*) AS TotalBooks FROM Books');
+    const [totalOrdersResult] = await pool.query('SELECT COUNT(*) AS TotalOrders FROM Orders');
+    const [totalRevenueResult] = await pool.query(`
+        SELECT SUM(CASE WHEN p.PaymentType = 'Refund' THEN -p.Amount ELSE p.Amount END) AS TotalRevenue 
+        FROM Payments p
+        JOIN Orders o ON p.OrderID = o.OrderID
+        WHERE o.Status = 'Completed'
+    `);
+    const revenue = totalRevenueResult[0].TotalRevenue || 0;
+    const [totalCustomersResult] = await pool.query('SELECT COUNT(*) AS TotalCustomers FROM Customers');
+
+    return {
+        totalBooks: totalBooksResult[0].TotalBooks,
+        totalOrders: totalOrdersResult[0].TotalOrders,
+        totalRevenue: revenue,
+        newCustomers: totalCustomersResult[0].TotalCustomers
+    };
+}
+
 app.get('/api/kpis', async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
     try {
-        const [totalBooksResult] = await pool.query('SELECT COUNT(*) AS TotalBooks FROM Books');
-        const [totalOrdersResult] = await pool.query('SELECT COUNT(*) AS TotalOrders FROM Orders');
-        const [totalRevenueResult] = await pool.query(`
-            SELECT SUM(p.Amount) AS TotalRevenue 
-            FROM Payments p
-            JOIN Orders o ON p.OrderID = o.OrderID
-            WHERE o.Status = 'Completed'
-        `);
-        const revenue = totalRevenueResult[0].TotalRevenue || 0;
-        const [totalCustomersResult] = await pool.query('SELECT COUNT(*) AS TotalCustomers FROM Customers');
-
-        res.json({
-            totalBooks: totalBooksResult[0].TotalBooks,
-            totalOrders: totalOrdersResult[0].TotalOrders,
-            totalRevenue: revenue,
-            newCustomers: totalCustomersResult[0].TotalCustomers
-        });
+        res.json(await loadKpis());
     } catch (err) {
         console.error('Error fetching KPIs:', err);
-        res.status(500).json({ error: 'Failed to fetch KPIs', details: err.message });
+        res.status(500).json({ error: 'Failed to fetch KPIs' });
     }
 });
 
+// --- Live events ---
+// GET /api/events is a Server-Sent Events stream of notification, order, stock and kpis
+// events. Changes made inside a transaction are queued on its connection and only
+// published once it commits, so clients never see work that was rolled back.
+const eventHub = createEventHub();
+const SSE_RETRY_MS = 3000;
+// Bursts of changes (a multi-line order, a delivery) produce one KPI update
+const KPI_UPDATE_DELAY_MS = 1000;
+// pool.getConnection() hands out a fresh wrapper each time, so a queue left behind by a
+// rollback goes away with the released connection.
+const pendingLiveEvents = new WeakMap();
+let lastPublishedKpis = null;
+let kpiUpdateTimer = null;
+// Open streams by account ("admin:3"), each with the token id it was opened with, so ending
+// an account's sessions (or one token's) ends its streams too
+const liveStreams = new Map();
+
+function endLiveStreams(role, userId, tokenId = null) {
+    const streams = liveStreams.get(`${role}:${userId}`);
+    if (!streams) return;
+    streams.forEach((streamTokenId, stream) => {
+        if (!tokenId || streamTokenId === tokenId) stream.end();
+    });
+}
+
+function publishLiveEvent(type, data) {
+    eventHub.publish(type, data);
+    if (type !== 'kpis') scheduleKpiUpdate();
+}
+
+function publishAfterCommit(db, type, data) {
+    if (db === pool) return publishLiveEvent(type, data);
+    if (!pendingLiveEvents.has(db)) pendingLiveEvents.set(db, []);
+    pendingLiveEvents.get(db).push([type, data]);
+}
+
+async function commitAndPublish(connection) {
+    await connection.commit();
+    const events = pendingLiveEvents.get(connection) || [];
+    pendingLiveEvents.delete(connection);
+    events.forEach(([type, data]) => publishLiveEvent(type, data));
+}
+
+function scheduleKpiUpdate() {
+    if (kpiUpdateTimer || eventHub.clientCount === 0) return;
+    kpiUpdateTimer = setTimeout(async () => {
+        kpiUpdateTimer = null;
+        try {
+            const kpis = await loadKpis();
+            const previous = lastPublishedKpis;
+            const changed = !previous || Object.keys(kpis).some(key => Number(kpis[key]) !== Number(previous[key]));
+            if (!changed) return;
+            const deltas = previous
+                ? Object.fromEntries(Object.keys(kpis).map(key => [key, Math.round((Number(kpis[key]) - Number(previous[key])) * 100) / 100]))
+                : null;
+            lastPublishedKpis = kpis;
+            eventHub.publish('kpis', { ...kpis, deltas });
+        } catch (err) {
+            console.error('Error publishing KPI update:', err);
+        }
+    }, KPI_UPDATE_DELAY_MS);
+}
+
+// Browsers resume with the Last-Event-ID header; ?lastEventId= serves clients that open a
+// new EventSource after a failed reconnect.
+app.get('/api/events', (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+    const unsubscribe = eventHub.subscribe(res, req.get('Last-Event-ID') || req.query.lastEventId);
+
+    // The stream must not outlive the session that opened it: it ends when the token expires,
+    // or earlier through endLiveStreams()
+    const account = `${req.session.role}:${req.session.userId}`;
+    if (!liveStreams.has(account)) liveStreams.set(account, new Map());
+    liveStreams.get(account).set(res, req.session.tokenId);
+    const expiry = setTimeout(() => res.end(), Math.max(req.session.expiresAt - Date.now(), 0));
+    res.on('close', () => {
+        clearTimeout(expiry);
+        unsubscribe();
+        const streams = liveStreams.get(account);
+        streams.delete(res);
+        if (streams.size === 0) liveStreams.delete(account);
+    });
+});
+
 app.get('/api/recent-orders', async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
     try {
@@ -157,12 +315,12 @@ app.get('/api/recent-orders', async (req, res) => {
             SELECT OrderID, CustomerName, OrderDate, TotalAmount, Status 
             FROM OrderSummary 
             ORDER BY OrderDate DESC, OrderID DESC
-            LIMIT 5
+            ${dialect.limit(5)}
         `);
         res.json(result.map(order => ({ ...order, amount: order.TotalAmount })));
     } catch (err) {
         console.error('Error fetching recent orders:', err);
-        res.status(500).json({ error: 'Failed to fetch recent orders', details: err.message });
+        res.status(500).json({ error: 'Failed to fetch recent orders' });
     }
 });
 
@@ -171,43 +329,63 @@ app.get('/api/top-selling-books', async (req, res) => {
     try {
         const [result] = await pool.query(`
             SELECT b.BookID, b.Title, a.Name AS AuthorName, b.Price, b.Stock, 
-                   SUM(od.Quantity) AS TotalSold, b.Genre, b.Format, b.Language, 
-                   b.PublicationDate, b.ISBN
+                   SUM(od.Quantity - od.CancelledQuantity) AS TotalSold, SUM(${NET_LINE_TOTAL}) AS Revenue,
+                   g.Name AS Genre, b.Format, b.Language, b.PublicationDate, b.ISBN, b.CoverFile
             FROM Books b
             JOIN Authors a ON b.AuthorID = a.AuthorID
             JOIN OrderDetails od ON b.BookID = od.BookID
-            GROUP BY b.BookID, b.Title, a.Name, b.Price, b.Stock, b.Genre, b.Format, 
-                     b.Language, b.PublicationDate, b.ISBN
+            LEFT JOIN Genres g ON b.GenreID = g.GenreID
+            GROUP BY b.BookID, b.Title, a.Name, b.Price, b.Stock, g.Name, b.Format, 
+                     b.Language, b.PublicationDate, b.ISBN, b.CoverFile
+            HAVING SUM(od.Quantity - od.CancelledQuantity) > 0
             ORDER BY TotalSold DESC
-            LIMIT 5
+            ${dialect.limit(5)}
         `);
-        res.json(result.map(book => ({
-            id: book.BookID, title: book.Title, author: book.AuthorName, 
-            price: parseFloat(book.Price), stock: book.Stock, sales: book.TotalSold,
-            category: book.Genre, format: book.Format, language: book.Language,
-            publicationDate: book.PublicationDate, rating: 4.0, reviews: 0,
-            isbn: book.ISBN,
-            bookCover: book.ISBN ? `https://covers.openlibrary.org/b/isbn/${book.ISBN}-M.jpg` : 
-                      'https://via.placeholder.com/120x180.png?text=No+Cover'
+        res.json(applyDisplayCase('books', result.map(book => {
+            const { cover, thumbnail } = covers.urls(book);
+            return {
+                id: book.BookID, title: book.Title, author: book.AuthorName, 
+                price: parseFloat(book.Price), stock: book.Stock, sales: book.TotalSold,
+                revenue: Math.round(parseFloat(book.Revenue || 0) * 100) / 100,
+                category: book.Genre, format: book.Format, language: book.Language,
+                publicationDate: book.PublicationDate, rating: 4.0, reviews: 0,
+                isbn: book.ISBN, bookCover: cover, bookCoverThumb: thumbnail
+            };
         })));
     } catch (err) {
         console.error('Error fetching top selling books:', err);
-        res.status(500).json({ error: 'Failed to fetch top selling books', details: err.message });
+        res.status(500).json({ error: 'Failed to fetch top selling books' });
     }
 });
 
+const ORDER_LIST_SPEC = {
+    sortable: { orderDate: 'OrderDate', orderId: 'OrderID', customer: 'CustomerName', amount: 'TotalAmount', status: 'Status' },
+    defaultSort: 'orderDate',
+    defaultOrder: 'desc',
+    tieBreaker: 'OrderID',
+    filters: {
+        customer: { column: 'CustomerName', op: 'like' },
+        status: { column: 'Status', op: 'eq' },
+        from: { column: 'OrderDate', op: 'gte', type: 'date' },
+        to: { column: 'OrderDate', op: 'lte', type: 'date' },
+        minAmount: { column: 'TotalAmount', op: 'gte', type: 'number' },
+        maxAmount: { column: 'TotalAmount', op: 'lte', type: 'number' }
+    }
+};
+
 app.get('/api/all-orders', async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const list = parseListQuery(req.query, ORDER_LIST_SPEC);
+    if (list.error) return res.status(400).json(list.error);
     try {
-        const [result] = await pool.query(`
-            SELECT OrderID, CustomerName, OrderDate, TotalAmount, Status 
-            FROM OrderSummary 
-            ORDER BY OrderDate DESC, OrderID DESC
-        `);
-        res.json(result.map(order => ({ ...order, amount: order.TotalAmount })));
+        const { items, total } = await queryList(list, {
+            select: 'SELECT OrderID, CustomerName, OrderDate, TotalAmount, Status',
+            from: 'FROM OrderSummary'
+        });
+        sendList(res, list, items.map(order => ({ ...order, amount: order.TotalAmount })), total);
     } catch (err) {
         console.error('Error fetching all orders:', err);
-        res.status(500).json({ error: 'Failed to fetch all orders', details: err.message });
+        res.status(500).json({ error: 'Failed to fetch all orders' });
     }
 });
 
@@ -216,33 +394,310 @@ app.get('/api/low-stock-books/:threshold', async (req, res) => {
     try {
         const threshold = parseInt(req.params.threshold) || 10;
         const [result] = await pool.query(`
-            SELECT BookID, Title, Stock, ISBN 
+            SELECT BookID, Title, Stock, ISBN, CoverFile
             FROM Books 
-            WHERE Stock > 0 AND Stock < ?
+            WHERE Stock < ?
             ORDER BY Stock ASC
         `, [threshold]);
+        res.json(result.map(withCoverUrls));
+    } catch (err) {
+        console.error('Error fetching low stock books:', err);
+        res.status(500).json({ error: 'Failed to fetch low stock books' });
+    }
+});
+
+// --- Inventory ---
+// Copies still to arrive on open purchase orders, per book
+const ON_ORDER_BY_BOOK = `
+    SELECT pol.BookID, SUM(pol.QuantityOrdered - pol.QuantityReceived) AS OnOrder
+    FROM PurchaseOrderLines pol
+    JOIN PurchaseOrders po ON pol.PurchaseOrderID = po.PurchaseOrderID
+    WHERE po.Status IN ('Draft', 'Sent', 'Partially Received')
+    GROUP BY pol.BookID`;
+
+const DEFAULT_VELOCITY_DAYS = 30;
+const MAX_VELOCITY_DAYS = 365;
+
+// Every book with its stock-out risk, from sales velocity over the last `days` days (net of
+// cancellations), sorted most at risk first. Books at zero stock are always "out".
+async function loadStockoutRisk(days, defaultReorderPoint = DEFAULT_REORDER_POINT) {
+    const [rows] = await pool.query(`
+        SELECT b.BookID, b.Title, b.ISBN, b.Stock, b.ReorderPoint, b.ReorderQty, b.PublisherID,
+               pub.Name AS PublisherName, COALESCE(s.UnitsSold, 0) AS UnitsSold, COALESCE(oo.OnOrder, 0) AS OnOrder
+        FROM Books b
+        JOIN Publishers pub ON b.PublisherID = pub.PublisherID
+        LEFT JOIN (
+            SELECT od.BookID, SUM(od.Quantity - od.CancelledQuantity) AS UnitsSold
+            FROM OrderDetails od
+            JOIN Orders o ON od.OrderID = o.OrderID
+            WHERE o.Status != 'Cancelled' AND o.OrderDate >= ${dialect.addDays(dialect.today, '?')}
+            GROUP BY od.BookID
+        ) s ON b.BookID = s.BookID
+        LEFT JOIN (${ON_ORDER_BY_BOOK}) oo ON b.BookID = oo.BookID
+    `, [-days]);
+
+    return rows.map(row => {
+        const book = {
+            bookId: row.BookID,
+            title: row.Title,
+            isbn: row.ISBN,
+            publisherId: row.PublisherID,
+            publisherName: row.PublisherName,
+            stock: row.Stock,
+            onOrder: Number(row.OnOrder),
+            reorderPoint: row.ReorderPoint !== null ? row.ReorderPoint : defaultReorderPoint,
+            reorderQty: row.ReorderQty,
+            unitsSold: Number(row.UnitsSold)
+        };
+        return { ...book, ...assessStockoutRisk(book, days) };
+    }).sort(compareStockoutRisk);
+}
+
+// Parses ?days for the velocity window. Returns { error } or { days }.
+function parseVelocityDays(query) {
+    const days = query.days === undefined ? DEFAULT_VELOCITY_DAYS : parseInt(query.days);
+    if (isNaN(days) || days < 1 || days > MAX_VELOCITY_DAYS) {
+        return { error: `days must be between 1 and ${MAX_VELOCITY_DAYS}` };
+    }
+    return { days };
+}
+
+// Only books at risk are returned unless all=true.
+app.get('/api/inventory/stockout-risk', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const { days, error } = parseVelocityDays(req.query);
+    if (error) return res.status(400).json({ error });
+    const limit = req.query.limit === undefined ? null : parseInt(req.query.limit);
+    if (limit !== null && (isNaN(limit) || limit < 1)) return res.status(400).json({ error: 'limit must be a positive number' });
+
+    try {
+        let items = await loadStockoutRisk(days);
+        if (req.query.all !== 'true') items = items.filter(item => item.risk !== 'ok');
+
+        const counts = { out: 0, critical: 0, low: 0 };
+        items.forEach(item => { if (counts[item.risk] !== undefined) counts[item.risk]++; });
+        res.json({
+            days,
+            defaultReorderPoint: DEFAULT_REORDER_POINT,
+            counts,
+            total: items.length,
+            items: limit ? items.slice(0, limit) : items
+        });
+    } catch (err) {
+        console.error('Error computing stock-out risk:', err);
+        res.status(500).json({ error: 'Failed to compute stock-out risk' });
+    }
+});
+
+// --- Analytics ---
+// Revenue is net of refunds: payments count on their PaymentDate and refunds subtract on theirs.
+const NET_PAYMENT_AMOUNT = "CASE WHEN p.PaymentType = 'Refund' THEN -p.Amount ELSE p.Amount END";
+
+const REVENUE_BUCKETS = {
+    day: dialect.dateBucket('p.PaymentDate', 'day'),
+    week: dialect.dateBucket('p.PaymentDate', 'week'),
+    month: dialect.dateBucket('p.PaymentDate', 'month')
+};
+
+// Line-level breakdowns use the units that were not cancelled at their captured prices. Payment method comes straight
+// from Payments so refunds are netted against the method they were paid back through.
+const REVENUE_BREAKDOWNS = {
+    genre: { label: "COALESCE(g.Name, 'Uncategorized')", source: 'lines' },
+    format: { label: 'b.Format', source: 'lines' },
+    publisher: { label: 'pub.Name', source: 'lines' },
+    paymentMethod: { label: 'p.PaymentMethod', source: 'payments' }
+};
+
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDateString(date);
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function bucketStart(dateString, granularity) {
+    if (granularity === 'month') return `${dateString.slice(0, 7)}-01`;
+    if (granularity === 'week') {
+        const weekday = (new Date(`${dateString}T00:00:00Z`).getUTCDay() + 6) % 7; // Monday = 0, like dialect.dateBucket
+        return addDays(dateString, -weekday);
+    }
+    return dateString;
+}
+
+function nextBucket(bucket, granularity) {
+    if (granularity === 'month') {
+        const date = new Date(`${bucket}T00:00:00Z`);
+        date.setUTCMonth(date.getUTCMonth() + 1);
+        return toDateString(date);
+    }
+    return addDays(bucket, granularity === 'week' ? 7 : 1);
+}
+
+// Parses from/to (YYYY-MM-DD). Defaults to the last 12 months, 12 weeks or 30 days ending today.
+function parseDateRange(query, granularity = 'month') {
+    if ((query.from && !isValidDateString(query.from)) || (query.to && !isValidDateString(query.to))) {
+        return { error: 'from and to must be dates in YYYY-MM-DD format' };
+    }
+    const to = query.to || toDateString(new Date());
+    let from = query.from;
+    if (!from) {
+        if (granularity === 'month') {
+            const start = new Date(`${to.slice(0, 7)}-01T00:00:00Z`);
+            start.setUTCMonth(start.getUTCMonth() - 11);
+            from = toDateString(start);
+        } else {
+            from = addDays(to, granularity === 'week' ? -83 : -29);
+        }
+    }
+    if (from > to) return { error: 'from must not be after to' };
+    return { from, to };
+}
+
+async function queryRevenueSeries(from, to, granularity) {
+    const [rows] = await pool.query(`
+        SELECT ${REVENUE_BUCKETS[granularity]} AS Period,
+               SUM(${NET_PAYMENT_AMOUNT}) AS Revenue,
+               COUNT(DISTINCT CASE WHEN p.PaymentType = 'Payment' THEN p.OrderID END) AS Orders
+        FROM Payments p
+        WHERE p.PaymentDate >= ? AND p.PaymentDate < ${dialect.addDays('?', 1)}
+        GROUP BY ${REVENUE_BUCKETS[granularity]}
+        ORDER BY Period
+    `, [from, to]);
+
+    // Fill the gaps so every bucket in the range is present, including empty ones.
+    const byPeriod = new Map(rows.map(row => [row.Period, row]));
+    const series = [];
+    for (let period = bucketStart(from, granularity); period <= to; period = nextBucket(period, granularity)) {
+        const row = byPeriod.get(period);
+        series.push({
+            period,
+            revenue: row ? Math.round(parseFloat(row.Revenue) * 100) / 100 : 0,
+            orders: row ? row.Orders : 0
+        });
+    }
+    const total = Math.round(series.reduce((sum, point) => sum + point.revenue, 0) * 100) / 100;
+    return { series, total, orders: series.reduce((sum, point) => sum + point.orders, 0) };
+}
+
+// ?granularity=day|week|month&from=&to=&compare=true
+// With compare, the same-length period immediately before `from` is returned alongside.
+app.get('/api/analytics/revenue', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+
+    const granularity = req.query.granularity || 'month';
+    if (!REVENUE_BUCKETS[granularity]) {
+        return res.status(400).json({ error: 'granularity must be one of: day, week, month' });
+    }
+    const range = parseDateRange(req.query, granularity);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    try {
+        const current = await queryRevenueSeries(range.from, range.to, granularity);
+        const result = { granularity, from: range.from, to: range.to, ...current };
+
+        if (req.query.compare === 'true') {
+            const previousTo = addDays(range.from, -1);
+            const previousFrom = addDays(previousTo, -daysBetween(range.from, range.to));
+            const previous = await queryRevenueSeries(previousFrom, previousTo, granularity);
+            result.previous = { from: previousFrom, to: previousTo, ...previous };
+            result.changePercent = previous.total === 0
+                ? null
+                : Math.round(((current.total - previous.total) / Math.abs(previous.total)) * 1000) / 10;
+        }
+
+        res.json(result);
+    } catch (err) {
+        console.error('Error fetching revenue analytics:', err);
+        res.status(500).json({ error: 'Failed to fetch revenue analytics' });
+    }
+});
+
+// ?by=genre|format|publisher|paymentMethod&from=&to=
+app.get('/api/analytics/revenue/breakdown', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+
+    const by = req.query.by || 'genre';
+    const breakdown = REVENUE_BREAKDOWNS[by];
+    if (!breakdown) {
+        return res.status(400).json({ error: `by must be one of: ${Object.keys(REVENUE_BREAKDOWNS).join(', ')}` });
+    }
+    const range = parseDateRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    try {
+        let rows;
+        if (breakdown.source === 'payments') {
+            [rows] = await pool.query(`
+                SELECT ${breakdown.label} AS Label,
+                       SUM(${NET_PAYMENT_AMOUNT}) AS Revenue,
+                       COUNT(DISTINCT CASE WHEN p.PaymentType = 'Payment' THEN p.OrderID END) AS Orders
+                FROM Payments p
+                WHERE p.PaymentDate >= ? AND p.PaymentDate < ${dialect.addDays('?', 1)}
+                GROUP BY ${breakdown.label}
+                ORDER BY Revenue DESC
+            `, [range.from, range.to]);
+        } else {
+            [rows] = await pool.query(`
+                SELECT ${breakdown.label} AS Label,
+                       SUM(${NET_LINE_TOTAL}) AS Revenue,
+                       SUM(od.Quantity - od.CancelledQuantity) AS Units,
+                       COUNT(DISTINCT od.OrderID) AS Orders
+                FROM OrderDetails od
+                JOIN Orders o ON od.OrderID = o.OrderID
+                JOIN Books b ON od.BookID = b.BookID
+                JOIN Publishers pub ON b.PublisherID = pub.PublisherID
+                LEFT JOIN Genres g ON b.GenreID = g.GenreID
+                WHERE o.Status != 'Cancelled' AND o.OrderDate BETWEEN ? AND ?
+                GROUP BY ${breakdown.label}
+                HAVING SUM(od.Quantity - od.CancelledQuantity) > 0
+                ORDER BY Revenue DESC
+            `, [range.from, range.to]);
+        }
 
-        const booksWithCovers = result.map(book => ({
-            ...book,
-            BookCover: book.ISBN ? `https://covers.openlibrary.org/b/isbn/${book.ISBN}-M.jpg` :
-                      'https://via.placeholder.com/120x180.png?text=No+Cover'
+        // Each item names its group under the requested dimension, e.g. { genre: 'Fantasy', revenue, units, orders }
+        const items = rows.map(row => ({
+            [by]: row.Label,
+            revenue: Math.round(parseFloat(row.Revenue || 0) * 100) / 100,
+            units: row.Units !== undefined ? Number(row.Units) : undefined,
+            orders: row.Orders
         }));
-        res.json(booksWithCovers);
+        const total = Math.round(items.reduce((sum, item) => sum + item.revenue, 0) * 100) / 100;
+        res.json({ by, from: range.from, to: range.to, total, items });
     } catch (err) {
-        console.error('Error fetching low stock books:', err);
-        res.status(500).json({ error: 'Failed to fetch low stock books', details: err.message });
+        console.error('Error fetching revenue breakdown:', err);
+        res.status(500).json({ error: 'Failed to fetch revenue breakdown' });
     }
 });
 
 // --- Authors ---
+const AUTHOR_LIST_SPEC = {
+    sortable: { name: 'Name', dob: 'DOB', authorId: 'AuthorID' },
+    defaultSort: 'name',
+    tieBreaker: 'AuthorID',
+    filters: {
+        name: { column: 'Name', op: 'like' },
+        bornFrom: { column: 'DOB', op: 'gte', type: 'date' },
+        bornTo: { column: 'DOB', op: 'lte', type: 'date' }
+    }
+};
+
 app.get('/api/authors', async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const list = parseListQuery(req.query, AUTHOR_LIST_SPEC);
+    if (list.error) return res.status(400).json(list.error);
     try {
-        const [result] = await pool.query('SELECT AuthorID, Name, DOB FROM Authors ORDER BY Name');
-        res.json(result);
+        const { items, total } = await queryList(list, { select: 'SELECT AuthorID, Name, DOB', from: 'FROM Authors' });
+        sendList(res, list, items, total);
     } catch (err) {
         console.error('Error fetching authors:', err);
-        res.status(500).json({ error: 'Failed to fetch authors', details: err.message });
+        res.status(500).json({ error: 'Failed to fetch authors' });
     }
 });
 
@@ -278,7 +733,7 @@ app.get('/api/authors/search', async (req, res) => {
         res.status(200).json(result);
     } catch (err) {
         console.error('Error searching authors:', err);
-        res.status(500).json({ error: 'Failed to search authors', details: err.message });
+        res.status(500).json({ error: 'Failed to search authors' });
     }
 });
 
@@ -291,65 +746,85 @@ app.get('/api/authors/:id', async (req, res) => {
         res.json(result[0]);
     } catch (err) {
         console.error('Error fetching author:', err);
-        res.status(500).json({ error: 'Failed to fetch author', details: err.message });
+        res.status(500).json({ error: 'Failed to fetch author' });
     }
 });
 
-app.post('/api/authors', async (req, res) => {
+const AUTHOR_SCHEMA = {
+    body: {
+        name: { required: true, maxLength: 100 },
+        dob: { type: 'date' }
+    }
+};
+
+app.post('/api/authors', normalizeBody('authors'), validateRequest(AUTHOR_SCHEMA), async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
     try {
         const { name, dob } = req.body;
-        if (!name) return res.status(400).json({ error: 'Author name is required' });
         await pool.query('INSERT INTO Authors (Name, DOB) VALUES (?, ?)', [name, dob || null]);
         res.status(201).json({ message: 'Author added successfully' });
     } catch (err) {
         console.error('Error adding author:', err);
-        res.status(500).json({ error: 'Failed to add author', details: err.message });
+        res.status(500).json({ error: 'Failed to add author' });
     }
 });
 
-app.put('/api/authors/:id', async (req, res) => {
+app.put('/api/authors/:id', normalizeBody('authors'), validateRequest({ ...AUTHOR_SCHEMA, params: ID_PARAMS }), async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
     try {
-        const authorId = parseInt(req.params.id);
+        const authorId = req.params.id;
         const { name, dob } = req.body;
-        if (!name) return res.status(400).json({ error: 'Author name is required' });
-        
         const [result] = await pool.query('UPDATE Authors SET Name = ?, DOB = ? WHERE AuthorID = ?', 
                                          [name, dob || null, authorId]);
         if (result.affectedRows === 0) return res.status(404).json({ error: 'Author not found' });
         res.json({ message: 'Author updated successfully' });
     } catch (err) {
         console.error('Error updating author:', err);
-        res.status(500).json({ error: 'Failed to update author', details: err.message });
+        res.status(500).json({ error: 'Failed to update author' });
     }
 });
 
-app.delete('/api/authors/:id', async (req, res) => {
+app.delete('/api/authors/:id', validateRequest({ params: ID_PARAMS }), async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
     try {
-        const authorId = parseInt(req.params.id);
+        const authorId = req.params.id;
         const [result] = await pool.query('DELETE FROM Authors WHERE AuthorID = ?', [authorId]);
         if (result.affectedRows === 0) return res.status(404).json({ error: 'Author not found' });
         res.json({ message: 'Author deleted successfully' });
     } catch (err) {
         console.error('Error deleting author:', err);
-        if (err.code === 'ER_ROW_IS_REFERENCED_2') {
+        if (err.code === DB_ERRORS.ROW_REFERENCED) {
             return res.status(400).json({ error: 'Cannot delete author. It is referenced by existing books.' });
         }
-        res.status(500).json({ error: 'Failed to delete author', details: err.message });
+        res.status(500).json({ error: 'Failed to delete author' });
     }
 });
 
 // --- Publishers ---
+const PUBLISHER_LIST_SPEC = {
+    sortable: { name: 'Name', publisherId: 'PublisherID' },
+    defaultSort: 'name',
+    tieBreaker: 'PublisherID',
+    filters: {
+        name: { column: 'Name', op: 'like' },
+        address: { column: 'Address', op: 'like' },
+        contact: { column: 'Contact', op: 'like' }
+    }
+};
+
 app.get('/api/publishers', async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const list = parseListQuery(req.query, PUBLISHER_LIST_SPEC);
+    if (list.error) return res.status(400).json(list.error);
     try {
-        const [result] = await pool.query('SELECT PublisherID, Name, Address, Contact FROM Publishers ORDER BY Name');
-        res.json(result);
+        const { items, total } = await queryList(list, {
+            select: 'SELECT PublisherID, Name, Address, Contact',
+            from: 'FROM Publishers'
+        });
+        sendList(res, list, items, total);
     } catch (err) {
         console.error('Error fetching publishers:', err);
-        res.status(500).json({ error: 'Failed to fetch publishers', details: err.message });
+        res.status(500).json({ error: 'Failed to fetch publishers' });
     }
 });
 
@@ -389,7 +864,7 @@ app.get('/api/publishers/search', async (req, res) => {
         res.status(200).json(result);
     } catch (err) {
         console.error('Error searching publishers:', err);
-        res.status(500).json({ error: 'Failed to search publishers', details: err.message });
+        res.status(500).json({ error: 'Failed to search publishers' });
     }
 });
 
@@ -403,32 +878,36 @@ app.get('/api/publishers/:id', async (req, res) => {
         res.json(result[0]);
     } catch (err) {
         console.error('Error fetching publisher:', err);
-        res.status(500).json({ error: 'Failed to fetch publisher', details: err.message });
+        res.status(500).json({ error: 'Failed to fetch publisher' });
     }
 });
 
-app.post('/api/publishers', async (req, res) => {
+const PUBLISHER_SCHEMA = {
+    body: {
+        name: { required: true, maxLength: 100 },
+        address: { maxLength: 255 },
+        contact: { maxLength: 100 }
+    }
+};
+
+app.post('/api/publishers', normalizeBody('publishers'), validateRequest(PUBLISHER_SCHEMA), async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
     try {
         const { name, address, contact } = req.body;
-        if (!name) return res.status(400).json({ error: 'Publisher name is required' });
-        
         await pool.query('INSERT INTO Publishers (Name, Address, Contact) VALUES (?, ?, ?)', 
                         [name, address || null, contact || null]);
         res.status(201).json({ message: 'Publisher added successfully' });
     } catch (err) {
         console.error('Error adding publisher:', err);
-        res.status(500).json({ error: 'Failed to add publisher', details: err.message });
+        res.status(500).json({ error: 'Failed to add publisher' });
     }
 });
 
-app.put('/api/publishers/:id', async (req, res) => {
+app.put('/api/publishers/:id', normalizeBody('publishers'), validateRequest({ ...PUBLISHER_SCHEMA, params: ID_PARAMS }), async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
     try {
-        const publisherId = parseInt(req.params.id);
+        const publisherId = req.params.id;
         const { name, address, contact } = req.body;
-        if (!name) return res.status(400).json({ error: 'Publisher name is required' });
-        
         const [result] = await pool.query(
             'UPDATE Publishers SET Name = ?, Address = ?, Contact = ? WHERE PublisherID = ?',
             [name, address || null, contact || null, publisherId]
@@ -437,121 +916,144 @@ app.put('/api/publishers/:id', async (req, res) => {
         res.json({ message: 'Publisher updated successfully' });
     } catch (err) {
         console.error('Error updating publisher:', err);
-        res.status(500).json({ error: 'Failed to update publisher', details: err.message });
+        res.status(500).json({ error: 'Failed to update publisher' });
     }
 });
 
-app.delete('/api/publishers/:id', async (req, res) => {
+app.delete('/api/publishers/:id', validateRequest({ params: ID_PARAMS }), async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
     try {
-        const publisherId = parseInt(req.params.id);
+        const publisherId = req.params.id;
         const [result] = await pool.query('DELETE FROM Publishers WHERE PublisherID = ?', [publisherId]);
         if (result.affectedRows === 0) return res.status(404).json({ error: 'Publisher not found' });
         res.json({ message: 'Publisher deleted successfully' });
     } catch (err) {
         console.error('Error deleting publisher:', err);
-        if (err.code === 'ER_ROW_IS_REFERENCED_2') {
+        if (err.code === DB_ERRORS.ROW_REFERENCED) {
             return res.status(400).json({ error: 'Cannot delete publisher. It is referenced by existing books.' });
         }
-        res.status(500).json({ error: 'Failed to delete publisher', details: err.message });
+        res.status(500).json({ error: 'Failed to delete publisher' });
     }
 });
 
 // --- Books ---
+const BOOK_LIST_SPEC = {
+    sortable: {
+        title: 'b.Title', author: 'a.Name', publisher: 'p.Name', genre: 'g.Name', price: 'b.Price',
+        stock: 'b.Stock', format: 'b.Format', publicationDate: 'b.PublicationDate', bookId: 'b.BookID'
+    },
+    defaultSort: 'title',
+    tieBreaker: 'b.BookID',
+    filters: {
+        title: { column: 'b.Title', op: 'like' },
+        author: { column: 'a.Name', op: 'like' },
+        publisher: { column: 'p.Name', op: 'like' },
+        genre: { column: 'g.Name', op: 'like' },
+        language: { column: 'b.Language', op: 'like' },
+        isbn: { column: 'b.ISBN', op: 'like' },
+        format: { column: 'b.Format', op: 'eq' },
+        authorId: { column: 'b.AuthorID', op: 'eq', type: 'number' },
+        publisherId: { column: 'b.PublisherID', op: 'eq', type: 'number' },
+        genreId: { column: 'b.GenreID', op: 'eq', type: 'number' },
+        minPrice: { column: 'b.Price', op: 'gte', type: 'number' },
+        maxPrice: { column: 'b.Price', op: 'lte', type: 'number' },
+        minStock: { column: 'b.Stock', op: 'gte', type: 'number' },
+        maxStock: { column: 'b.Stock', op: 'lte', type: 'number' },
+        publishedFrom: { column: 'b.PublicationDate', op: 'gte', type: 'date' },
+        publishedTo: { column: 'b.PublicationDate', op: 'lte', type: 'date' },
+        bookId: { column: 'b.BookID', op: 'eq', type: 'number' }
+    }
+};
+
 app.get('/api/books', async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const list = parseListQuery(req.query, BOOK_LIST_SPEC);
+    if (list.error) return res.status(400).json(list.error);
     try {
-        const [result] = await pool.query(`
-            SELECT b.BookID, b.Title, a.Name AS AuthorName, b.AuthorID,
-                   p.Name AS PublisherName, b.PublisherID, b.Genre, b.Price, 
-                   b.Stock, b.Format, b.Language, b.PublicationDate, b.ISBN
-            FROM Books b
+        const { items, total } = await queryList(list, {
+            select: `SELECT b.BookID, b.Title, a.Name AS AuthorName, b.AuthorID,
+                   p.Name AS PublisherName, b.PublisherID, b.GenreID, g.Name AS Genre, b.Price, 
+                   b.Stock, b.ReorderPoint, b.ReorderQty, b.Format, b.Language, b.PublicationDate, b.ISBN, b.CoverFile`,
+            from: `FROM Books b
             JOIN Authors a ON b.AuthorID = a.AuthorID
             JOIN Publishers p ON b.PublisherID = p.PublisherID
-            ORDER BY b.Title
-        `);
-        const booksWithCovers = result.map(book => ({
-            ...book,
-            BookCover: book.ISBN ? `https://covers.openlibrary.org/b/isbn/${book.ISBN}-M.jpg` :
-                      'https://via.placeholder.com/120x180.png?text=No+Cover'
-        }));
-        res.json(booksWithCovers);
+            LEFT JOIN Genres g ON b.GenreID = g.GenreID`
+        });
+        sendList(res, list, applyDisplayCase('books', items.map(withCoverUrls)), total);
     } catch (err) {
         console.error('Error fetching books:', err);
-        res.status(500).json({ error: 'Failed to fetch books', details: err.message });
+        res.status(500).json({ error: 'Failed to fetch books' });
     }
 });
 
+// Combines any of the /api/books filters with `q`, a full-text search over title and
+// author ranked by relevance (titles weigh double). Short words that the full-text index
+// ignores still match through LIKE. The older criteria/query pair is mapped onto the filters.
+const LEGACY_SEARCH_CRITERIA = { title: 'title', author: 'author', genre: 'genre', id: 'bookId' };
+
 app.get('/api/books/search', async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
-    
-    const { criteria, query } = req.query;
-    if (!criteria || !query) {
-        return res.status(400).json({ error: 'Search criteria and query are required.' });
+
+    const searchQuery = { ...req.query };
+    if (searchQuery.criteria !== undefined) {
+        const filterName = LEGACY_SEARCH_CRITERIA[String(searchQuery.criteria).toLowerCase()];
+        if (!filterName) {
+            return res.status(400).json({ error: 'Invalid search criteria. Use: title, author, genre, or id' });
+        }
+        if (filterName === 'bookId' && isNaN(parseInt(searchQuery.query))) return res.status(200).json([]);
+        searchQuery[filterName] = searchQuery.query;
     }
-    
+
+    const q = typeof searchQuery.q === 'string' ? searchQuery.q.trim() : '';
+    const list = parseListQuery(searchQuery, {
+        ...BOOK_LIST_SPEC,
+        sortable: { ...BOOK_LIST_SPEC.sortable, relevance: 'Relevance' },
+        defaultSort: q ? 'relevance' : 'title',
+        defaultOrder: q ? 'desc' : 'asc'
+    });
+    if (list.error) return res.status(400).json(list.error);
+    if (!q && list.params.length === 0) {
+        return res.status(400).json({ error: 'Provide a search term (q) or at least one filter.' });
+    }
+
+    let relevance = '0';
+    let selectParams = [];
+    if (q) {
+        const titleScore = dialect.fullTextScore({ table: 'Books', alias: 'b', column: 'Title', key: 'BookID' });
+        const authorScore = dialect.fullTextScore({ table: 'Authors', alias: 'a', column: 'Name', key: 'AuthorID' });
+        relevance = `(${titleScore} * 2 + ${authorScore})`;
+        selectParams = [q, q];
+        const condition = `(${titleScore} > 0 OR ${authorScore} > 0 OR b.Title LIKE ? OR a.Name LIKE ?)`;
+        list.where = list.where ? `${list.where} AND ${condition}` : `WHERE ${condition}`;
+        list.params.push(q, q, `%${q}%`, `%${q}%`);
+    }
+
     try {
-        let sqlQuery = `
-            SELECT b.BookID, b.Title, auth.Name AS AuthorName, pub.Name AS PublisherName,
-                   b.AuthorID, b.PublisherID, b.Genre, b.Price, b.Stock, b.Format,
-                   b.Language, b.PublicationDate, b.ISBN
-            FROM Books b
-            LEFT JOIN Authors auth ON b.AuthorID = auth.AuthorID
-            LEFT JOIN Publishers pub ON b.PublisherID = pub.PublisherID`;
-        
-        let params = [];
-        
-        switch (criteria.toLowerCase()) {
-            case 'title':
-                sqlQuery += ' WHERE b.Title LIKE ?';
-                params = [`%${query}%`];
-                break;
-            case 'author':
-                sqlQuery += ' WHERE auth.Name LIKE ?';
-                params = [`%${query}%`];
-                break;
-            case 'genre':
-                sqlQuery += ' WHERE b.Genre LIKE ?';
-                params = [`%${query}%`];
-                break;
-            case 'id':
-                const bookId = parseInt(query);
-                if (isNaN(bookId)) return res.status(200).json([]);
-                sqlQuery += ' WHERE b.BookID = ?';
-                params = [bookId];
-                break;
-            default:
-                return res.status(400).json({ error: 'Invalid search criteria. Use: title, author, genre, or id' });
-        }
-        
-        sqlQuery += ' ORDER BY b.Title';
-        const [result] = await pool.query(sqlQuery, params);
-        
-        const booksWithCovers = result.map(book => ({
-            ...book,
-            BookCover: book.ISBN ? `https://covers.openlibrary.org/b/isbn/${book.ISBN}-M.jpg` :
-                      'https://via.placeholder.com/120x180.png?text=No+Cover'
-        }));
-        res.status(200).json(booksWithCovers);
+        const { items, total } = await queryList(list, {
+            select: `SELECT b.BookID, b.Title, a.Name AS AuthorName, p.Name AS PublisherName,
+                   b.AuthorID, b.PublisherID, b.GenreID, g.Name AS Genre, b.Price, b.Stock, b.Format,
+                   b.Language, b.PublicationDate, b.ISBN, b.CoverFile, ${relevance} AS Relevance`,
+            selectParams,
+            from: `FROM Books b
+            JOIN Authors a ON b.AuthorID = a.AuthorID
+            JOIN Publishers p ON b.PublisherID = p.PublisherID
+            LEFT JOIN Genres g ON b.GenreID = g.GenreID`
+        });
+        sendList(res, list, applyDisplayCase('books', items.map(withCoverUrls)), total);
     } catch (err) {
         console.error('Error searching books:', err);
-        res.status(500).json({ error: 'Failed to search books', details: err.message });
+        res.status(500).json({ error: 'Failed to search books' });
     }
 });
 
 app.get('/api/books/in-stock', async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
     try {
-        const [result] = await pool.query('SELECT BookID, Title, Stock, Price, ISBN FROM Books WHERE Stock > 0 ORDER BY Title');
-        const booksWithCovers = result.map(book => ({
-            ...book,
-            BookCover: book.ISBN ? `https://covers.openlibrary.org/b/isbn/${book.ISBN}-M.jpg` :
-                      'https://via.placeholder.com/120x180.png?text=No+Cover'
-        }));
-        res.json(booksWithCovers);
+        const [result] = await pool.query('SELECT BookID, Title, Stock, Price, ISBN, CoverFile FROM Books WHERE Stock > 0 ORDER BY Title');
+        res.json(result.map(withCoverUrls));
     } catch (err) {
         console.error('Error fetching books in stock:', err);
-        res.status(500).json({ error: 'Failed to fetch books in stock', details: err.message });
+        res.status(500).json({ error: 'Failed to fetch books in stock' });
     }
 });
 
@@ -561,154 +1063,430 @@ app.get('/api/books/:id', async (req, res) => {
         const bookId = parseInt(req.params.id);
         const [result] = await pool.query(`
             SELECT b.BookID, b.Title, b.AuthorID, auth.Name as AuthorName,
-                   b.PublisherID, pub.Name as PublisherName, b.Genre, b.Price,
-                   b.Stock, b.Format, b.Language, b.PublicationDate, b.ISBN
+                   b.PublisherID, pub.Name as PublisherName, b.GenreID, g.Name AS Genre, b.Price,
+                   b.Stock, b.ReorderPoint, b.ReorderQty, b.Format, b.Language, b.PublicationDate, b.ISBN, b.CoverFile
             FROM Books b
             LEFT JOIN Authors auth ON b.AuthorID = auth.AuthorID
             LEFT JOIN Publishers pub ON b.PublisherID = pub.PublisherID
+            LEFT JOIN Genres g ON b.GenreID = g.GenreID
             WHERE b.BookID = ?
         `, [bookId]);
         
         if (result.length === 0) return res.status(404).json({ error: 'Book not found' });
         
-        const book = result[0];
-        const bookWithCover = {
-            ...book,
-            BookCover: book.ISBN ? `https://covers.openlibrary.org/b/isbn/${book.ISBN}-M.jpg` :
-                      'https://via.placeholder.com/120x180.png?text=No+Cover'
-        };
-        res.json(bookWithCover);
+        res.json(applyDisplayCase('books', withCoverUrls(result[0])));
     } catch (err) {
         console.error('Error fetching book details:', err);
-        res.status(500).json({ error: 'Failed to fetch book details', details: err.message });
+        res.status(500).json({ error: 'Failed to fetch book details' });
     }
 });
 
-app.post('/api/books', async (req, res) => {
+// PUT replaces the whole book, so it takes the same fields as POST
+const BOOK_SCHEMA = {
+    body: {
+        title: { required: true, maxLength: 200 },
+        authorId: { type: 'integer', required: true, min: 1 },
+        publisherId: { type: 'integer', required: true, min: 1 },
+        genre: { maxLength: 100 },
+        genreId: { type: 'integer', min: 1 },
+        price: { type: 'number', required: true, min: 0, max: 99999999.99 },
+        stock: { type: 'integer', required: true, min: 0 },
+        format: { type: 'enum', required: true, values: BOOK_FORMATS },
+        language: { maxLength: 50 },
+        publicationDate: { type: 'date', required: true },
+        isbn: { type: 'isbn' },
+        reorderPoint: { type: 'integer', min: 0 },
+        reorderQty: { type: 'integer', min: 1 }
+    }
+};
+
+// Empty reorder fields mean "use the defaults"; absent ones are left alone on update
+function parseReorderFields(body) {
+    const provided = body.reorderPoint !== undefined || body.reorderQty !== undefined;
+    const orNull = value => (value === undefined || value === '' ? null : value);
+    return { provided, reorderPoint: orNull(body.reorderPoint), reorderQty: orNull(body.reorderQty) };
+}
+
+app.post('/api/books', normalizeBody('books'), validateRequest(BOOK_SCHEMA), async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    let connection;
     try {
-        const { title, authorId, publisherId, genre, price, stock, format, language, publicationDate, isbn } = req.body;
-        if (!title || authorId == null || publisherId == null || price == null || stock == null || !format || !publicationDate) {
-            return res.status(400).json({ error: 'Missing required book fields.' });
+        const { title, authorId, publisherId, genre, genreId, price, stock, format, language, publicationDate, isbn } = req.body;
+        const reorder = parseReorderFields(req.body);
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        if (await findCaseInsensitiveDuplicate(connection, 'books', { title })) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Book with this title already exists.' });
         }
-        
-        await pool.query(
-            'CALL InsertBook(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-            [title, parseInt(authorId), parseInt(publisherId), genre || null, parseFloat(price), 
-             parseInt(stock), format, language || null, publicationDate, isbn || null]
+        const resolvedGenreId = await resolveGenreId({ genre, genreId }, connection);
+        await connection.query(
+            dialect.call('InsertBook', 10),
+            [title, authorId, publisherId, resolvedGenreId, price, stock, format, language || null, publicationDate, isbn || null]
         );
-        res.status(201).json({ message: 'Book added successfully' });
+        if (reorder.provided) {
+            await connection.query('UPDATE Books SET ReorderPoint = ?, ReorderQty = ? WHERE Title = ?',
+                [reorder.reorderPoint, reorder.reorderQty, title]);
+        }
+        await recordInitialStock(connection, req.session, { title, stock, source: 'Manual', reason: 'Initial stock' });
+        await notifyEvent(connection, 'book.added', { title, stock, price: price.toFixed(2) });
+        const [created] = await connection.query('SELECT BookID FROM Books WHERE Title = ?', [title]);
+        await commitAndPublish(connection);
+        res.status(201).json({ message: 'Book added successfully', bookId: created[0].BookID });
     } catch (err) {
         console.error('Error adding book:', err);
-        if (err.code === 'ER_DUP_ENTRY') {
+        if (connection) {
+            try { await connection.rollback(); } catch (rollbackErr) { console.error('Error rolling back book:', rollbackErr); }
+        }
+        if (err.code === DB_ERRORS.DUPLICATE_ENTRY) {
             res.status(400).json({ error: 'Book with this title already exists.' });
         } else {
-            res.status(500).json({ error: 'Failed to add book.', details: err.message });
+            res.status(500).json({ error: 'Failed to add book.' });
         }
+    } finally {
+        if (connection) connection.release();
     }
 });
 
-app.put('/api/books/:id', async (req, res) => {
+app.put('/api/books/:id', normalizeBody('books'), validateRequest({ ...BOOK_SCHEMA, params: ID_PARAMS }), async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    let connection;
     try {
-        const bookId = parseInt(req.params.id);
-        const { title, authorId, publisherId, genre, price, stock, format, language, publicationDate, isbn } = req.body;
-        if (!title || authorId == null || publisherId == null || price == null || stock == null || !format || !publicationDate) {
-            return res.status(400).json({ error: 'Missing required fields for update.' });
+        const bookId = req.params.id;
+        const { title, authorId, publisherId, genre, genreId, price, stock: newStock, format, language, publicationDate, isbn } = req.body;
+        const reorder = parseReorderFields(req.body);
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        const [current] = await connection.query(`SELECT Stock FROM ${dialect.lockTable('Books')} WHERE BookID = ?${dialect.forUpdate}`, [bookId]);
+        if (current.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Book not found or no changes made.' });
         }
-        
-        const [result] = await pool.query(`
-            UPDATE Books SET Title = ?, AuthorID = ?, PublisherID = ?, Genre = ?,
+        if (await findCaseInsensitiveDuplicate(connection, 'books', { title }, bookId)) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Book with this title already exists.' });
+        }
+
+        const resolvedGenreId = await resolveGenreId({ genre, genreId }, connection);
+        await connection.query(`
+            UPDATE Books SET Title = ?, AuthorID = ?, PublisherID = ?, GenreID = ?,
                    Price = ?, Stock = ?, Format = ?, Language = ?,
                    PublicationDate = ?, ISBN = ?
             WHERE BookID = ?
-        `, [title, parseInt(authorId), parseInt(publisherId), genre || null, parseFloat(price),
-            parseInt(stock), format, language || null, publicationDate, isbn || null, bookId]);
-            
-        if (result.affectedRows === 0) return res.status(404).json({ error: 'Book not found or no changes made.' });
+        `, [title, authorId, publisherId, resolvedGenreId, price,
+            newStock, format, language || null, publicationDate, isbn || null, bookId]);
+        // Left alone when the client doesn't send them
+        if (reorder.provided) {
+            await connection.query('UPDATE Books SET ReorderPoint = ?, ReorderQty = ? WHERE BookID = ?',
+                [reorder.reorderPoint, reorder.reorderQty, bookId]);
+        }
+
+        const delta = newStock - current[0].Stock;
+        if (delta !== 0) {
+            await recordStockMovement(connection, req.session, {
+                bookId, source: 'Manual', delta, resultingStock: newStock, reason: 'Book edited'
+            });
+        }
+        await commitAndPublish(connection);
         res.json({ message: 'Book updated successfully' });
     } catch (err) {
         console.error('Error updating book:', err);
-        res.status(500).json({ error: 'Failed to update book', details: err.message });
+        if (connection) {
+            try { await connection.rollback(); } catch (rollbackErr) { console.error('Error rolling back book update:', rollbackErr); }
+        }
+        if (err.code === DB_ERRORS.DUPLICATE_ENTRY) {
+            res.status(400).json({ error: 'Book with this title already exists.' });
+        } else {
+            res.status(500).json({ error: 'Failed to update book' });
+        }
+    } finally {
+        if (connection) connection.release();
     }
 });
 
-app.delete('/api/books/:id', async (req, res) => {
+app.delete('/api/books/:id', validateRequest({ params: ID_PARAMS }), async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
     try {
-        const bookId = parseInt(req.params.id);
-        if (isNaN(bookId)) return res.status(400).json({ error: 'Invalid Book ID.' });
-        
+        const bookId = req.params.id;
+        const [books] = await pool.query('SELECT Title, CoverFile FROM Books WHERE BookID = ?', [bookId]);
         const [result] = await pool.query('DELETE FROM Books WHERE BookID = ?', [bookId]);
         if (result.affectedRows === 0) return res.status(404).json({ error: 'Book not found.' });
+        await notifyEvent(pool, 'book.deleted', { bookId, title: books.length > 0 ? books[0].Title : `#${bookId}` });
+        if (books.length > 0) await covers.remove(books[0].CoverFile);
         res.json({ message: 'Book deleted successfully' });
     } catch (err) {
         console.error('Error deleting book:', err);
-        if (err.code === 'ER_ROW_IS_REFERENCED_2') {
+        if (err.code === DB_ERRORS.ROW_REFERENCED) {
             return res.status(400).json({ error: 'Cannot delete book. It is referenced in existing records.' });
         }
-        res.status(500).json({ error: 'Failed to delete book', details: err.message });
+        res.status(500).json({ error: 'Failed to delete book' });
     }
 });
 
-app.put('/api/books/:id/stock', async (req, res) => {
+// --- Book covers ---
+// Uploaded as multipart/form-data with the image in a "cover" field. lib/covers.js checks
+// the content really is a JPEG, PNG or WebP image, whatever the request claims, and
+// stores it with a thumbnail. The files are served from COVER_URL_PATH.
+const coverUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: COVER_MAX_BYTES, files: 1 } }).single('cover');
+
+// Runs the multipart parser and answers its errors (file too large, unexpected field) itself
+function receiveCoverUpload(req, res, next) {
+    coverUpload(req, res, err => {
+        if (!err) return next();
+        if (err instanceof multer.MulterError) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: `Cover images can be at most ${Math.floor(COVER_MAX_BYTES / 1024)} KB.` });
+            }
+            return res.status(400).json({ error: `Send a single image in a "cover" field (${err.message}).` });
+        }
+        next(err);
+    });
+}
+
+app.put('/api/books/:id/cover', validateRequest({ params: ID_PARAMS }), receiveCoverUpload, async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const bookId = req.params.id;
+    if (!req.file) {
+        return res.status(400).json({ error: 'Send the image as multipart/form-data in a "cover" field.' });
+    }
+
+    let coverFile;
     try {
-        const bookId = parseInt(req.params.id);
-        const { stockChange } = req.body;
-        if (isNaN(bookId) || stockChange == null || isNaN(stockChange)) {
-            return res.status(400).json({ error: 'Valid book ID and stock change are required' });
-        }
-        
-        await pool.query('CALL UpdateBookStock(?, ?)', [bookId, parseInt(stockChange)]);
-        const [stockResult] = await pool.query('SELECT Stock FROM Books WHERE BookID = ?', [bookId]);
-        if (stockResult.length === 0) return res.status(404).json({ error: 'Book not found' });
-        res.json({ message: 'Stock updated successfully', newStock: stockResult[0].Stock });
+        const [books] = await pool.query('SELECT CoverFile, ISBN FROM Books WHERE BookID = ?', [bookId]);
+        if (books.length === 0) return res.status(404).json({ error: 'Book not found' });
+
+        coverFile = await covers.save(bookId, req.file.buffer);
+        await pool.query('UPDATE Books SET CoverFile = ? WHERE BookID = ?', [coverFile, bookId]);
+        // The files replaced are no longer referenced
+        await covers.remove(books[0].CoverFile);
+        const { cover, thumbnail } = covers.urls({ ...books[0], CoverFile: coverFile });
+        res.json({ message: 'Cover uploaded', bookId, BookCover: cover, BookCoverThumb: thumbnail });
     } catch (err) {
-        console.error('Error updating book stock:', err);
-        res.status(500).json({ error: 'Failed to update stock', details: err.message });
+        if (err instanceof CoverImageError) return res.status(err.status).json({ error: err.message });
+        console.error('Error uploading book cover:', err);
+        if (coverFile) await covers.remove(coverFile).catch(() => {});
+        res.status(500).json({ error: 'Failed to upload book cover' });
     }
 });
 
-// --- Customers ---
-app.get('/api/customers', async (req, res) => {
+// Goes back to the fallback cover
+app.delete('/api/books/:id/cover', validateRequest({ params: ID_PARAMS }), async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const bookId = req.params.id;
     try {
-        const [result] = await pool.query(`
-            SELECT c.CustomerID, c.FirstName, c.LastName, c.Email, c.Phone, 
-                   c.ShippingAddress, c.BillingAddress,
-                   (SELECT COUNT(o.OrderID) FROM Orders o WHERE o.CustomerID = c.CustomerID) AS TotalOrders
-            FROM Customers c 
-            ORDER BY c.LastName, c.FirstName
-        `);
-        res.json(result);
+        const [books] = await pool.query('SELECT CoverFile, ISBN FROM Books WHERE BookID = ?', [bookId]);
+        if (books.length === 0) return res.status(404).json({ error: 'Book not found' });
+        if (!books[0].CoverFile) return res.status(404).json({ error: 'This book has no uploaded cover.' });
+
+        await pool.query('UPDATE Books SET CoverFile = NULL WHERE BookID = ?', [bookId]);
+        await covers.remove(books[0].CoverFile);
+        const { cover, thumbnail } = covers.urls({ ...books[0], CoverFile: null });
+        res.json({ message: 'Cover removed', bookId, BookCover: cover, BookCoverThumb: thumbnail });
     } catch (err) {
-        console.error('Error fetching customers:', err);
-        res.status(500).json({ error: 'Failed to fetch customers', details: err.message });
+        console.error('Error removing book cover:', err);
+        res.status(500).json({ error: 'Failed to remove book cover' });
     }
 });
 
-app.get('/api/customers/search', async (req, res) => {
-    if (!pool) return res.status(503).json({ error: 'Database not connected' });
-    
-    const { criteria, query } = req.query;
-    if (!criteria || !query) {
-        return res.status(400).json({ error: 'Search criteria and query are required.' });
+// --- Stock movements ---
+// Every change to Books.Stock is appended to StockMovements with the resulting level.
+const STOCK_MOVEMENT_SOURCES = ['Manual', 'Sale', 'Cancellation', 'Import', 'Receiving'];
+
+// Appends a ledger row, attributed to the signed-in user.
+async function recordStockMovement(db, session, {
+    bookId, source, delta, resultingStock, reason = null, orderId = null, purchaseOrderId = null
+}) {
+    await db.query(`
+        INSERT INTO StockMovements (BookID, Source, Delta, ResultingStock, Reason, OrderID, PurchaseOrderID,
+                                    ActorRole, ActorID, ActorEmail)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [bookId, source, delta, resultingStock, reason, orderId, purchaseOrderId,
+        session ? session.role : null, session ? session.userId : null, session ? session.email : null]);
+    publishAfterCommit(db, 'stock', { bookId, source, delta, stock: resultingStock });
+    if (delta < 0) await notifyIfReorderPointCrossed(db, { bookId, previousStock: resultingStock - delta, resultingStock });
+}
+
+// Raises a low-stock notification only on the movement that takes stock from above the
+// book's reorder point to at or below it, not on every sale after that.
+async function notifyIfReorderPointCrossed(db, { bookId, previousStock, resultingStock }) {
+    const [rows] = await db.query(
+        'SELECT Title, COALESCE(ReorderPoint, ?) AS ReorderPoint FROM Books WHERE BookID = ?',
+        [DEFAULT_REORDER_POINT, bookId]
+    );
+    if (rows.length === 0) return;
+    const reorderPoint = Number(rows[0].ReorderPoint);
+    if (previousStock > reorderPoint && resultingStock <= reorderPoint) {
+        await notifyEvent(db, 'stock.belowReorderPoint', { bookId, title: rows[0].Title, stock: resultingStock, reorderPoint });
     }
-    
+}
+
+// Changes a book's stock by delta and records the movement. Returns the new level, or null
+// (and changes nothing) when the book is missing or stock would drop below zero.
+async function adjustStock(db, session, { bookId, delta, source, reason = null, orderId = null, purchaseOrderId = null }) {
+    const [result] = await db.query(
+        'UPDATE Books SET Stock = Stock + ? WHERE BookID = ? AND Stock + ? >= 0',
+        [delta, bookId, delta]
+    );
+    if (result.affectedRows === 0) return null;
+    const [rows] = await db.query('SELECT Stock FROM Books WHERE BookID = ?', [bookId]);
+    await recordStockMovement(db, session, {
+        bookId, source, delta, resultingStock: rows[0].Stock, reason, orderId, purchaseOrderId
+    });
+    return rows[0].Stock;
+}
+
+// Opening movement for a book that was just inserted by title.
+async function recordInitialStock(db, session, { title, stock, source, reason }) {
+    if (!stock) return;
+    const [rows] = await db.query('SELECT BookID FROM Books WHERE Title = ?', [title]);
+    if (rows.length === 0) return;
+    await recordStockMovement(db, session, { bookId: rows[0].BookID, source, delta: stock, resultingStock: stock, reason });
+}
+
+const STOCK_ADJUSTMENT_SCHEMA = {
+    params: ID_PARAMS,
+    body: {
+        stockChange: { type: 'integer', required: true, check: value => (value === 0 ? 'must not be 0' : null) },
+        reason: { maxLength: 255 }
+    }
+};
+
+app.put('/api/books/:id/stock', normalizeBody('stockAdjustments'), validateRequest(STOCK_ADJUSTMENT_SCHEMA), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const bookId = req.params.id;
+    const { stockChange: delta, reason } = req.body;
+
+    let connection;
     try {
-        let sqlQuery = `
-            SELECT c.CustomerID, c.FirstName, c.LastName, c.Email, c.Phone,
-                   (SELECT COUNT(o.OrderID) FROM Orders o WHERE o.CustomerID = c.CustomerID) AS TotalOrders
-            FROM Customers c`;
-        let params = [];
-        
-        switch (criteria.toLowerCase()) {
-            case 'name':
-                sqlQuery += ` WHERE (c.FirstName LIKE ? OR c.LastName LIKE ? OR CONCAT(c.FirstName, ' ', c.LastName) LIKE ?)`;
-                params = [`%${query}%`, `%${query}%`, `%${query}%`];
-                break;
-            case 'email':
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [books] = await connection.query(`SELECT Stock FROM ${dialect.lockTable('Books')} WHERE BookID = ?${dialect.forUpdate}`, [bookId]);
+        if (books.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Book not found' });
+        }
+        if (books[0].Stock + delta < 0) {
+            await connection.rollback();
+            return res.status(409).json({
+                error: `Insufficient stock: cannot remove ${-delta} unit(s), only ${books[0].Stock} in stock.`,
+                currentStock: books[0].Stock,
+                stockChange: delta
+            });
+        }
+
+        const newStock = await adjustStock(connection, req.session, {
+            bookId, delta, source: 'Manual', reason: reason ? String(reason).trim() || null : null
+        });
+        await commitAndPublish(connection);
+        res.json({ message: 'Stock updated successfully', newStock });
+    } catch (err) {
+        console.error('Error updating book stock:', err);
+        if (connection) {
+            try { await connection.rollback(); } catch (rollbackErr) { console.error('Error rolling back stock update:', rollbackErr); }
+        }
+        res.status(500).json({ error: 'Failed to update stock' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+const STOCK_MOVEMENT_LIST_SPEC = {
+    sortable: { date: 'sm.CreatedAt', delta: 'sm.Delta', source: 'sm.Source' },
+    defaultSort: 'date',
+    defaultOrder: 'desc',
+    tieBreaker: 'sm.MovementID',
+    filters: {
+        bookId: { column: 'sm.BookID', type: 'number' },
+        source: { column: 'sm.Source' },
+        from: { column: 'sm.CreatedAt', op: 'gte', type: 'date' },
+        to: { column: dialect.dateOf('sm.CreatedAt'), op: 'lte', type: 'date' }
+    }
+};
+
+app.get('/api/books/:id/stock-movements', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const bookId = parseInt(req.params.id);
+    if (isNaN(bookId)) return res.status(400).json({ error: 'Valid book ID is required' });
+    if (req.query.source !== undefined && !STOCK_MOVEMENT_SOURCES.includes(req.query.source)) {
+        return res.status(400).json({ error: `source must be one of: ${STOCK_MOVEMENT_SOURCES.join(', ')}` });
+    }
+
+    const list = parseListQuery({ ...req.query, bookId }, STOCK_MOVEMENT_LIST_SPEC);
+    if (list.error) return res.status(400).json(list.error);
+    try {
+        const { items, total } = await queryList(list, {
+            select: `SELECT sm.MovementID, sm.BookID, sm.Source, sm.Delta, sm.ResultingStock, sm.Reason,
+                            sm.OrderID, sm.PurchaseOrderID, sm.ActorRole, sm.ActorEmail, sm.CreatedAt`,
+            from: 'FROM StockMovements sm'
+        });
+        sendList(res, list, items, total);
+    } catch (err) {
+        console.error('Error fetching stock movements:', err);
+        res.status(500).json({ error: 'Failed to fetch stock movements' });
+    }
+});
+
+// --- Customers ---
+const CUSTOMER_LIST_SPEC = {
+    sortable: {
+        name: ['c.LastName', 'c.FirstName'], firstName: 'c.FirstName', email: 'c.Email',
+        totalOrders: 'COALESCE(oc.TotalOrders, 0)', customerId: 'c.CustomerID'
+    },
+    defaultSort: 'name',
+    tieBreaker: 'c.CustomerID',
+    filters: {
+        name: { column: "CONCAT(c.FirstName, ' ', c.LastName)", op: 'like' },
+        email: { column: 'c.Email', op: 'like' },
+        phone: { column: 'c.Phone', op: 'like' },
+        minOrders: { column: 'COALESCE(oc.TotalOrders, 0)', op: 'gte', type: 'number' },
+        active: { column: 'c.IsActive', op: 'eq', type: 'boolean' }
+    }
+};
+
+app.get('/api/customers', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const list = parseListQuery(req.query, CUSTOMER_LIST_SPEC);
+    if (list.error) return res.status(400).json(list.error);
+    try {
+        const { items, total } = await queryList(list, {
+            select: `SELECT c.CustomerID, c.FirstName, c.LastName, c.Email, c.Phone, 
+                   c.ShippingAddress, c.BillingAddress, c.IsActive, c.AnonymizedDate,
+                   COALESCE(oc.TotalOrders, 0) AS TotalOrders`,
+            from: `FROM Customers c
+            LEFT JOIN (SELECT CustomerID, COUNT(*) AS TotalOrders FROM Orders GROUP BY CustomerID) oc
+                ON oc.CustomerID = c.CustomerID`
+        });
+        sendList(res, list, items, total);
+    } catch (err) {
+        console.error('Error fetching customers:', err);
+        res.status(500).json({ error: 'Failed to fetch customers' });
+    }
+});
+
+app.get('/api/customers/search', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    
+    const { criteria, query } = req.query;
+    if (!criteria || !query) {
+        return res.status(400).json({ error: 'Search criteria and query are required.' });
+    }
+    
+    try {
+        let sqlQuery = `
+            SELECT c.CustomerID, c.FirstName, c.LastName, c.Email, c.Phone, c.IsActive, c.AnonymizedDate,
+                   (SELECT COUNT(o.OrderID) FROM Orders o WHERE o.CustomerID = c.CustomerID) AS TotalOrders
+            FROM Customers c`;
+        let params = [];
+        
+        switch (criteria.toLowerCase()) {
+            case 'name':
+                sqlQuery += ` WHERE (c.FirstName LIKE ? OR c.LastName LIKE ? OR CONCAT(c.FirstName, ' ', c.LastName) LIKE ?)`;
+                params = [`%${query}%`, `%${query}%`, `%${query}%`];
+                break;
+            case 'email':
                 sqlQuery += ' WHERE c.Email LIKE ?';
                 params = [`%${query}%`];
                 break;
@@ -727,7 +1505,7 @@ app.get('/api/customers/search', async (req, res) => {
         res.status(200).json(result);
     } catch (err) {
         console.error('Error searching customers:', err);
-        res.status(500).json({ error: 'Failed to search customers', details: err.message });
+        res.status(500).json({ error: 'Failed to search customers' });
     }
 });
 
@@ -735,46 +1513,70 @@ app.get('/api/customers/:id', async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
     try {
         const customerId = parseInt(req.params.id);
-        const [result] = await pool.query('SELECT * FROM Customers WHERE CustomerID = ?', [customerId]);
+        const [result] = await pool.query(`
+            SELECT CustomerID, FirstName, LastName, Email, Phone, ShippingAddress, BillingAddress, IsActive, AnonymizedDate
+            FROM Customers WHERE CustomerID = ?
+        `, [customerId]);
         if (result.length === 0) return res.status(404).json({ error: 'Customer not found' });
         res.json(result[0]);
     } catch (err) {
         console.error('Error fetching customer:', err);
-        res.status(500).json({ error: 'Failed to fetch customer', details: err.message });
+        res.status(500).json({ error: 'Failed to fetch customer' });
     }
 });
 
-app.post('/api/customers', async (req, res) => {
+// A password is optional: customers without one cannot sign in
+const CUSTOMER_SCHEMA = {
+    body: {
+        firstName: { required: true, maxLength: 100 },
+        lastName: { required: true, maxLength: 100 },
+        email: { type: 'email', required: true, maxLength: 100 },
+        phone: { maxLength: 20 },
+        password: {},
+        shippingAddress: { maxLength: 255 },
+        billingAddress: { maxLength: 255 }
+    }
+};
+
+app.post('/api/customers', normalizeBody('customers'), validateRequest(CUSTOMER_SCHEMA), async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
     try {
         const { firstName, lastName, email, phone, password, shippingAddress, billingAddress } = req.body;
-        if (!firstName || !lastName || !email) {
-            return res.status(400).json({ error: 'First name, last name, and email are required' });
+        if (await findCaseInsensitiveDuplicate(pool, 'customers', { email })) {
+            return res.status(400).json({ error: 'Email already exists.' });
         }
         
+        const passwordHash = password ? await hashPassword(password) : null;
         await pool.query(
-            'CALL AddCustomer(?, ?, ?, ?, ?, ?, ?)',
-            [firstName, lastName, email, phone || null, password || null, 
+            dialect.call('AddCustomer', 7),
+            [firstName, lastName, email, phone || null, passwordHash, 
              shippingAddress || null, billingAddress || null]
         );
+        const [[{ CustomerID: customerId }]] = await pool.query('SELECT CustomerID FROM Customers WHERE Email = ?', [email]);
+        await notifyEvent(pool, 'customer.registered', { customerId, customerName: `${firstName} ${lastName}`, email });
         res.status(201).json({ message: 'Customer added successfully' });
     } catch (err) {
         console.error('Error adding customer:', err);
-        if (err.code === 'ER_DUP_ENTRY') {
+        if (err.code === DB_ERRORS.DUPLICATE_ENTRY) {
             res.status(400).json({ error: 'Email already exists.' });
         } else {
-            res.status(500).json({ error: 'Failed to add customer', details: err.message });
+            res.status(500).json({ error: 'Failed to add customer' });
         }
     }
 });
 
-app.put('/api/customers/:id', async (req, res) => {
+app.put('/api/customers/:id', normalizeBody('customers'), validateRequest({ ...CUSTOMER_SCHEMA, params: ID_PARAMS }), async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
     try {
-        const customerId = parseInt(req.params.id);
+        const customerId = req.params.id;
         const { firstName, lastName, email, phone, password, shippingAddress, billingAddress } = req.body;
-        if (!firstName || !lastName || !email) {
-            return res.status(400).json({ error: 'First name, last name, email required' });
+        if (await findCaseInsensitiveDuplicate(pool, 'customers', { email }, customerId)) {
+            return res.status(400).json({ error: 'Email already exists for another customer.' });
+        }
+        const [existing] = await pool.query('SELECT AnonymizedDate FROM Customers WHERE CustomerID = ?', [customerId]);
+        if (existing.length === 0) return res.status(404).json({ error: 'Customer not found' });
+        if (existing[0].AnonymizedDate) {
+            return res.status(409).json({ error: 'This customer has been anonymized and can no longer be edited.' });
         }
 
         let query = `UPDATE Customers SET FirstName = ?, LastName = ?, Email = ?, Phone = ?, 
@@ -782,8 +1584,8 @@ app.put('/api/customers/:id', async (req, res) => {
         let params = [firstName, lastName, email, phone || null, shippingAddress || null, billingAddress || null];
         
         if (password) {
-            query += `, Password = ?`;
-            params.push(password);
+            query += `, Password = ?, SessionVersion = SessionVersion + 1`;
+            params.push(await hashPassword(password));
         }
         query += ` WHERE CustomerID = ?`;
         params.push(customerId);
@@ -793,22 +1595,22 @@ app.put('/api/customers/:id', async (req, res) => {
         res.json({ message: 'Customer updated successfully' });
     } catch (err) {
         console.error('Error updating customer:', err);
-        if (err.code === 'ER_DUP_ENTRY') {
+        if (err.code === DB_ERRORS.DUPLICATE_ENTRY) {
             res.status(400).json({ error: 'Email already exists for another customer.' });
         } else {
-            res.status(500).json({ error: 'Failed to update customer', details: err.message });
+            res.status(500).json({ error: 'Failed to update customer' });
         }
     }
 });
 
-app.delete('/api/customers/:id', async (req, res) => {
+app.delete('/api/customers/:id', validateRequest({ params: ID_PARAMS }), async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
     try {
-        const customerId = parseInt(req.params.id);
+        const customerId = req.params.id;
         const [ordersCheck] = await pool.query('SELECT COUNT(*) as OrderCount FROM Orders WHERE CustomerID = ?', 
                                                [customerId]);
         if (ordersCheck[0].OrderCount > 0) {
-            return res.status(400).json({ error: 'Cannot delete customer with existing orders. Consider deactivating instead.' });
+            return res.status(400).json({ error: 'Cannot delete customer with existing orders. Deactivate or anonymize them instead.' });
         }
         
         const [result] = await pool.query('DELETE FROM Customers WHERE CustomerID = ?', [customerId]);
@@ -816,7 +1618,7 @@ app.delete('/api/customers/:id', async (req, res) => {
         res.json({ message: 'Customer deleted successfully' });
     } catch (err) {
         console.error('Error deleting customer:', err);
-        res.status(500).json({ error: 'Failed to delete customer', details: err.message });
+        res.status(500).json({ error: 'Failed to delete customer' });
     }
 });
 
@@ -825,6 +1627,9 @@ app.get('/api/customers/:id/orders', async (req, res) => {
     try {
         const customerId = parseInt(req.params.id);
         if (isNaN(customerId)) return res.status(400).json({ error: 'Valid customer ID is required' });
+        if (req.session.role === 'customer' && req.session.userId !== customerId) {
+            return res.status(403).json({ error: 'You can only view your own orders' });
+        }
         
         const [result] = await pool.query(
             'SELECT * FROM CustomerOrders WHERE CustomerID = ? ORDER BY OrderDate DESC',
@@ -833,43 +1638,352 @@ app.get('/api/customers/:id/orders', async (req, res) => {
         res.json(result);
     } catch (err) {
         console.error('Error fetching customer orders:', err);
-        res.status(500).json({ error: 'Failed to fetch customer orders', details: err.message });
+        res.status(500).json({ error: 'Failed to fetch customer orders' });
     }
 });
 
-// --- Orders ---
-app.post('/api/orders', async (req, res) => {
+// Shared with PUT /api/admins/:id/status
+const ACCOUNT_STATUS_SCHEMA = {
+    params: ID_PARAMS,
+    body: { isActive: { type: 'boolean', required: true } }
+};
+
+app.put('/api/customers/:id/status', validateRequest(ACCOUNT_STATUS_SCHEMA), async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
     try {
-        const { customerId, items, paymentMethod } = req.body;
-        if (!customerId || !items || !Array.isArray(items) || items.length === 0 || !paymentMethod) {
-            return res.status(400).json({ error: 'Customer ID, items array, and payment method are required' });
+        const customerId = req.params.id;
+        const { isActive } = req.body;
+        const [rows] = await pool.query('SELECT AnonymizedDate FROM Customers WHERE CustomerID = ?', [customerId]);
+        if (rows.length === 0) return res.status(404).json({ error: 'Customer not found' });
+        if (isActive && rows[0].AnonymizedDate) {
+            return res.status(409).json({ error: 'An anonymized customer cannot be reactivated.' });
         }
-        
-        const validPaymentMethods = ['Cash', 'Card', 'JazzCash', 'EasyPaisa', 'SadaPay'];
-        if (!validPaymentMethods.includes(paymentMethod)) {
-            return res.status(400).json({ error: `Invalid payment method. Must be one of: ${validPaymentMethods.join(', ')}` });
+        // Sessions from before a deactivation stay ended after a reactivation
+        await pool.query('UPDATE Customers SET IsActive = ?, SessionVersion = SessionVersion + 1 WHERE CustomerID = ?', [isActive ? 1 : 0, customerId]);
+        res.json({ message: `Customer ${isActive ? 'reactivated' : 'deactivated'} successfully` });
+    } catch (err) {
+        console.error('Error updating customer status:', err);
+        res.status(500).json({ error: 'Failed to update customer status' });
+    }
+});
+
+// Everything held on a customer, as a JSON download: the profile (without the password
+// hash), each order with its lines and status history, and the payments and refunds.
+app.get('/api/customers/:id/export', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    try {
+        const customerId = parseInt(req.params.id);
+        if (isNaN(customerId)) return res.status(400).json({ error: 'Valid customer ID is required' });
+        if (req.session.role === 'customer' && req.session.userId !== customerId) {
+            return res.status(403).json({ error: 'You can only export your own data' });
         }
-        
-        for (const item of items) {
-            if (!item.bookId || !item.quantity || item.quantity <= 0) {
-                return res.status(400).json({ error: 'Each item must have bookId and quantity > 0' });
+
+        const [customers] = await pool.query(`
+            SELECT CustomerID, FirstName, LastName, Email, Phone, ShippingAddress, BillingAddress, IsActive, AnonymizedDate
+            FROM Customers WHERE CustomerID = ?
+        `, [customerId]);
+        if (customers.length === 0) return res.status(404).json({ error: 'Customer not found' });
+        const customer = customers[0];
+
+        const [orders] = await pool.query(`
+            SELECT o.OrderID, o.OrderDate, o.Status, os.TotalAmount, i.InvoiceNumber
+            FROM Orders o
+            LEFT JOIN OrderSummary os ON os.OrderID = o.OrderID
+            LEFT JOIN Invoices i ON i.OrderID = o.OrderID
+            WHERE o.CustomerID = ?
+            ORDER BY o.OrderDate, o.OrderID
+        `, [customerId]);
+        const orderIds = orders.map(order => order.OrderID);
+        // MySQL rejects an empty IN (), and a customer without orders has nothing more to read
+        let lines = [];
+        let history = [];
+        let payments = [];
+        if (orderIds.length > 0) {
+            [lines] = await pool.query(`
+                SELECT od.OrderID, od.BookID, b.Title, od.Quantity, od.CancelledQuantity, od.UnitPrice, od.Discount, od.LineTotal
+                FROM OrderDetails od
+                JOIN Books b ON od.BookID = b.BookID
+                WHERE od.OrderID IN (?)
+                ORDER BY od.OrderID, od.OrderDetailID
+            `, [orderIds]);
+            [history] = await pool.query(`
+                SELECT OrderID, EventType, FromStatus, ToStatus, LogDate
+                FROM OrderLog WHERE OrderID IN (?)
+                ORDER BY OrderID, LogDate, LogID
+            `, [orderIds]);
+            [payments] = await pool.query(`
+                SELECT PaymentID, OrderID, PaymentDate, PaymentMethod, PaymentType, Amount, Note
+                FROM Payments WHERE OrderID IN (?)
+                ORDER BY PaymentDate, PaymentID
+            `, [orderIds]);
+        }
+
+        const byOrder = (rows, orderId) => rows.filter(row => row.OrderID === orderId);
+        res.setHeader('Content-Disposition', `attachment; filename="customer-${customerId}-data.json"`);
+        res.json({
+            exportedAt: new Date().toISOString(),
+            customer: {
+                customerId: customer.CustomerID,
+                firstName: customer.FirstName,
+                lastName: customer.LastName,
+                email: customer.Email,
+                phone: customer.Phone,
+                shippingAddress: customer.ShippingAddress,
+                billingAddress: customer.BillingAddress,
+                isActive: isActiveFlag(customer.IsActive),
+                anonymizedDate: customer.AnonymizedDate
+            },
+            orders: orders.map(order => ({
+                orderId: order.OrderID,
+                orderDate: toDateString(order.OrderDate),
+                status: order.Status,
+                totalAmount: Number(order.TotalAmount || 0),
+                invoiceNumber: order.InvoiceNumber ? formatInvoiceNumber(order.InvoiceNumber) : null,
+                lines: byOrder(lines, order.OrderID).map(line => ({
+                    bookId: line.BookID,
+                    title: line.Title,
+                    quantity: line.Quantity,
+                    cancelledQuantity: line.CancelledQuantity,
+                    unitPrice: Number(line.UnitPrice),
+                    discount: Number(line.Discount),
+                    lineTotal: Number(line.LineTotal)
+                })),
+                history: byOrder(history, order.OrderID).map(event => ({
+                    date: event.LogDate,
+                    event: event.EventType,
+                    fromStatus: event.FromStatus,
+                    toStatus: event.ToStatus
+                }))
+            })),
+            payments: payments.map(payment => ({
+                paymentId: payment.PaymentID,
+                orderId: payment.OrderID,
+                date: payment.PaymentDate,
+                method: payment.PaymentMethod,
+                type: payment.PaymentType,
+                amount: Number(payment.Amount),
+                note: payment.Note
+            }))
+        });
+    } catch (err) {
+        console.error('Error exporting customer data:', err);
+        res.status(500).json({ error: 'Failed to export customer data' });
+    }
+});
+
+// Erases a customer's personal details for good and deactivates them. Their orders,
+// payments and invoices stay for the accounts, now under an anonymous placeholder name.
+// Customers with orders still to ship are refused, since shipping needs their address.
+app.post('/api/customers/:id/anonymize', validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const customerId = req.params.id;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [rows] = await connection.query(
+            `SELECT FirstName, LastName, Email, AnonymizedDate FROM ${dialect.lockTable('Customers')} WHERE CustomerID = ?${dialect.forUpdate}`,
+            [customerId]
+        );
+        if (rows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+        const customer = rows[0];
+        if (customer.AnonymizedDate) {
+            await connection.rollback();
+            return res.status(409).json({ error: 'This customer has already been anonymized.' });
+        }
+        const [openOrders] = await connection.query(
+            "SELECT OrderID FROM Orders WHERE CustomerID = ? AND Status IN ('Pending', 'Processing', 'Shipped') ORDER BY OrderID",
+            [customerId]
+        );
+        if (openOrders.length > 0) {
+            await connection.rollback();
+            return res.status(409).json({
+                error: 'Complete or cancel the customer\'s open orders before anonymizing them.',
+                orderIds: openOrders.map(order => order.OrderID)
+            });
+        }
+
+        await connection.query(`
+            UPDATE Customers
+            SET FirstName = 'Anonymized', LastName = 'Customer', Email = ?, Phone = NULL, Password = NULL,
+                ShippingAddress = NULL, BillingAddress = NULL, IsActive = 0, AnonymizedDate = ${dialect.now}
+            WHERE CustomerID = ?
+        `, [`anonymized-${customerId}@invalid`, customerId]);
+        await connection.query(
+            "UPDATE OrderLog SET ActorEmail = NULL WHERE ActorRole = 'customer' AND ActorID = ?",
+            [customerId]
+        );
+        await connection.query('DELETE FROM Notifications WHERE CustomerID = ?', [customerId]);
+        await connection.commit();
+        res.json({ message: 'Customer anonymized successfully', customerId });
+    } catch (err) {
+        console.error('Error anonymizing customer:', err);
+        if (connection) {
+            try { await connection.rollback(); } catch (rollbackErr) { console.error('Error rolling back anonymization:', rollbackErr); }
+        }
+        res.status(500).json({ error: 'Failed to anonymize customer' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// --- Orders ---
+// Allowed next states for each order status. Completed and Cancelled are final.
+const ORDER_STATUS_TRANSITIONS = {
+    Pending: ['Processing', 'Cancelled'],
+    Processing: ['Shipped', 'Cancelled'],
+    Shipped: ['Completed'],
+    Completed: [],
+    Cancelled: []
+};
+
+// Appends a lifecycle event to OrderLog, attributed to the signed-in user.
+async function recordOrderEvent(db, session, { orderId, eventType, fromStatus = null, toStatus = null, paymentMethod = null }) {
+    await db.query(`
+        INSERT INTO OrderLog (OrderID, EventType, FromStatus, ToStatus, PaymentMethod, ActorRole, ActorID, ActorEmail)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [orderId, eventType, fromStatus, toStatus, paymentMethod,
+        session ? session.role : null, session ? session.userId : null, session ? session.email : null]);
+    publishAfterCommit(db, 'order', { orderId, eventType, fromStatus, toStatus });
+}
+
+// The values allowed by the Payments.PaymentMethod CHECK constraint
+const PAYMENT_METHODS = ['Cash', 'Card', 'JazzCash', 'EasyPaisa', 'SadaPay'];
+
+// An optional discount is an amount taken off the item's line
+const ORDER_SCHEMA = {
+    body: {
+        customerId: { type: 'integer', required: true, min: 1 },
+        paymentMethod: { type: 'enum', required: true, values: PAYMENT_METHODS },
+        items: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: true,
+                fields: {
+                    bookId: { type: 'integer', required: true, min: 1 },
+                    quantity: { type: 'integer', required: true, min: 1 },
+                    discount: { type: 'number', min: 0 }
+                }
             }
         }
-        
-        for (const item of items) {
-            await pool.query('CALL PlaceOrder(?, ?, ?, ?)', 
-                           [parseInt(customerId), parseInt(item.bookId), parseInt(item.quantity), paymentMethod]);
+    }
+};
+
+app.post('/api/orders', validateRequest(ORDER_SCHEMA), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+
+    const { customerId, items, paymentMethod } = req.body;
+
+    // Merge repeated books into one line so stock is checked against the combined quantity
+    const quantitiesByBook = new Map();
+    const discountsByBook = new Map();
+    for (const { bookId, quantity, discount } of items) {
+        quantitiesByBook.set(bookId, (quantitiesByBook.get(bookId) || 0) + quantity);
+        discountsByBook.set(bookId, (discountsByBook.get(bookId) || 0) + Math.round((discount || 0) * 100) / 100);
+    }
+    const bookIds = [...quantitiesByBook.keys()];
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [customerRows] = await connection.query('SELECT CustomerID, FirstName, LastName, IsActive FROM Customers WHERE CustomerID = ?', [customerId]);
+        if (customerRows.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Customer not found' });
         }
-        
-        res.status(201).json({ message: 'Order placed successfully' });
+        if (!isActiveFlag(customerRows[0].IsActive)) {
+            await connection.rollback();
+            return res.status(409).json({ error: 'This customer account has been deactivated.' });
+        }
+
+        // Lock every book row in the cart until the order commits or rolls back
+        const [bookRows] = await connection.query(
+            `SELECT BookID, Title, Price, Stock FROM ${dialect.lockTable('Books')} WHERE BookID IN (?)${dialect.forUpdate}`,
+            [bookIds]
+        );
+        const booksById = new Map(bookRows.map(book => [book.BookID, book]));
+
+        const missingBookIds = bookIds.filter(id => !booksById.has(id));
+        if (missingBookIds.length > 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: `Books not found: ${missingBookIds.join(', ')}` });
+        }
+
+        const shortages = bookIds
+            .map(id => ({ book: booksById.get(id), requested: quantitiesByBook.get(id) }))
+            .filter(({ book, requested }) => book.Stock < requested)
+            .map(({ book, requested }) => ({ bookId: book.BookID, title: book.Title, requested, available: book.Stock }));
+        if (shortages.length > 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Insufficient stock for one or more items.', shortages });
+        }
+
+        // Prices are captured from the locked rows so later catalog changes don't touch this order
+        const lines = bookIds.map(id => {
+            const quantity = quantitiesByBook.get(id);
+            const unitPrice = parseFloat(booksById.get(id).Price);
+            const discount = Math.round(discountsByBook.get(id) * 100) / 100;
+            return { bookId: id, quantity, unitPrice, discount, lineTotal: Math.round((unitPrice * quantity - discount) * 100) / 100 };
+        });
+        const overDiscounted = lines.filter(line => line.lineTotal < 0).map(line => line.bookId);
+        if (overDiscounted.length > 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Discount cannot exceed the line amount.', bookIds: overDiscounted });
+        }
+
+        const [orderResult] = await connection.query('INSERT INTO Orders (CustomerID) VALUES (?)', [customerId]);
+        const orderId = orderResult.insertId;
+
+        await connection.query(
+            'INSERT INTO OrderDetails (OrderID, BookID, Quantity, UnitPrice, Discount, LineTotal) VALUES ?',
+            [lines.map(line => [orderId, line.bookId, line.quantity, line.unitPrice, line.discount, line.lineTotal])]
+        );
+
+        let totalAmount = 0;
+        for (const line of lines) {
+            await adjustStock(connection, req.session, { bookId: line.bookId, delta: -line.quantity, source: 'Sale', orderId });
+            totalAmount += line.lineTotal;
+        }
+        totalAmount = Math.round(totalAmount * 100) / 100;
+
+        await connection.query(
+            'INSERT INTO Payments (OrderID, PaymentMethod, Amount) VALUES (?, ?, ?)',
+            [orderId, paymentMethod, totalAmount]
+        );
+        await recordOrderEvent(connection, req.session, { orderId, eventType: 'Placed', toStatus: 'Pending', paymentMethod });
+        await notifyEvent(connection, 'order.placed', {
+            orderId,
+            customerId,
+            customerName: `${customerRows[0].FirstName} ${customerRows[0].LastName}`,
+            itemCount: bookIds.length,
+            totalAmount: totalAmount.toFixed(2),
+            paymentMethod
+        });
+
+        await commitAndPublish(connection);
+        res.status(201).json({ message: 'Order placed successfully', orderId, totalAmount, itemCount: bookIds.length });
     } catch (err) {
         console.error('Error placing order:', err);
-        if (err.message.includes('insufficient stock') || err.code === 'ER_ROW_IS_REFERENCED_2') {
-            res.status(400).json({ error: 'Insufficient stock or data conflict.' });
+        if (connection) {
+            try { await connection.rollback(); } catch (rollbackErr) { console.error('Error rolling back order:', rollbackErr); }
+        }
+        if (err.code === DB_ERRORS.MISSING_REFERENCE || err.code === DB_ERRORS.CONSTRAINT_VIOLATION) {
+            res.status(400).json({ error: 'Order data conflict. No changes were saved.' });
         } else {
-            res.status(500).json({ error: 'Failed to place order', details: err.message });
+            res.status(500).json({ error: 'Failed to place order' });
         }
+    } finally {
+        if (connection) connection.release();
     }
 });
 
@@ -881,7 +1995,8 @@ app.get('/api/orders/:id/details', async (req, res) => {
         
         const [result] = await pool.query(`
             SELECT od.OrderDetailID, od.OrderID, od.BookID, b.Title, a.Name AS AuthorName, 
-                   od.Quantity, b.Price, (od.Quantity * b.Price) AS LineTotal
+                   od.Quantity, od.CancelledQuantity, od.UnitPrice AS Price, od.Discount,
+                   ROUND(${NET_LINE_TOTAL}, 2) AS LineTotal, b.Price AS CurrentPrice
             FROM OrderDetails od 
             JOIN Books b ON od.BookID = b.BookID 
             JOIN Authors a ON b.AuthorID = a.AuthorID
@@ -891,269 +2006,2080 @@ app.get('/api/orders/:id/details', async (req, res) => {
         res.json(result);
     } catch (err) {
         console.error('Error fetching order details:', err);
-        res.status(500).json({ error: 'Failed to fetch order details', details: err.message });
+        res.status(500).json({ error: 'Failed to fetch order details' });
     }
 });
 
-app.put('/api/orders/:id/status', async (req, res) => {
+app.get('/api/orders/:id/history', async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
     try {
         const orderId = parseInt(req.params.id);
-        const { status } = req.body;
-        if (isNaN(orderId) || !status) {
-            return res.status(400).json({ error: 'Valid order ID and status are required' });
-        }
-        
-        await pool.query('UPDATE Orders SET Status = ? WHERE OrderID = ?', [status, orderId]);
-        res.json({ message: 'Order status updated successfully' });
+        if (isNaN(orderId)) return res.status(400).json({ error: 'Valid order ID is required' });
+
+        const [orders] = await pool.query('SELECT Status FROM Orders WHERE OrderID = ?', [orderId]);
+        if (orders.length === 0) return res.status(404).json({ error: 'Order not found' });
+
+        const [history] = await pool.query(`
+            SELECT LogID, OrderID, EventType, FromStatus, ToStatus, PaymentMethod,
+                   ActorRole, ActorID, ActorEmail, LogDate
+            FROM OrderLog
+            WHERE OrderID = ?
+            ORDER BY LogDate, LogID
+        `, [orderId]);
+
+        const status = orders[0].Status;
+        res.json({ orderId, status, allowedStatuses: ORDER_STATUS_TRANSITIONS[status] || [], history });
     } catch (err) {
-        console.error('Error updating order status:', err);
-        res.status(500).json({ error: 'Failed to update order status', details: err.message });
+        console.error('Error fetching order history:', err);
+        res.status(500).json({ error: 'Failed to fetch order history' });
     }
 });
 
-// --- Genres ---
-app.get('/api/genres', async (req, res) => {
+const ORDER_STATUS_SCHEMA = {
+    params: ID_PARAMS,
+    body: { status: { type: 'enum', required: true, values: Object.keys(ORDER_STATUS_TRANSITIONS) } }
+};
+
+app.put('/api/orders/:id/status', validateRequest(ORDER_STATUS_SCHEMA), async (req, res) => {
     if (!pool) return res.status(503).json({ error: 'Database not connected' });
+
+    const orderId = req.params.id;
+    const { status } = req.body;
+
+    let connection;
     try {
-        const [result] = await pool.query(`
-            SELECT DISTINCT Genre AS Name, 
-                   (@row_number:=@row_number + 1) AS GenreID 
-            FROM Books, (SELECT @row_number:=0) AS t
-            WHERE Genre IS NOT NULL AND Genre != ''
-            ORDER BY Genre
-        `);
-        res.json(result);
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [orders] = await connection.query(`SELECT Status FROM ${dialect.lockTable('Orders')} WHERE OrderID = ?${dialect.forUpdate}`, [orderId]);
+        if (orders.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const currentStatus = orders[0].Status;
+        const allowedStatuses = ORDER_STATUS_TRANSITIONS[currentStatus] || [];
+        if (!allowedStatuses.includes(status)) {
+            await connection.rollback();
+            const allowedText = allowedStatuses.length > 0 ? allowedStatuses.join(', ') : 'none (final state)';
+            return res.status(409).json({
+                error: `Cannot change order status from ${currentStatus} to ${status}. Allowed next states: ${allowedText}.`,
+                currentStatus,
+                allowedStatuses
+            });
+        }
+        if (status === 'Cancelled') {
+            // Cancelling has to restock and refund, which only the cancel endpoint does.
+            await connection.rollback();
+            return res.status(409).json({
+                error: `Use POST /api/orders/${orderId}/cancel to cancel an order.`,
+                currentStatus,
+                allowedStatuses
+            });
+        }
+
+        await connection.query('UPDATE Orders SET Status = ? WHERE OrderID = ?', [status, orderId]);
+        await recordOrderEvent(connection, req.session, { orderId, eventType: 'StatusChange', fromStatus: currentStatus, toStatus: status });
+        await notifyEvent(connection, 'order.statusChanged', { orderId, fromStatus: currentStatus, toStatus: status });
+
+        await commitAndPublish(connection);
+        res.json({
+            message: 'Order status updated successfully',
+            orderId,
+            previousStatus: currentStatus,
+            status,
+            allowedStatuses: ORDER_STATUS_TRANSITIONS[status]
+        });
     } catch (err) {
-        console.error('Error fetching genres:', err);
-        res.status(500).json({ error: 'Failed to fetch genres', details: err.message });
+        console.error('Error updating order status:', err);
+        if (connection) {
+            try { await connection.rollback(); } catch (rollbackErr) { console.error('Error rolling back order status:', rollbackErr); }
+        }
+        res.status(500).json({ error: 'Failed to update order status' });
+    } finally {
+        if (connection) connection.release();
     }
 });
 
-app.get('/api/genres/search', async (req, res) => {
-    if (!pool) return res.status(503).json({ error: 'Database not connected' });
-    
-    const { name } = req.query;
-    if (!name) {
-        return res.status(400).json({ error: 'Genre name for search is required.' });
-    }
-    
-    try {
-        const [result] = await pool.query(`
-            SELECT DISTINCT Genre AS Name,
-                   (@row_number:=@row_number + 1) AS GenreID
-            FROM Books, (SELECT @row_number:=0) AS t
-            WHERE Genre LIKE ?
-            ORDER BY Genre
-        `, [`%${name}%`]);
-        
-        res.status(200).json(result);
-    } catch (err) {
-        console.error('Error searching genres:', err);
-        res.status(500).json({ error: 'Failed to search genres', details: err.message });
+// Cancels the whole order, or only the given lines when items are sent:
+// { items: [{ orderDetailId, quantity }], reason }. Cancelled units go back into stock
+// and the matching amount is recorded as a Refund payment in the same transaction.
+// Without items the whole order is cancelled
+const ORDER_CANCELLATION_SCHEMA = {
+    params: ID_PARAMS,
+    body: {
+        items: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: true,
+                fields: {
+                    orderDetailId: { type: 'integer', required: true, min: 1 },
+                    quantity: { type: 'integer', required: true, min: 1 }
+                }
+            }
+        },
+        reason: { maxLength: 255 }
     }
-});
+};
 
-// --- NOTIFICATIONS ---
-const NOTIFICATIONS_FILE_PATH = path.join(__dirname, 'notifications.json');
+app.post('/api/orders/:id/cancel', normalizeBody('orderCancellations'), validateRequest(ORDER_CANCELLATION_SCHEMA), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
 
-async function readNotificationsFile() {
-    try {
-        await fs.access(NOTIFICATIONS_FILE_PATH);
-        const data = await fs.readFile(NOTIFICATIONS_FILE_PATH, 'utf-8');
-        const jsonData = JSON.parse(data);
-        return {
-            unread: Array.isArray(jsonData.unread) ? jsonData.unread : [],
-            read: Array.isArray(jsonData.read) ? jsonData.read : []
-        };
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            const emptyNotifications = { unread: [], read: [] };
-            await writeNotificationsFile(emptyNotifications);
-            return emptyNotifications;
-        }
-        return { unread: [], read: [] };
+    const orderId = req.params.id;
+    const { items, reason } = req.body;
+    const requestedByLine = new Map();
+    for (const { orderDetailId, quantity } of items || []) {
+        requestedByLine.set(orderDetailId, (requestedByLine.get(orderDetailId) || 0) + quantity);
     }
-}
 
-async function writeNotificationsFile(data) {
+    let connection;
     try {
-        const dataToWrite = {
-            unread: Array.isArray(data.unread) ? data.unread : [],
-            read: Array.isArray(data.read) ? data.read : []
-        };
-        await fs.writeFile(NOTIFICATIONS_FILE_PATH, JSON.stringify(dataToWrite, null, 2), 'utf-8');
-    } catch (error) {
-        console.error('Error writing to notifications.json:', error);
-    }
-}
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
 
-app.get('/api/notifications', async (req, res) => {
-    try {
-        const notifications = await readNotificationsFile();
-        notifications.unread.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-        notifications.read.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-        res.json(notifications);
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch notifications', details: error.message });
-    }
-});
+        const [orders] = await connection.query(`SELECT Status FROM ${dialect.lockTable('Orders')} WHERE OrderID = ?${dialect.forUpdate}`, [orderId]);
+        if (orders.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        const currentStatus = orders[0].Status;
+        if (!(ORDER_STATUS_TRANSITIONS[currentStatus] || []).includes('Cancelled')) {
+            await connection.rollback();
+            return res.status(409).json({
+                error: `Orders that are ${currentStatus} can no longer be cancelled.`,
+                currentStatus,
+                allowedStatuses: ORDER_STATUS_TRANSITIONS[currentStatus] || []
+            });
+        }
 
-app.post('/api/notifications', async (req, res) => {
-    try {
-        const newNotification = req.body;
-        if (!newNotification.id || !newNotification.headline || !newNotification.message || !newNotification.timestamp) {
-            return res.status(400).json({ error: 'Missing required notification fields.' });
+        const [lines] = await connection.query(`
+            SELECT od.OrderDetailID, od.BookID, od.Quantity, od.CancelledQuantity, od.LineTotal, b.Title
+            FROM ${dialect.lockTable('OrderDetails od')}
+            JOIN Books b ON od.BookID = b.BookID
+            WHERE od.OrderID = ?${dialect.forUpdate}
+        `, [orderId]);
+
+        const linesById = new Map(lines.map(line => [line.OrderDetailID, line]));
+        const unknownLines = [...requestedByLine.keys()].filter(id => !linesById.has(id));
+        if (unknownLines.length > 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Some lines do not belong to this order.', orderDetailIds: unknownLines });
         }
 
-        const notifications = await readNotificationsFile();
-        
-        if (newNotification.read) {
-            notifications.read.unshift(newNotification);
-        } else {
-            notifications.unread.unshift(newNotification);
+        const toCancel = [];
+        const overCancelled = [];
+        for (const line of lines) {
+            const remaining = line.Quantity - line.CancelledQuantity;
+            const quantity = items ? (requestedByLine.get(line.OrderDetailID) || 0) : remaining;
+            if (quantity === 0) continue;
+            if (quantity > remaining) {
+                overCancelled.push({ orderDetailId: line.OrderDetailID, title: line.Title, requested: quantity, remaining });
+            } else {
+                toCancel.push({ line, quantity });
+            }
         }
-        
-        const MAX_NOTIFICATIONS_PER_CATEGORY = 100;
-        if (notifications.unread.length > MAX_NOTIFICATIONS_PER_CATEGORY) {
-            notifications.unread = notifications.unread.slice(0, MAX_NOTIFICATIONS_PER_CATEGORY);
+        if (overCancelled.length > 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Cannot cancel more units than remain on the order.', lines: overCancelled });
         }
-        if (notifications.read.length > MAX_NOTIFICATIONS_PER_CATEGORY) {
-            notifications.read = notifications.read.slice(0, MAX_NOTIFICATIONS_PER_CATEGORY);
+        if (toCancel.length === 0) {
+            await connection.rollback();
+            return res.status(409).json({ error: 'Nothing left to cancel on this order.' });
         }
 
-        await writeNotificationsFile(notifications);
-        res.status(201).json(newNotification);
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to add notification', details: error.message });
-    }
-});
-
-app.put('/api/notifications/:id/status', async (req, res) => {
-    try {
-        const notificationId = req.params.id;
-        const { read } = req.body;
-
-        if (typeof read !== 'boolean') {
-            return res.status(400).json({ error: 'Invalid "read" status provided.' });
+        let itemsValue = 0;
+        for (const { line, quantity } of toCancel) {
+            await connection.query(
+                'UPDATE OrderDetails SET CancelledQuantity = CancelledQuantity + ? WHERE OrderDetailID = ?',
+                [quantity, line.OrderDetailID]
+            );
+            await adjustStock(connection, req.session, {
+                bookId: line.BookID, delta: quantity, source: 'Cancellation', reason: reason || null, orderId
+            });
+            itemsValue += parseFloat(line.LineTotal) * quantity / line.Quantity;
         }
 
-        const notifications = await readNotificationsFile();
-        let foundAndUpdated = false;
-        let targetList = read ? notifications.read : notifications.unread;
-        let sourceList = read ? notifications.unread : notifications.read;
+        const unitsLeft = lines.reduce((sum, line) => sum + line.Quantity - line.CancelledQuantity, 0);
+        const unitCount = toCancel.reduce((sum, c) => sum + c.quantity, 0);
+        const fullyCancelled = unitCount === unitsLeft;
 
-        const indexInSource = sourceList.findIndex(n => n.id === notificationId);
-        if (indexInSource > -1) {
-            const notification = sourceList.splice(indexInSource, 1)[0];
-            notification.read = read;
-            targetList.unshift(notification);
-            targetList.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-            foundAndUpdated = true;
+        // Never refund more than was actually paid; a full cancellation refunds the remainder.
+        const [paymentRows] = await connection.query(`
+            SELECT MAX(CASE WHEN PaymentType = 'Payment' THEN PaymentMethod END) AS PaymentMethod,
+                   COALESCE(SUM(CASE WHEN PaymentType = 'Refund' THEN -Amount ELSE Amount END), 0) AS NetPaid
+            FROM Payments
+            WHERE OrderID = ?
+        `, [orderId]);
+        const netPaid = parseFloat(paymentRows[0].NetPaid) || 0;
+        const paymentMethod = paymentRows[0].PaymentMethod || null;
+        let refundAmount = fullyCancelled ? netPaid : Math.min(Math.round(itemsValue * 100) / 100, netPaid);
+        refundAmount = Math.max(0, Math.round(refundAmount * 100) / 100);
+
+        if (refundAmount > 0) {
+            await connection.query(
+                'INSERT INTO Payments (OrderID, PaymentMethod, Amount, PaymentType, Note) VALUES (?, ?, ?, ?, ?)',
+                [orderId, paymentMethod, refundAmount, 'Refund', reason || null]
+            );
         }
-        
-        if (foundAndUpdated) {
-            await writeNotificationsFile(notifications);
-            res.json({ message: `Notification ${notificationId} status updated.` });
-        } else {
-            const alreadyInTarget = targetList.find(n => n.id === notificationId);
-            if (alreadyInTarget) {
-                return res.json({ message: `Notification ${notificationId} status already as requested.` });
-            }
-            res.status(404).json({ error: `Notification ${notificationId} not found.` });
+
+        const newStatus = fullyCancelled ? 'Cancelled' : currentStatus;
+        if (fullyCancelled) {
+            await connection.query('UPDATE Orders SET Status = ? WHERE OrderID = ?', [newStatus, orderId]);
         }
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to update notification status', details: error.message });
-    }
-});
+        await recordOrderEvent(connection, req.session, {
+            orderId,
+            eventType: fullyCancelled ? 'StatusChange' : 'PartialCancellation',
+            fromStatus: currentStatus,
+            toStatus: newStatus,
+            paymentMethod: refundAmount > 0 ? paymentMethod : null
+        });
 
-app.put('/api/notifications/mark-all-read', async (req, res) => {
-    try {
-        const notifications = await readNotificationsFile();
-        if (notifications.unread.length > 0) {
-            notifications.unread.forEach(n => n.read = true);
-            notifications.read = [...notifications.unread, ...notifications.read];
-            notifications.read.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-            notifications.unread = [];
-            await writeNotificationsFile(notifications);
+        await notifyEvent(connection, fullyCancelled ? 'order.cancelled' : 'order.partiallyCancelled', {
+            orderId,
+            unitCount,
+            refundAmount: refundAmount.toFixed(2),
+            paymentNote: paymentMethod ? ` via ${paymentMethod}` : '',
+            reasonNote: reason ? ` Reason: ${reason}` : ''
+        });
+
+        await commitAndPublish(connection);
+
+        res.json({
+            message: fullyCancelled ? 'Order cancelled successfully' : 'Order lines cancelled successfully',
+            orderId,
+            status: newStatus,
+            refundAmount,
+            cancelledLines: toCancel.map(({ line, quantity }) => ({
+                orderDetailId: line.OrderDetailID, bookId: line.BookID, title: line.Title, quantity
+            }))
+        });
+    } catch (err) {
+        console.error('Error cancelling order:', err);
+        if (connection) {
+            try { await connection.rollback(); } catch (rollbackErr) { console.error('Error rolling back order cancellation:', rollbackErr); }
         }
-        res.json({ message: 'All unread notifications marked as read.' });
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to mark all as read', details: error.message });
+        res.status(500).json({ error: 'Failed to cancel order' });
+    } finally {
+        if (connection) connection.release();
     }
 });
 
-app.delete('/api/notifications/:id', async (req, res) => {
+// --- Store settings ---
+// The store details printed on invoices. A single row, created by the 010 migration.
+async function loadStoreSettings(db) {
+    const [rows] = await db.query('SELECT StoreName, StoreEmail, UpdatedDate FROM StoreSettings WHERE SettingsID = 1');
+    if (rows.length === 0) throw new Error('StoreSettings row is missing; apply db/migrations/010_invoices.sql');
+    return { storeName: rows[0].StoreName, storeEmail: rows[0].StoreEmail, updatedDate: rows[0].UpdatedDate };
+}
+
+app.get('/api/settings/store', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
     try {
-        const notificationId = req.params.id;
-        const notifications = await readNotificationsFile();
-        
-        let initialLength = notifications.unread.length + notifications.read.length;
-        notifications.unread = notifications.unread.filter(n => n.id !== notificationId);
-        notifications.read = notifications.read.filter(n => n.id !== notificationId);
-        let finalLength = notifications.unread.length + notifications.read.length;
-
-        if (initialLength > finalLength) {
-            await writeNotificationsFile(notifications);
-            res.json({ message: `Notification ${notificationId} deleted.` });
-        } else {
-            res.status(404).json({ error: `Notification ${notificationId} not found.` });
-        }
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to delete notification', details: error.message });
+        res.json(await loadStoreSettings(pool));
+    } catch (err) {
+        console.error('Error fetching store settings:', err);
+        res.status(500).json({ error: 'Failed to fetch store settings' });
     }
 });
-// --- LOGIN ROUTE ---
-app.post('/api/admin/login', async (req, res) => {
-    if (!pool) return res.status(503).json({ error: 'Database not connected' });
-   
-    const { email, password } = req.body;
 
-    if (!email || !password) {
-        return res.status(400).json({ error: 'Email and password are required' });
+const STORE_SETTINGS_SCHEMA = {
+    body: {
+        storeName: { required: true, maxLength: 100 },
+        storeEmail: { type: 'email', required: true, maxLength: 100 }
     }
+};
 
+app.put('/api/settings/store', normalizeBody('storeSettings'), validateRequest(STORE_SETTINGS_SCHEMA), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const { storeName, storeEmail } = req.body;
     try {
-        
-        const [adminRows] = await pool.query(
-            'SELECT * FROM Admins WHERE Email = ? AND AdminPass = ?', 
-            [email, password]
+        await pool.query(
+            `UPDATE StoreSettings SET StoreName = ?, StoreEmail = ?, UpdatedDate = ${dialect.now} WHERE SettingsID = 1`,
+            [storeName, storeEmail]
         );
+        res.json({ message: 'Store settings saved successfully', ...(await loadStoreSettings(pool)) });
+    } catch (err) {
+        console.error('Error saving store settings:', err);
+        res.status(500).json({ error: 'Failed to save store settings' });
+    }
+});
+
+// --- Invoices ---
+// GET /api/orders/:id/invoice renders print-ready HTML; ?format=pdf downloads a PDF.
+// The first request issues the invoice with the next number in sequence; later ones
+// reprint it with the same number and issue date.
+const INVOICE_FORMATS = ['html', 'pdf'];
+
+// Returns the order's Invoices row, issuing it first if needed, or null if the order is
+// cancelled and has none. The number is one more than the highest issued so far; two requests
+// racing for the same number (or the same order) collide on a key and the loser tries again.
+async function issueInvoice(orderId, session) {
+    for (let attempt = 1; ; attempt++) {
+        const [existing] = await pool.query('SELECT InvoiceNumber, OrderID, IssuedDate FROM Invoices WHERE OrderID = ?', [orderId]);
+        if (existing.length > 0) return existing[0];
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            await connection.beginTransaction();
+            // Locked so a cancellation can't commit between this check and the INSERT
+            const [[order]] = await connection.query(`SELECT Status FROM ${dialect.lockTable('Orders')} WHERE OrderID = ?${dialect.forUpdate}`, [orderId]);
+            if (!order || order.Status === 'Cancelled') {
+                await connection.rollback();
+                return null;
+            }
+            const [[next]] = await connection.query(
+                `SELECT COALESCE(MAX(InvoiceNumber), 0) + 1 AS InvoiceNumber FROM ${dialect.lockTable('Invoices')}${dialect.forUpdate}`
+            );
+            await connection.query(
+                'INSERT INTO Invoices (InvoiceNumber, OrderID, IssuedByEmail) VALUES (?, ?, ?)',
+                [next.InvoiceNumber, orderId, session.email || null]
+            );
+            await connection.commit();
+        } catch (err) {
+            if (connection) {
+                try { await connection.rollback(); } catch (rollbackErr) { console.error('Error rolling back invoice:', rollbackErr); }
+            }
+            if (err.code !== DB_ERRORS.DUPLICATE_ENTRY || attempt >= 3) throw err;
+        } finally {
+            if (connection) connection.release();
+        }
+    }
+}
+
+app.get('/api/orders/:id/invoice', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const orderId = parseInt(req.params.id);
+    if (isNaN(orderId)) return res.status(400).json({ error: 'Valid order ID is required' });
+    const format = req.query.format || 'html';
+    if (!INVOICE_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${INVOICE_FORMATS.join(', ')}` });
+    }
+
+    try {
+        const [orders] = await pool.query(`
+            SELECT o.OrderID, o.CustomerID, o.OrderDate, o.Status,
+                   c.FirstName, c.LastName, c.Email, c.Phone, c.ShippingAddress, c.BillingAddress
+            FROM Orders o
+            JOIN Customers c ON o.CustomerID = c.CustomerID
+            WHERE o.OrderID = ?
+        `, [orderId]);
+        if (orders.length === 0) return res.status(404).json({ error: 'Order not found' });
+        const order = orders[0];
+        if (req.session.role === 'customer' && req.session.userId !== order.CustomerID) {
+            return res.status(403).json({ error: 'You can only view invoices for your own orders' });
+        }
+
+        const invoice = await issueInvoice(orderId, req.session);
+        if (!invoice) return res.status(409).json({ error: 'Cancelled orders are not invoiced' });
+
+        const [lines] = await pool.query(`
+            SELECT b.Title, a.Name AS AuthorName, od.Quantity, od.CancelledQuantity, od.UnitPrice, od.Discount, od.LineTotal
+            FROM OrderDetails od
+            JOIN Books b ON od.BookID = b.BookID
+            JOIN Authors a ON b.AuthorID = a.AuthorID
+            WHERE od.OrderID = ?
+            ORDER BY od.OrderDetailID
+        `, [orderId]);
+        const [payments] = await pool.query(`
+            SELECT PaymentDate, PaymentMethod, PaymentType, Amount
+            FROM Payments
+            WHERE OrderID = ?
+            ORDER BY PaymentDate, PaymentID
+        `, [orderId]);
+        const store = await loadStoreSettings(pool);
+        const invoiceData = buildInvoice({ invoice, store, order, lines, payments });
+
+        if (format === 'pdf') {
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${formatInvoiceNumber(invoice.InvoiceNumber)}.pdf"`);
+            renderInvoicePdf(invoiceData, res);
+        } else {
+            res.render('invoice', { invoice: invoiceData, formatMoney });
+        }
+    } catch (err) {
+        console.error('Error generating invoice:', err);
+        res.status(500).json({ error: 'Failed to generate invoice' });
+    }
+});
+
+// --- Purchase Orders ---
+// Draft -> Sent -> Partially Received -> Received. Only drafts can be edited or deleted,
+// and only sent orders can be received against.
+const PURCHASE_ORDER_STATUSES = ['Draft', 'Sent', 'Partially Received', 'Received'];
+const RECEIVABLE_PURCHASE_ORDER_STATUSES = ['Sent', 'Partially Received'];
+
+const PURCHASE_ORDER_LIST_SPEC = {
+    sortable: {
+        created: 'po.CreatedDate', expectedDate: 'po.ExpectedDate', status: 'po.Status',
+        publisher: 'pub.Name', id: 'po.PurchaseOrderID'
+    },
+    defaultSort: 'created',
+    defaultOrder: 'desc',
+    tieBreaker: 'po.PurchaseOrderID',
+    filters: {
+        status: { column: 'po.Status' },
+        publisherId: { column: 'po.PublisherID', type: 'number' }
+    }
+};
+
+const PURCHASE_ORDER_SCHEMA = {
+    body: {
+        publisherId: { type: 'integer', required: true, min: 1 },
+        expectedDate: { type: 'date' },
+        notes: { maxLength: 255 },
+        items: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: true,
+                fields: {
+                    bookId: { type: 'integer', required: true, min: 1 },
+                    quantity: { type: 'integer', required: true, min: 1 },
+                    unitCost: { type: 'number', required: true, min: 0 }
+                }
+            }
+        }
+    }
+};
+
+// Editing a draft keeps its publisher unless a new one is given
+const PURCHASE_ORDER_UPDATE_SCHEMA = {
+    params: ID_PARAMS,
+    body: { ...PURCHASE_ORDER_SCHEMA.body, publisherId: { type: 'integer', min: 1 } }
+};
+
+// Without items, everything still outstanding is received
+const PURCHASE_ORDER_RECEIPT_SCHEMA = {
+    params: ID_PARAMS,
+    body: {
+        extraCost: { type: 'number', min: 0 },
+        items: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: true,
+                fields: {
+                    lineId: { type: 'integer', required: true, min: 1 },
+                    quantity: { type: 'integer', required: true, min: 1 },
+                    unitCost: { type: 'number', min: 0 }
+                }
+            }
+        }
+    }
+};
+
+// Turns validated { bookId, quantity, unitCost } items into lines. Returns { error } or { lines }.
+function parsePurchaseOrderItems(items) {
+    const lines = [];
+    const seen = new Set();
+    for (const { bookId, quantity, unitCost } of items) {
+        if (seen.has(bookId)) return { error: `Book ${bookId} appears more than once` };
+        seen.add(bookId);
+        lines.push({ bookId, quantity, unitCost: Math.round(unitCost * 100) / 100 });
+    }
+    return { lines };
+}
+
+// Checks the publisher exists and every book is one of theirs. Returns an error body or null.
+async function checkPurchaseOrderBooks(db, publisherId, lines) {
+    const [publishers] = await db.query('SELECT PublisherID FROM Publishers WHERE PublisherID = ?', [publisherId]);
+    if (publishers.length === 0) return { error: 'Publisher not found' };
+
+    const bookIds = lines.map(line => line.bookId);
+    const [books] = await db.query('SELECT BookID, Title, PublisherID FROM Books WHERE BookID IN (?)', [bookIds]);
+    const booksById = new Map(books.map(book => [book.BookID, book]));
+    const missing = bookIds.filter(id => !booksById.has(id));
+    if (missing.length > 0) return { error: `Books not found: ${missing.join(', ')}` };
+    const otherPublisher = books.filter(book => book.PublisherID !== publisherId).map(book => ({ bookId: book.BookID, title: book.Title }));
+    if (otherPublisher.length > 0) return { error: 'Some books are not from this publisher.', books: otherPublisher };
+    return null;
+}
+
+async function insertPurchaseOrderLines(db, purchaseOrderId, lines) {
+    await db.query(
+        'INSERT INTO PurchaseOrderLines (PurchaseOrderID, BookID, QuantityOrdered, UnitCost) VALUES ?',
+        [lines.map(line => [purchaseOrderId, line.bookId, line.quantity, line.unitCost])]
+    );
+}
+
+// Splits extraCost across the received lines in proportion to their value (by quantity if
+// everything is free), in cents, with any rounding remainder on the last line.
+function allocateExtraCost(receipts, extraCost) {
+    const totalValue = receipts.reduce((sum, r) => sum + r.unitCost * r.quantity, 0);
+    const totalUnits = receipts.reduce((sum, r) => sum + r.quantity, 0);
+    let remaining = Math.round(extraCost * 100);
+    receipts.forEach((receipt, index) => {
+        const share = index === receipts.length - 1 ? remaining
+            : Math.round(extraCost * 100 * (totalValue > 0 ? receipt.unitCost * receipt.quantity / totalValue : receipt.quantity / totalUnits));
+        receipt.extraCost = share / 100;
+        remaining -= share;
+        receipt.landedUnitCost = Math.round((receipt.unitCost * receipt.quantity + receipt.extraCost) / receipt.quantity * 10000) / 10000;
+    });
+    return receipts;
+}
+
+app.get('/api/purchase-orders', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    if (req.query.status !== undefined && !PURCHASE_ORDER_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `status must be one of: ${PURCHASE_ORDER_STATUSES.join(', ')}` });
+    }
+    const list = parseListQuery(req.query, PURCHASE_ORDER_LIST_SPEC);
+    if (list.error) return res.status(400).json(list.error);
+    try {
+        const { items, total } = await queryList(list, {
+            select: `SELECT po.PurchaseOrderID, po.PublisherID, pub.Name AS PublisherName, po.Status, po.ExpectedDate,
+                            po.Notes, po.CreatedDate, po.SentDate, po.ReceivedDate,
+                            COALESCE(l.LineCount, 0) AS LineCount, COALESCE(l.QuantityOrdered, 0) AS QuantityOrdered,
+                            COALESCE(l.QuantityReceived, 0) AS QuantityReceived, COALESCE(l.ExpectedCost, 0) AS ExpectedCost`,
+            from: `FROM PurchaseOrders po
+                   JOIN Publishers pub ON po.PublisherID = pub.PublisherID
+                   LEFT JOIN (
+                       SELECT PurchaseOrderID, COUNT(*) AS LineCount, SUM(QuantityOrdered) AS QuantityOrdered,
+                              SUM(QuantityReceived) AS QuantityReceived, SUM(QuantityOrdered * UnitCost) AS ExpectedCost
+                       FROM PurchaseOrderLines
+                       GROUP BY PurchaseOrderID
+                   ) l ON po.PurchaseOrderID = l.PurchaseOrderID`
+        });
+        sendList(res, list, items, total);
+    } catch (err) {
+        console.error('Error fetching purchase orders:', err);
+        res.status(500).json({ error: 'Failed to fetch purchase orders' });
+    }
+});
+
+// Books at stock-out risk that need ordering, grouped by publisher, with the quantity from
+// the risk calculation and the unit cost of the book's last purchase order. ?threshold
+// overrides the default reorder point for books without their own; ?days is the velocity window.
+app.get('/api/purchase-orders/suggestions', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const { days, error } = parseVelocityDays(req.query);
+    if (error) return res.status(400).json({ error });
+    const defaultReorderPoint = req.query.threshold !== undefined && !isNaN(parseInt(req.query.threshold))
+        ? parseInt(req.query.threshold) : DEFAULT_REORDER_POINT;
+    try {
+        const books = (await loadStockoutRisk(days, defaultReorderPoint)).filter(book => book.suggestedQuantity > 0);
+        const lastCosts = new Map();
+        if (books.length > 0) {
+            const [costRows] = await pool.query(`
+                SELECT pol.BookID, pol.UnitCost
+                FROM PurchaseOrderLines pol
+                JOIN PurchaseOrders po ON pol.PurchaseOrderID = po.PurchaseOrderID
+                WHERE pol.BookID IN (?)
+                ORDER BY po.CreatedDate DESC, po.PurchaseOrderID DESC
+            `, [books.map(book => book.bookId)]);
+            costRows.forEach(row => { if (!lastCosts.has(row.BookID)) lastCosts.set(row.BookID, parseFloat(row.UnitCost)); });
+        }
+
+        const byPublisher = new Map();
+        for (const book of books) {
+            if (!byPublisher.has(book.publisherId)) {
+                byPublisher.set(book.publisherId, { publisherId: book.publisherId, publisherName: book.publisherName, items: [] });
+            }
+            byPublisher.get(book.publisherId).items.push({
+                bookId: book.bookId,
+                title: book.title,
+                stock: book.stock,
+                reorderPoint: book.reorderPoint,
+                onOrder: book.onOrder,
+                daysOfCover: book.daysOfCover,
+                risk: book.risk,
+                quantity: book.suggestedQuantity,
+                unitCost: lastCosts.has(book.bookId) ? lastCosts.get(book.bookId) : null
+            });
+        }
+        res.json({ days, defaultReorderPoint, publishers: [...byPublisher.values()] });
+    } catch (err) {
+        console.error('Error building purchase order suggestions:', err);
+        res.status(500).json({ error: 'Failed to build purchase order suggestions' });
+    }
+});
+
+app.get('/api/purchase-orders/:id', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const purchaseOrderId = parseInt(req.params.id);
+    if (isNaN(purchaseOrderId)) return res.status(400).json({ error: 'Valid purchase order ID is required' });
+    try {
+        const [orders] = await pool.query(`
+            SELECT po.PurchaseOrderID, po.PublisherID, pub.Name AS PublisherName, po.Status, po.ExpectedDate, po.Notes,
+                   po.CreatedDate, po.SentDate, po.ReceivedDate, po.CreatedByEmail
+            FROM PurchaseOrders po
+            JOIN Publishers pub ON po.PublisherID = pub.PublisherID
+            WHERE po.PurchaseOrderID = ?
+        `, [purchaseOrderId]);
+        if (orders.length === 0) return res.status(404).json({ error: 'Purchase order not found' });
+
+        // LandedUnitCost averages every delivery of the line, weighted by quantity
+        const [lines] = await pool.query(`
+            SELECT pol.PurchaseOrderLineID, pol.BookID, b.Title, b.Stock, pol.QuantityOrdered, pol.QuantityReceived,
+                   pol.UnitCost, (pol.QuantityOrdered * pol.UnitCost) AS ExpectedCost,
+                   r.ReceivedCost, ROUND(r.ReceivedCost / NULLIF(r.ReceivedUnits, 0), 4) AS LandedUnitCost
+            FROM PurchaseOrderLines pol
+            JOIN Books b ON pol.BookID = b.BookID
+            LEFT JOIN (
+                SELECT PurchaseOrderLineID, SUM(Quantity) AS ReceivedUnits, SUM(UnitCost * Quantity + ExtraCost) AS ReceivedCost
+                FROM PurchaseOrderReceipts
+                GROUP BY PurchaseOrderLineID
+            ) r ON pol.PurchaseOrderLineID = r.PurchaseOrderLineID
+            WHERE pol.PurchaseOrderID = ?
+            ORDER BY b.Title
+        `, [purchaseOrderId]);
+        const [receipts] = await pool.query(`
+            SELECT r.ReceiptID, r.PurchaseOrderLineID, pol.BookID, b.Title, r.Quantity, r.UnitCost, r.ExtraCost,
+                   r.LandedUnitCost, r.ReceivedDate, r.ReceivedByEmail
+            FROM PurchaseOrderReceipts r
+            JOIN PurchaseOrderLines pol ON r.PurchaseOrderLineID = pol.PurchaseOrderLineID
+            JOIN Books b ON pol.BookID = b.BookID
+            WHERE pol.PurchaseOrderID = ?
+            ORDER BY r.ReceivedDate, r.ReceiptID
+        `, [purchaseOrderId]);
+
+        res.json({ ...orders[0], lines, receipts });
+    } catch (err) {
+        console.error('Error fetching purchase order:', err);
+        res.status(500).json({ error: 'Failed to fetch purchase order' });
+    }
+});
+
+app.post('/api/purchase-orders', normalizeBody('purchaseOrders'), validateRequest(PURCHASE_ORDER_SCHEMA), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const { publisherId: publisher, expectedDate, notes, items } = req.body;
+    const parsed = parsePurchaseOrderItems(items);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const invalid = await checkPurchaseOrderBooks(connection, publisher, parsed.lines);
+        if (invalid) {
+            await connection.rollback();
+            return res.status(400).json(invalid);
+        }
+
+        const [result] = await connection.query(
+            'INSERT INTO PurchaseOrders (PublisherID, ExpectedDate, Notes, CreatedByEmail) VALUES (?, ?, ?, ?)',
+            [publisher, expectedDate || null, notes || null, req.session ? req.session.email : null]
+        );
+        await insertPurchaseOrderLines(connection, result.insertId, parsed.lines);
+        await commitAndPublish(connection);
+        res.status(201).json({ message: 'Purchase order created', purchaseOrderId: result.insertId, status: 'Draft' });
+    } catch (err) {
+        console.error('Error creating purchase order:', err);
+        if (connection) {
+            try { await connection.rollback(); } catch (rollbackErr) { console.error('Error rolling back purchase order:', rollbackErr); }
+        }
+        res.status(500).json({ error: 'Failed to create purchase order' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Replaces a draft's header fields and lines
+app.put('/api/purchase-orders/:id', normalizeBody('purchaseOrders'), validateRequest(PURCHASE_ORDER_UPDATE_SCHEMA), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const purchaseOrderId = req.params.id;
+    const { publisherId, expectedDate, notes, items } = req.body;
+    const parsed = parsePurchaseOrderItems(items);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [orders] = await connection.query(
+            `SELECT Status, PublisherID FROM ${dialect.lockTable('PurchaseOrders')} WHERE PurchaseOrderID = ?${dialect.forUpdate}`, [purchaseOrderId]
+        );
+        if (orders.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Purchase order not found' });
+        }
+        if (orders[0].Status !== 'Draft') {
+            await connection.rollback();
+            return res.status(409).json({ error: `Only draft purchase orders can be edited; this one is ${orders[0].Status}.` });
+        }
+
+        const publisher = publisherId != null && publisherId !== '' ? publisherId : orders[0].PublisherID;
+        const invalid = await checkPurchaseOrderBooks(connection, publisher, parsed.lines);
+        if (invalid) {
+            await connection.rollback();
+            return res.status(400).json(invalid);
+        }
+
+        await connection.query(
+            'UPDATE PurchaseOrders SET PublisherID = ?, ExpectedDate = ?, Notes = ? WHERE PurchaseOrderID = ?',
+            [publisher, expectedDate || null, notes || null, purchaseOrderId]
+        );
+        await connection.query('DELETE FROM PurchaseOrderLines WHERE PurchaseOrderID = ?', [purchaseOrderId]);
+        await insertPurchaseOrderLines(connection, purchaseOrderId, parsed.lines);
+        await commitAndPublish(connection);
+        res.json({ message: 'Purchase order updated', purchaseOrderId });
+    } catch (err) {
+        console.error('Error updating purchase order:', err);
+        if (connection) {
+            try { await connection.rollback(); } catch (rollbackErr) { console.error('Error rolling back purchase order update:', rollbackErr); }
+        }
+        res.status(500).json({ error: 'Failed to update purchase order' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+app.delete('/api/purchase-orders/:id', validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const purchaseOrderId = req.params.id;
+    try {
+        const [orders] = await pool.query('SELECT Status FROM PurchaseOrders WHERE PurchaseOrderID = ?', [purchaseOrderId]);
+        if (orders.length === 0) return res.status(404).json({ error: 'Purchase order not found' });
+        if (orders[0].Status !== 'Draft') {
+            return res.status(409).json({ error: `Only draft purchase orders can be deleted; this one is ${orders[0].Status}.` });
+        }
+        await pool.query("DELETE FROM PurchaseOrders WHERE PurchaseOrderID = ? AND Status = 'Draft'", [purchaseOrderId]);
+        res.json({ message: 'Purchase order deleted' });
+    } catch (err) {
+        console.error('Error deleting purchase order:', err);
+        res.status(500).json({ error: 'Failed to delete purchase order' });
+    }
+});
+
+app.post('/api/purchase-orders/:id/send', validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const purchaseOrderId = req.params.id;
+    try {
+        const [orders] = await pool.query('SELECT Status FROM PurchaseOrders WHERE PurchaseOrderID = ?', [purchaseOrderId]);
+        if (orders.length === 0) return res.status(404).json({ error: 'Purchase order not found' });
+        const [result] = await pool.query(
+            `UPDATE PurchaseOrders SET Status = 'Sent', SentDate = ${dialect.now} WHERE PurchaseOrderID = ? AND Status = 'Draft'`,
+            [purchaseOrderId]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(409).json({ error: `Only draft purchase orders can be sent; this one is ${orders[0].Status}.` });
+        }
+        res.json({ message: 'Purchase order sent', purchaseOrderId, status: 'Sent' });
+    } catch (err) {
+        console.error('Error sending purchase order:', err);
+        res.status(500).json({ error: 'Failed to send purchase order' });
+    }
+});
+
+// Body: { items: [{ lineId, quantity, unitCost }], extraCost }. Without items, everything still
+// outstanding is received at the ordered cost. unitCost defaults to the line's ordered cost;
+// extraCost (freight, duties) is spread over this delivery's lines to give the landed cost.
+app.post('/api/purchase-orders/:id/receive', validateRequest(PURCHASE_ORDER_RECEIPT_SCHEMA), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const purchaseOrderId = req.params.id;
+
+    const { items } = req.body;
+    const extraCost = typeof req.body.extraCost === 'number' ? req.body.extraCost : 0;
+    const requestedByLine = new Map();
+    for (const { lineId, quantity, unitCost } of items || []) {
+        if (requestedByLine.has(lineId)) return res.status(400).json({ error: `Line ${lineId} appears more than once` });
+        requestedByLine.set(lineId, { quantity, unitCost: typeof unitCost === 'number' ? unitCost : null });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [orders] = await connection.query(
+            `SELECT Status FROM ${dialect.lockTable('PurchaseOrders')} WHERE PurchaseOrderID = ?${dialect.forUpdate}`, [purchaseOrderId]
+        );
+        if (orders.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Purchase order not found' });
+        }
+        if (!RECEIVABLE_PURCHASE_ORDER_STATUSES.includes(orders[0].Status)) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Cannot receive against a purchase order that is ${orders[0].Status}.` });
+        }
+
+        const [lines] = await connection.query(`
+            SELECT pol.PurchaseOrderLineID, pol.BookID, b.Title, pol.QuantityOrdered, pol.QuantityReceived, pol.UnitCost
+            FROM ${dialect.lockTable('PurchaseOrderLines pol')}
+            JOIN Books b ON pol.BookID = b.BookID
+            WHERE pol.PurchaseOrderID = ?${dialect.forUpdate}
+        `, [purchaseOrderId]);
+        const linesById = new Map(lines.map(line => [line.PurchaseOrderLineID, line]));
+        const unknownLines = [...requestedByLine.keys()].filter(id => !linesById.has(id));
+        if (unknownLines.length > 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Some lines do not belong to this purchase order.', lineIds: unknownLines });
+        }
+
+        const receipts = [];
+        const overReceived = [];
+        for (const line of lines) {
+            const outstanding = line.QuantityOrdered - line.QuantityReceived;
+            const requested = items ? requestedByLine.get(line.PurchaseOrderLineID) : { quantity: outstanding, unitCost: null };
+            if (!requested || requested.quantity === 0) continue;
+            if (requested.quantity > outstanding) {
+                overReceived.push({ lineId: line.PurchaseOrderLineID, title: line.Title, requested: requested.quantity, outstanding });
+                continue;
+            }
+            receipts.push({
+                line,
+                quantity: requested.quantity,
+                unitCost: requested.unitCost !== null ? Math.round(requested.unitCost * 100) / 100 : parseFloat(line.UnitCost)
+            });
+        }
+        if (overReceived.length > 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Cannot receive more than is outstanding.', lines: overReceived });
+        }
+        if (receipts.length === 0) {
+            await connection.rollback();
+            return res.status(409).json({ error: 'Nothing left to receive on this purchase order.' });
+        }
+
+        allocateExtraCost(receipts, Math.round(extraCost * 100) / 100);
+        for (const receipt of receipts) {
+            await connection.query(`
+                INSERT INTO PurchaseOrderReceipts (PurchaseOrderLineID, Quantity, UnitCost, ExtraCost, LandedUnitCost, ReceivedByEmail)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [receipt.line.PurchaseOrderLineID, receipt.quantity, receipt.unitCost, receipt.extraCost,
+                receipt.landedUnitCost, req.session ? req.session.email : null]);
+            await connection.query(
+                'UPDATE PurchaseOrderLines SET QuantityReceived = QuantityReceived + ? WHERE PurchaseOrderLineID = ?',
+                [receipt.quantity, receipt.line.PurchaseOrderLineID]
+            );
+            receipt.newStock = await adjustStock(connection, req.session, {
+                bookId: receipt.line.BookID, delta: receipt.quantity, source: 'Receiving',
+                reason: `Received on purchase order #${purchaseOrderId}`, purchaseOrderId
+            });
+        }
+
+        const receivedByLine = new Map(receipts.map(r => [r.line.PurchaseOrderLineID, r.quantity]));
+        const fullyReceived = lines.every(line =>
+            line.QuantityReceived + (receivedByLine.get(line.PurchaseOrderLineID) || 0) === line.QuantityOrdered);
+        const newStatus = fullyReceived ? 'Received' : 'Partially Received';
+        await connection.query(
+            `UPDATE PurchaseOrders SET Status = ?, ReceivedDate = ${fullyReceived ? dialect.now : 'NULL'} WHERE PurchaseOrderID = ?`,
+            [newStatus, purchaseOrderId]
+        );
+        await notifyEvent(connection, 'purchaseOrder.received', {
+            purchaseOrderId,
+            unitCount: receipts.reduce((sum, r) => sum + r.quantity, 0),
+            lineCount: receipts.length,
+            status: newStatus
+        });
+        await commitAndPublish(connection);
+
+        res.json({
+            message: 'Stock received',
+            purchaseOrderId,
+            status: newStatus,
+            received: receipts.map(r => ({
+                lineId: r.line.PurchaseOrderLineID, bookId: r.line.BookID, title: r.line.Title, quantity: r.quantity,
+                unitCost: r.unitCost, extraCost: r.extraCost, landedUnitCost: r.landedUnitCost, newStock: r.newStock
+            }))
+        });
+    } catch (err) {
+        console.error('Error receiving purchase order:', err);
+        if (connection) {
+            try { await connection.rollback(); } catch (rollbackErr) { console.error('Error rolling back receipt:', rollbackErr); }
+        }
+        res.status(500).json({ error: 'Failed to receive purchase order' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// --- Genres ---
+// Books accept either a genreId or a genre name; an unknown name creates the genre.
+async function resolveGenreId({ genre, genreId }, db = pool) {
+    if (genreId != null && genreId !== '') return parseInt(genreId);
+    if (!genre || !genre.trim()) return null;
+
+    const name = normalizeFields('genres', { name: genre }).name;
+    const [existing] = await db.query('SELECT GenreID FROM Genres WHERE LOWER(Name) = ?', [uniqueKey('genres', 'name', name)]);
+    if (existing.length > 0) return existing[0].GenreID;
+
+    const [result] = await db.query('INSERT INTO Genres (Name) VALUES (?)', [name]);
+    return result.insertId;
+}
+
+app.get('/api/genres', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    try {
+        const [result] = await pool.query(`
+            SELECT g.GenreID, g.Name, COUNT(b.BookID) AS BookCount
+            FROM Genres g
+            LEFT JOIN Books b ON b.GenreID = g.GenreID
+            GROUP BY g.GenreID, g.Name
+            ORDER BY g.Name
+        `);
+        res.json(result);
+    } catch (err) {
+        console.error('Error fetching genres:', err);
+        res.status(500).json({ error: 'Failed to fetch genres' });
+    }
+});
+
+app.get('/api/genres/search', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    
+    const { name } = req.query;
+    if (!name) {
+        return res.status(400).json({ error: 'Genre name for search is required.' });
+    }
+    
+    try {
+        const [result] = await pool.query(`
+            SELECT g.GenreID, g.Name, COUNT(b.BookID) AS BookCount
+            FROM Genres g
+            LEFT JOIN Books b ON b.GenreID = g.GenreID
+            WHERE g.Name LIKE ?
+            GROUP BY g.GenreID, g.Name
+            ORDER BY g.Name
+        `, [`%${name}%`]);
+        
+        res.status(200).json(result);
+    } catch (err) {
+        console.error('Error searching genres:', err);
+        res.status(500).json({ error: 'Failed to search genres' });
+    }
+});
+
+app.get('/api/genres/:id', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    try {
+        const genreId = parseInt(req.params.id);
+        if (isNaN(genreId)) return res.status(400).json({ error: 'Valid genre ID is required' });
+        const [result] = await pool.query(`
+            SELECT g.GenreID, g.Name, COUNT(b.BookID) AS BookCount
+            FROM Genres g
+            LEFT JOIN Books b ON b.GenreID = g.GenreID
+            WHERE g.GenreID = ?
+            GROUP BY g.GenreID, g.Name
+        `, [genreId]);
+        if (result.length === 0) return res.status(404).json({ error: 'Genre not found' });
+        res.json(result[0]);
+    } catch (err) {
+        console.error('Error fetching genre:', err);
+        res.status(500).json({ error: 'Failed to fetch genre' });
+    }
+});
+
+const GENRE_SCHEMA = { body: { name: { required: true, maxLength: 100 } } };
+
+app.post('/api/genres', normalizeBody('genres'), validateRequest(GENRE_SCHEMA), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    try {
+        const { name } = req.body;
+        if (await findCaseInsensitiveDuplicate(pool, 'genres', { name })) {
+            return res.status(400).json({ error: 'A genre with this name already exists.' });
+        }
+
+        const [result] = await pool.query('INSERT INTO Genres (Name) VALUES (?)', [name]);
+        res.status(201).json({ message: 'Genre added successfully', genreId: result.insertId });
+    } catch (err) {
+        console.error('Error adding genre:', err);
+        if (err.code === DB_ERRORS.DUPLICATE_ENTRY) {
+            res.status(400).json({ error: 'A genre with this name already exists.' });
+        } else {
+            res.status(500).json({ error: 'Failed to add genre' });
+        }
+    }
+});
+
+// Books reference genres by ID, so a rename is reflected on every book immediately.
+app.put('/api/genres/:id', normalizeBody('genres'), validateRequest({ ...GENRE_SCHEMA, params: ID_PARAMS }), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    try {
+        const genreId = req.params.id;
+        const { name } = req.body;
+        if (await findCaseInsensitiveDuplicate(pool, 'genres', { name }, genreId)) {
+            return res.status(400).json({ error: 'A genre with this name already exists. Delete this genre and reassign its books instead.' });
+        }
+
+        const [result] = await pool.query('UPDATE Genres SET Name = ? WHERE GenreID = ?', [name, genreId]);
+        if (result.affectedRows === 0) return res.status(404).json({ error: 'Genre not found' });
+        res.json({ message: 'Genre updated successfully' });
+    } catch (err) {
+        console.error('Error updating genre:', err);
+        if (err.code === DB_ERRORS.DUPLICATE_ENTRY) {
+            res.status(400).json({ error: 'A genre with this name already exists. Delete this genre and reassign its books instead.' });
+        } else {
+            res.status(500).json({ error: 'Failed to update genre' });
+        }
+    }
+});
+
+// A genre still used by books can only be deleted with ?reassignTo=<GenreID>,
+// which moves those books to another genre in the same transaction.
+const GENRE_DELETE_SCHEMA = {
+    params: ID_PARAMS,
+    query: { reassignTo: { type: 'integer', min: 1 } }
+};
+
+app.delete('/api/genres/:id', validateRequest(GENRE_DELETE_SCHEMA), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+
+    const genreId = req.params.id;
+    const reassignTo = typeof req.query.reassignTo === 'number' ? req.query.reassignTo : null;
+    if (reassignTo === genreId) {
+        return res.status(400).json({ error: 'reassignTo must be the ID of a different genre' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [genreRows] = await connection.query(`SELECT GenreID FROM ${dialect.lockTable('Genres')} WHERE GenreID = ?${dialect.forUpdate}`, [genreId]);
+        if (genreRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Genre not found' });
+        }
+
+        const [countRows] = await connection.query('SELECT COUNT(*) AS BookCount FROM Books WHERE GenreID = ?', [genreId]);
+        const bookCount = countRows[0].BookCount;
+        if (bookCount > 0) {
+            if (reassignTo === null) {
+                await connection.rollback();
+                return res.status(400).json({
+                    error: `Cannot delete genre. It is used by ${bookCount} book(s). Reassign them to another genre first.`,
+                    bookCount
+                });
+            }
+            const [targetRows] = await connection.query('SELECT GenreID FROM Genres WHERE GenreID = ?', [reassignTo]);
+            if (targetRows.length === 0) {
+                await connection.rollback();
+                return res.status(400).json({ error: 'Genre to reassign books to was not found' });
+            }
+            await connection.query('UPDATE Books SET GenreID = ? WHERE GenreID = ?', [reassignTo, genreId]);
+        }
+
+        await connection.query('DELETE FROM Genres WHERE GenreID = ?', [genreId]);
+        await commitAndPublish(connection);
+        res.json({ message: 'Genre deleted successfully', reassignedBooks: bookCount > 0 ? bookCount : 0 });
+    } catch (err) {
+        console.error('Error deleting genre:', err);
+        if (connection) {
+            try { await connection.rollback(); } catch (rollbackErr) { console.error('Error rolling back genre delete:', rollbackErr); }
+        }
+        res.status(500).json({ error: 'Failed to delete genre' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// --- Report exports ---
+// GET /api/reports/:report/export?format=csv|xlsx|pdf, with the report's filters as query
+// parameters. Rows go from the database to the client as they are read (lib/reportExport.js).
+// from/to (YYYY-MM-DD, both optional and inclusive) limit a report to orders placed in that range.
+
+function parseExportRange(query) {
+    if ((query.from && !isValidDateString(query.from)) || (query.to && !isValidDateString(query.to))) {
+        return { error: 'from and to must be dates in YYYY-MM-DD format' };
+    }
+    if (query.from && query.to && query.from > query.to) return { error: 'from must not be after to' };
+    return { from: query.from || null, to: query.to || null };
+}
+
+// WHERE conditions (and their params) keeping a DATE column within the range
+function rangeConditions(column, range) {
+    const conditions = [];
+    const params = [];
+    if (range.from) {
+        conditions.push(`${column} >= ?`);
+        params.push(range.from);
+    }
+    if (range.to) {
+        conditions.push(`${column} <= ?`);
+        params.push(range.to);
+    }
+    return { conditions, params };
+}
+
+const whereClause = conditions => (conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '');
+
+// Optional whole-number filters such as genreId; returns { error } or { values }
+function parseIdFilters(query, names) {
+    const values = {};
+    for (const name of names) {
+        if (query[name] === undefined || query[name] === '') continue;
+        const value = Number(query[name]);
+        if (!Number.isInteger(value) || value <= 0) return { error: `${name} must be a positive whole number` };
+        values[name] = value;
+    }
+    return { values };
+}
+
+// The dashboard KPIs, with orders and revenue limited to the range
+async function* exportKpiRows(range) {
+    const orderRange = rangeConditions('o.OrderDate', range);
+    const [[books]] = await pool.query('SELECT COUNT(*) AS Total FROM Books');
+    const [[customers]] = await pool.query('SELECT COUNT(*) AS Total FROM Customers');
+    const [[orders]] = await pool.query(`
+        SELECT COUNT(*) AS Total,
+               SUM(CASE WHEN o.Status = 'Completed' THEN 1 ELSE 0 END) AS Completed,
+               SUM(CASE WHEN o.Status = 'Cancelled' THEN 1 ELSE 0 END) AS Cancelled
+        FROM Orders o
+        ${whereClause(orderRange.conditions)}
+    `, orderRange.params);
+    const [[units]] = await pool.query(`
+        SELECT SUM(od.Quantity - od.CancelledQuantity) AS Total
+        FROM OrderDetails od
+        JOIN Orders o ON od.OrderID = o.OrderID
+        ${whereClause(orderRange.conditions)}
+    `, orderRange.params);
+    const [[revenue]] = await pool.query(`
+        SELECT SUM(${NET_PAYMENT_AMOUNT}) AS Total
+        FROM Payments p
+        JOIN Orders o ON p.OrderID = o.OrderID
+        ${whereClause(["o.Status = 'Completed'", ...orderRange.conditions])}
+    `, orderRange.params);
+
+    yield { metric: 'Books in catalogue', value: books.Total };
+    yield { metric: 'Customers', value: customers.Total };
+    yield { metric: 'Orders placed', value: orders.Total };
+    yield { metric: 'Orders completed', value: orders.Completed || 0 };
+    yield { metric: 'Orders cancelled', value: orders.Cancelled || 0 };
+    yield { metric: 'Units sold', value: units.Total || 0 };
+    yield { metric: 'Revenue from completed orders', value: Math.round(parseFloat(revenue.Total || 0) * 100) / 100 };
+}
+
+// Each report: title, columns (see lib/reportExport.js), the query parameters it accepts
+// (echoed in the PDF subtitle) and prepare(query), which returns { rows } or { error } with
+// the 400 response body.
+const REPORT_EXPORTS = {
+    kpis: {
+        title: 'Key figures',
+        params: ['from', 'to'],
+        columns: [
+            { key: 'metric', label: 'Metric', width: 3 },
+            { key: 'value', label: 'Value', type: 'number', width: 2 }
+        ],
+        prepare(query) {
+            const range = parseExportRange(query);
+            if (range.error) return { error: { error: range.error } };
+            return { rows: exportKpiRows(range) };
+        }
+    },
+    'top-sellers': {
+        title: 'Top-selling books',
+        params: ['from', 'to', 'genreId', 'bookFormat', 'limit'],
+        columns: [
+            { key: 'BookID', label: 'Book ID', type: 'integer' },
+            { key: 'Title', label: 'Title', width: 3 },
+            { key: 'AuthorName', label: 'Author', width: 2 },
+            { key: 'Genre', label: 'Genre', width: 1.5 },
+            { key: 'Format', label: 'Format' },
+            { key: 'UnitsSold', label: 'Units sold', type: 'integer' },
+            { key: 'Revenue', label: 'Revenue', type: 'money' },
+            { key: 'Stock', label: 'Stock', type: 'integer' }
+        ],
+        prepare(query) {
+            const range = parseExportRange(query);
+            if (range.error) return { error: { error: range.error } };
+            const ids = parseIdFilters(query, ['genreId', 'limit']);
+            if (ids.error) return { error: { error: ids.error } };
+            const { conditions, params } = rangeConditions('o.OrderDate', range);
+            if (ids.values.genreId) {
+                conditions.push('b.GenreID = ?');
+                params.push(ids.values.genreId);
+            }
+            if (query.bookFormat) {
+                conditions.push('b.Format = ?');
+                params.push(query.bookFormat);
+            }
+            return {
+                rows: pool.stream(`
+                    SELECT b.BookID, b.Title, a.Name AS AuthorName, g.Name AS Genre, b.Format, b.Stock,
+                           SUM(od.Quantity - od.CancelledQuantity) AS UnitsSold, ROUND(SUM(${NET_LINE_TOTAL}), 2) AS Revenue
+                    FROM Books b
+                    JOIN Authors a ON b.AuthorID = a.AuthorID
+                    JOIN OrderDetails od ON b.BookID = od.BookID
+                    JOIN Orders o ON od.OrderID = o.OrderID
+                    LEFT JOIN Genres g ON b.GenreID = g.GenreID
+                    ${whereClause(conditions)}
+                    GROUP BY b.BookID, b.Title, a.Name, g.Name, b.Format, b.Stock
+                    HAVING SUM(od.Quantity - od.CancelledQuantity) > 0
+                    ORDER BY UnitsSold DESC, Revenue DESC, b.BookID
+                    ${ids.values.limit ? dialect.limit(ids.values.limit) : ''}
+                `, params)
+            };
+        }
+    },
+    orders: {
+        title: 'Orders',
+        params: Object.keys(ORDER_LIST_SPEC.filters).concat('sort', 'order'),
+        columns: [
+            { key: 'OrderID', label: 'Order ID', type: 'integer' },
+            { key: 'OrderDate', label: 'Date', type: 'date' },
+            { key: 'CustomerName', label: 'Customer', width: 2.5 },
+            { key: 'Status', label: 'Status' },
+            { key: 'TotalAmount', label: 'Amount', type: 'money' }
+        ],
+        prepare(query) {
+            const list = parseListQuery(query, ORDER_LIST_SPEC);
+            if (list.error) return { error: list.error };
+            return {
+                rows: pool.stream(`
+                    SELECT OrderID, OrderDate, CustomerName, Status, TotalAmount
+                    FROM OrderSummary
+                    ${list.where}
+                    ${list.orderBy}
+                `, list.params)
+            };
+        }
+    },
+    'low-stock': {
+        title: 'Low stock',
+        params: ['threshold', 'genreId', 'publisherId', 'from', 'to'],
+        columns: [
+            { key: 'BookID', label: 'Book ID', type: 'integer' },
+            { key: 'Title', label: 'Title', width: 3 },
+            { key: 'ISBN', label: 'ISBN', width: 1.5 },
+            { key: 'PublisherName', label: 'Publisher', width: 2 },
+            { key: 'Stock', label: 'Stock', type: 'integer' },
+            { key: 'ReorderPoint', label: 'Reorder point', type: 'integer' },
+            { key: 'UnitsSold', label: 'Units sold', type: 'integer' }
+        ],
+        // Books with fewer than threshold (default 10) copies, with the units sold in the range
+        prepare(query) {
+            const range = parseExportRange(query);
+            if (range.error) return { error: { error: range.error } };
+            const ids = parseIdFilters(query, ['threshold', 'genreId', 'publisherId']);
+            if (ids.error) return { error: { error: ids.error } };
+            const sales = rangeConditions('o.OrderDate', range);
+            const conditions = ['b.Stock < ?'];
+            const params = [DEFAULT_REORDER_POINT, ...sales.params, ids.values.threshold || 10];
+            if (ids.values.genreId) {
+                conditions.push('b.GenreID = ?');
+                params.push(ids.values.genreId);
+            }
+            if (ids.values.publisherId) {
+                conditions.push('b.PublisherID = ?');
+                params.push(ids.values.publisherId);
+            }
+            return {
+                rows: pool.stream(`
+                    SELECT b.BookID, b.Title, b.ISBN, pub.Name AS PublisherName, b.Stock,
+                           COALESCE(b.ReorderPoint, ?) AS ReorderPoint, COALESCE(s.UnitsSold, 0) AS UnitsSold
+                    FROM Books b
+                    JOIN Publishers pub ON b.PublisherID = pub.PublisherID
+                    LEFT JOIN (
+                        SELECT od.BookID, SUM(od.Quantity - od.CancelledQuantity) AS UnitsSold
+                        FROM OrderDetails od
+                        JOIN Orders o ON od.OrderID = o.OrderID
+                        ${whereClause(sales.conditions)}
+                        GROUP BY od.BookID
+                    ) s ON s.BookID = b.BookID
+                    ${whereClause(conditions)}
+                    ORDER BY b.Stock, b.Title, b.BookID
+                `, params)
+            };
+        }
+    },
+    customers: {
+        title: 'Customers',
+        params: Object.keys(CUSTOMER_LIST_SPEC.filters).concat('from', 'to', 'sort', 'order'),
+        columns: [
+            { key: 'CustomerID', label: 'Customer ID', type: 'integer' },
+            { key: 'FirstName', label: 'First name', width: 1.5 },
+            { key: 'LastName', label: 'Last name', width: 1.5 },
+            { key: 'Email', label: 'Email', width: 2.5 },
+            { key: 'Phone', label: 'Phone', width: 1.5 },
+            { key: 'TotalOrders', label: 'Orders', type: 'integer' },
+            { key: 'TotalSpent', label: 'Spent', type: 'money' },
+            { key: 'LastOrderDate', label: 'Last order', type: 'date' }
+        ],
+        // Orders, spend and last order date count only orders placed in the range
+        prepare(query) {
+            const range = parseExportRange(query);
+            if (range.error) return { error: { error: range.error } };
+            const list = parseListQuery(query, CUSTOMER_LIST_SPEC);
+            if (list.error) return { error: list.error };
+            const orders = rangeConditions('o.OrderDate', range);
+            return {
+                rows: pool.stream(`
+                    SELECT c.CustomerID, c.FirstName, c.LastName, c.Email, c.Phone,
+                           COALESCE(oc.TotalOrders, 0) AS TotalOrders, COALESCE(oc.TotalSpent, 0) AS TotalSpent,
+                           oc.LastOrderDate
+                    FROM Customers c
+                    LEFT JOIN (
+                        SELECT o.CustomerID, COUNT(*) AS TotalOrders, SUM(os.TotalAmount) AS TotalSpent,
+                               MAX(o.OrderDate) AS LastOrderDate
+                        FROM Orders o
+                        LEFT JOIN OrderSummary os ON os.OrderID = o.OrderID
+                        ${whereClause(orders.conditions)}
+                        GROUP BY o.CustomerID
+                    ) oc ON oc.CustomerID = c.CustomerID
+                    ${list.where}
+                    ${list.orderBy}
+                `, [...orders.params, ...list.params])
+            };
+        }
+    }
+};
+
+// "from 2026-01-01, status Completed" from the report's parameters that were given
+function describeExportFilters(query, params) {
+    const given = params.filter(name => query[name] !== undefined && query[name] !== '');
+    const filters = given.length > 0 ? given.map(name => `${name} ${query[name]}`).join(', ') : 'no filters';
+    return `Generated ${new Date().toLocaleString('en-US')} with ${filters}`;
+}
+
+app.get('/api/reports/:report/export', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const { report: name } = req.params;
+    const report = Object.prototype.hasOwnProperty.call(REPORT_EXPORTS, name) ? REPORT_EXPORTS[name] : null;
+    if (!report) {
+        return res.status(404).json({ error: `Unknown report. Use one of: ${Object.keys(REPORT_EXPORTS).join(', ')}` });
+    }
+    const format = req.query.format || 'csv';
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+        return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    const prepared = report.prepare(req.query);
+    if (prepared.error) return res.status(400).json(prepared.error);
+
+    try {
+        await sendExport(res, {
+            format,
+            filename: `${name}-${toDateString(new Date())}`,
+            title: report.title,
+            subtitle: describeExportFilters(req.query, report.params),
+            columns: report.columns,
+            rows: prepared.rows
+        });
+    } catch (err) {
+        if (err instanceof ExportAbortedError) return;
+        console.error(`Error exporting ${name} report:`, err);
+        // Once the file has started there is no way to signal an error but to cut it short
+        if (res.headersSent) return res.destroy();
+        res.status(500).json({ error: 'Failed to export report' });
+    }
+});
+
+// --- Bulk Import ---
+const MAX_IMPORT_ROWS = 5000;
+
+// Finds an author or publisher by case-insensitive name, creating it when missing.
+// `cache` keeps one lookup per distinct name for the whole import.
+// Rows that are found go straight into cache. A row that is created goes into staged
+// ({ id, name } by key) until the import row it belongs to is kept.
+async function findOrCreateByName(db, table, idColumn, name, cache, staged) {
+    const key = name.toLowerCase();
+    if (cache.has(key)) return cache.get(key);
+    if (staged.has(key)) return staged.get(key).id;
+
+    const [rows] = await db.query(`SELECT ${idColumn} AS ID FROM ${table} WHERE LOWER(Name) = ? ORDER BY ${idColumn} ${dialect.limit(1)}`, [key]);
+    if (rows.length > 0) {
+        cache.set(key, rows[0].ID);
+        return rows[0].ID;
+    }
+    const [result] = await db.query(`INSERT INTO ${table} (Name) VALUES (?)`, [name]);
+    staged.set(key, { id: result.insertId, name });
+    return result.insertId;
+}
+
+// Failed rows are rolled back to their savepoint; this is what they report
+const IMPORT_ROW_ERRORS = {
+    [DB_ERRORS.DUPLICATE_ENTRY]: 'duplicate entry',
+    [DB_ERRORS.MISSING_REFERENCE]: 'refers to a record that does not exist',
+    [DB_ERRORS.CONSTRAINT_VIOLATION]: 'has a value the database does not accept',
+    [DB_ERRORS.REJECTED]: 'was rejected by the database'
+};
+
+function readImportRows(req) {
+    if (typeof req.body === 'string') return parseCsv(req.body);
+    if (Array.isArray(req.body)) return req.body;
+    if (req.body && Array.isArray(req.body.rows)) return req.body.rows;
+    throw new Error('Send a CSV body (Content-Type: text/csv) or a JSON array of rows');
+}
+
+// POST /api/import/books|authors|publishers?dryRun=true&mode=atomic|skip
+// Rows are validated up front, then written in one transaction. In atomic mode (the default)
+// any bad row aborts the whole import; in skip mode bad rows are reported and the rest are
+// kept. A dry run does all of the work and rolls it back, so its report is exact.
+const IMPORT_SCHEMA = {
+    query: {
+        mode: { type: 'enum', values: ['atomic', 'skip'] },
+        dryRun: { type: 'boolean' }
+    }
+};
+
+app.post('/api/import/:entity', validateRequest(IMPORT_SCHEMA), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+
+    const { entity } = req.params;
+    if (!IMPORT_ENTITIES.includes(entity)) {
+        return res.status(404).json({ error: `Unknown import type. Use one of: ${IMPORT_ENTITIES.join(', ')}` });
+    }
+    const dryRun = req.query.dryRun === true;
+    const mode = req.query.mode || 'atomic';
+
+    let rawRows;
+    try {
+        rawRows = readImportRows(req);
+    } catch (err) {
+        return res.status(400).json({ error: `Could not read import file: ${err.message}` });
+    }
+    if (rawRows.length === 0) return res.status(400).json({ error: 'The import file has no data rows' });
+    if (rawRows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: `Imports are limited to ${MAX_IMPORT_ROWS} rows per file` });
+    }
+
+    // Row numbers are 1-based data rows (the CSV header is not counted).
+    const rowErrors = new Map();
+    const addRowError = (row, message) => {
+        if (!rowErrors.has(row)) rowErrors.set(row, []);
+        rowErrors.get(row).push(message);
+    };
+    const validRows = [];
+    rawRows.forEach((raw, index) => {
+        const { value, errors } = validateImportRow(entity, raw);
+        errors.forEach(message => addRowError(index + 1, message));
+        if (value) validRows.push({ row: index + 1, value: normalizeFields(entity, value) });
+    });
+
+    const created = { authors: [], publishers: [], genres: [] };
+    let imported = 0;
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        if (entity === 'books') {
+            // Titles are unique: reject repeats within the file and titles already in the catalogue.
+            const seenTitles = new Map();
+            for (const { row, value } of validRows) {
+                const key = uniqueKey('books', 'title', value.title);
+                if (seenTitles.has(key)) addRowError(row, `duplicate title (same as row ${seenTitles.get(key)})`);
+                else seenTitles.set(key, row);
+            }
+            if (seenTitles.size > 0) {
+                const [existing] = await connection.query('SELECT LOWER(Title) AS Title FROM Books WHERE LOWER(Title) IN (?)', [[...seenTitles.keys()]]);
+                const existingTitles = new Set(existing.map(book => book.Title));
+                for (const { row, value } of validRows) {
+                    if (existingTitles.has(uniqueKey('books', 'title', value.title))) addRowError(row, 'a book with this title already exists');
+                }
+            }
+            for (const [field, table, idColumn] of [['authorId', 'Authors', 'AuthorID'], ['publisherId', 'Publishers', 'PublisherID']]) {
+                const ids = [...new Set(validRows.map(({ value }) => value[field]).filter(id => id !== undefined))];
+                if (ids.length === 0) continue;
+                const [found] = await connection.query(`SELECT ${idColumn} AS ID FROM ${table} WHERE ${idColumn} IN (?)`, [ids]);
+                const foundIds = new Set(found.map(r => r.ID));
+                for (const { row, value } of validRows) {
+                    if (value[field] !== undefined && !foundIds.has(value[field])) addRowError(row, `${field} ${value[field]} does not exist`);
+                }
+            }
+        }
 
-        if (adminRows.length > 0) {
-
-            return res.json({ 
-                success: true, 
-                role: 'admin', 
-                user: adminRows[0],
-                message: 'Admin login successful'
+        if (mode === 'atomic' && rowErrors.size > 0 && !dryRun) {
+            await connection.rollback();
+        } else {
+            const caches = { authors: new Map(), publishers: new Map() };
+            for (const { row, value } of validRows) {
+                if (rowErrors.has(row)) continue;
+                // Names this row creates, by key; they only count once the row is kept
+                const staged = { authors: new Map(), publishers: new Map(), genres: new Map() };
+                await connection.savepoint('import_row');
+                try {
+                    if (entity === 'authors') {
+                        await connection.query('INSERT INTO Authors (Name, DOB) VALUES (?, ?)', [value.name, value.dob || null]);
+                    } else if (entity === 'publishers') {
+                        await connection.query('INSERT INTO Publishers (Name, Address, Contact) VALUES (?, ?, ?)',
+                            [value.name, value.address || null, value.contact || null]);
+                    } else {
+                        const authorId = value.authorId !== undefined ? value.authorId
+                            : await findOrCreateByName(connection, 'Authors', 'AuthorID', value.author, caches.authors, staged.authors);
+                        const publisherId = value.publisherId !== undefined ? value.publisherId
+                            : await findOrCreateByName(connection, 'Publishers', 'PublisherID', value.publisher, caches.publishers, staged.publishers);
+                        let genreId = null;
+                        if (value.genre) {
+                            const key = uniqueKey('genres', 'name', value.genre);
+                            const [genreRows] = await connection.query('SELECT GenreID FROM Genres WHERE LOWER(Name) = ?', [key]);
+                            if (genreRows.length > 0) {
+                                genreId = genreRows[0].GenreID;
+                            } else {
+                                genreId = await resolveGenreId({ genre: value.genre }, connection);
+                                staged.genres.set(key, { id: genreId, name: value.genre });
+                            }
+                        }
+                        await connection.query(
+                            dialect.call('InsertBook', 10),
+                            [value.title, authorId, publisherId, genreId, value.price, value.stock, value.format,
+                             value.language || null, value.publicationDate, value.isbn || null]
+                        );
+                        await recordInitialStock(connection, req.session, { title: value.title, stock: value.stock, source: 'Import', reason: 'Bulk import' });
+                    }
+                    await connection.releaseSavepoint('import_row');
+                    imported++;
+                    for (const [kind, names] of Object.entries(staged)) {
+                        for (const [key, { id, name }] of names) {
+                            if (caches[kind]) caches[kind].set(key, id);
+                            created[kind].push(name);
+                        }
+                    }
+                } catch (err) {
+                    await connection.rollbackToSavepoint('import_row');
+                    if (!IMPORT_ROW_ERRORS[err.code]) console.error(`Error importing row ${row}:`, err);
+                    addRowError(row, IMPORT_ROW_ERRORS[err.code] || 'could not be saved');
+                    if (mode === 'atomic' && !dryRun) break;
+                }
+            }
+
+            if (dryRun || (mode === 'atomic' && rowErrors.size > 0)) {
+                await connection.rollback();
+            } else {
+                await commitAndPublish(connection);
+            }
+        }
+
+        const committed = !dryRun && !(mode === 'atomic' && rowErrors.size > 0);
+        const importedCount = committed || dryRun ? imported : 0;
+        const errors = [...rowErrors.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([row, messages]) => ({ row, errors: messages }));
+        const report = {
+            entity,
+            dryRun,
+            mode,
+            committed,
+            totalRows: rawRows.length,
+            imported: importedCount,
+            skipped: rawRows.length - importedCount,
+            created,
+            errors
+        };
+        if (!committed && !dryRun) {
+            return res.status(400).json({ error: 'Import rejected. Fix the listed rows or import in skip mode.', ...report });
+        }
+        if (committed && imported > 0) {
+            await notifyEvent(pool, errors.length > 0 ? 'import.completedWithErrors' : 'import.completed', {
+                entity, imported, total: rawRows.length, skipped: errors.length
             });
         }
+        res.status(committed && imported > 0 ? 201 : 200).json(report);
+    } catch (err) {
+        console.error('Error importing rows:', err);
+        if (connection) {
+            try { await connection.rollback(); } catch (rollbackErr) { console.error('Error rolling back import:', rollbackErr); }
+        }
+        res.status(500).json({ error: 'Failed to import rows' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// --- Admin Users ---
+const ADMIN_COLUMNS = 'AdminID, Email, FirstName, LastName, IsActive, CreatedDate, LastLoginDate, UpdatedDate';
+
+// A NULL IsActive counts as active, as it does at login (isActiveFlag)
+async function countOtherActiveAdmins(adminId) {
+    const [rows] = await pool.query('SELECT COUNT(*) AS ActiveCount FROM Admins WHERE COALESCE(IsActive, 1) = 1 AND AdminID != ?', [adminId]);
+    return rows[0].ActiveCount;
+}
+
+app.get('/api/admins', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    try {
+        const [result] = await pool.query(`SELECT ${ADMIN_COLUMNS} FROM Admins ORDER BY LastName, FirstName`);
+        res.json(result);
+    } catch (err) {
+        console.error('Error fetching admins:', err);
+        res.status(500).json({ error: 'Failed to fetch admins' });
+    }
+});
+
+app.get('/api/admins/:id', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    try {
+        const adminId = parseInt(req.params.id);
+        if (isNaN(adminId)) return res.status(400).json({ error: 'Valid admin ID is required' });
+        const [result] = await pool.query(`SELECT ${ADMIN_COLUMNS} FROM Admins WHERE AdminID = ?`, [adminId]);
+        if (result.length === 0) return res.status(404).json({ error: 'Admin not found' });
+        res.json(result[0]);
+    } catch (err) {
+        console.error('Error fetching admin:', err);
+        res.status(500).json({ error: 'Failed to fetch admin' });
+    }
+});
+
+const ADMIN_SCHEMA = {
+    body: {
+        email: { type: 'email', required: true, maxLength: 100 },
+        firstName: { maxLength: 50 },
+        lastName: { maxLength: 50 }
+    }
+};
+
+const ADMIN_PASSWORD_FIELDS = { password: { required: true } };
+
+app.post('/api/admins', normalizeBody('admins'), validateRequest({ body: { ...ADMIN_SCHEMA.body, ...ADMIN_PASSWORD_FIELDS } }), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    try {
+        const { email, password, firstName, lastName } = req.body;
+        if (await findCaseInsensitiveDuplicate(pool, 'admins', { email })) {
+            return res.status(400).json({ error: 'An admin with this email already exists.' });
+        }
+
+        const [result] = await pool.query(
+            'INSERT INTO Admins (Email, AdminPass, FirstName, LastName, IsActive) VALUES (?, ?, ?, ?, 1)',
+            [email, await hashPassword(password), firstName || null, lastName || null]
+        );
+        res.status(201).json({ message: 'Admin added successfully', adminId: result.insertId });
+    } catch (err) {
+        console.error('Error adding admin:', err);
+        if (err.code === DB_ERRORS.DUPLICATE_ENTRY) {
+            res.status(400).json({ error: 'An admin with this email already exists.' });
+        } else {
+            res.status(500).json({ error: 'Failed to add admin' });
+        }
+    }
+});
+
+app.put('/api/admins/:id', normalizeBody('admins'), validateRequest({ ...ADMIN_SCHEMA, params: ID_PARAMS }), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    try {
+        const adminId = req.params.id;
+        const { email, firstName, lastName } = req.body;
+        if (await findCaseInsensitiveDuplicate(pool, 'admins', { email }, adminId)) {
+            return res.status(400).json({ error: 'An admin with this email already exists.' });
+        }
+
+        const [result] = await pool.query(
+            `UPDATE Admins SET Email = ?, FirstName = ?, LastName = ?, UpdatedDate = ${dialect.now} WHERE AdminID = ?`,
+            [email, firstName || null, lastName || null, adminId]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ error: 'Admin not found' });
+        res.json({ message: 'Admin updated successfully' });
+    } catch (err) {
+        console.error('Error updating admin:', err);
+        if (err.code === DB_ERRORS.DUPLICATE_ENTRY) {
+            res.status(400).json({ error: 'An admin with this email already exists.' });
+        } else {
+            res.status(500).json({ error: 'Failed to update admin' });
+        }
+    }
+});
+
+app.put('/api/admins/:id/status', validateRequest(ACCOUNT_STATUS_SCHEMA), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    try {
+        const adminId = req.params.id;
+        const { isActive } = req.body;
+        if (!isActive) {
+            if (adminId === req.session.userId) {
+                return res.status(400).json({ error: 'You cannot deactivate your own account.' });
+            }
+            if (await countOtherActiveAdmins(adminId) === 0) {
+                return res.status(400).json({ error: 'Cannot deactivate the last active admin.' });
+            }
+        }
+
+        const [result] = await pool.query(
+            `UPDATE Admins SET IsActive = ?, SessionVersion = SessionVersion + 1, UpdatedDate = ${dialect.now} WHERE AdminID = ?`,
+            [isActive ? 1 : 0, adminId]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ error: 'Admin not found' });
+        endLiveStreams('admin', adminId);
+        res.json({ message: `Admin ${isActive ? 'reactivated' : 'deactivated'} successfully` });
+    } catch (err) {
+        console.error('Error updating admin status:', err);
+        res.status(500).json({ error: 'Failed to update admin status' });
+    }
+});
+
+app.put('/api/admins/:id/password', validateRequest({ params: ID_PARAMS, body: ADMIN_PASSWORD_FIELDS }), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    try {
+        const adminId = req.params.id;
+        const { password } = req.body;
+
+        const [result] = await pool.query(
+            `UPDATE Admins SET AdminPass = ?, SessionVersion = SessionVersion + 1, UpdatedDate = ${dialect.now} WHERE AdminID = ?`,
+            [await hashPassword(password), adminId]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ error: 'Admin not found' });
+        endLiveStreams('admin', adminId);
+        res.json({ message: 'Admin password reset successfully' });
+    } catch (err) {
+        console.error('Error resetting admin password:', err);
+        res.status(500).json({ error: 'Failed to reset admin password' });
+    }
+});
+
+app.delete('/api/admins/:id', validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    try {
+        const adminId = req.params.id;
+        if (adminId === req.session.userId) {
+            return res.status(400).json({ error: 'You cannot delete your own account.' });
+        }
+        if (await countOtherActiveAdmins(adminId) === 0) {
+            return res.status(400).json({ error: 'Cannot delete the last active admin.' });
+        }
+
+        const [result] = await pool.query('DELETE FROM Admins WHERE AdminID = ?', [adminId]);
+        if (result.affectedRows === 0) return res.status(404).json({ error: 'Admin not found' });
+        endLiveStreams('admin', adminId);
+        res.json({ message: 'Admin deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting admin:', err);
+        res.status(500).json({ error: 'Failed to delete admin' });
+    }
+});
+
+// --- NOTIFICATIONS ---
+// Stored in the Notifications table (db/migrations/009_notifications.sql) and raised only by
+// the server, from the domain events in lib/notificationTemplates.js. Lists are newest first
+// and paged with an opaque cursor over (CreatedAt, NotificationID), so pages stay stable
+// while new notifications arrive.
+const DEFAULT_NOTIFICATION_PAGE_SIZE = 50;
+const MAX_NOTIFICATION_PAGE_SIZE = 200;
+// Read notifications older than this are purged; 0 keeps them forever
+const NOTIFICATION_RETENTION_DAYS = process.env.NOTIFICATION_RETENTION_DAYS !== undefined
+    ? Math.max(parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 0, 0)
+    : 90;
+const NOTIFICATION_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+function generateNotificationId() {
+    return Date.now().toString(36) + crypto.randomBytes(4).toString('hex');
+}
+
+// Same shape the client's createNewNotification builds
+function formatNotification(row) {
+    return {
+        id: row.NotificationID,
+        headline: row.Headline,
+        message: row.Message,
+        timestamp: new Date(row.CreatedAt).toISOString(),
+        type: row.Type,
+        read: Boolean(row.IsRead),
+        detailsLink: row.DetailsLink
+    };
+}
+
+function encodeNotificationCursor(notification) {
+    return Buffer.from(JSON.stringify([notification.timestamp, notification.id])).toString('base64url');
+}
+
+function decodeNotificationCursor(cursor) {
+    try {
+        const [timestamp, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+        const createdAt = new Date(timestamp);
+        if (typeof id !== 'string' || Number.isNaN(createdAt.getTime())) return null;
+        return { createdAt, id };
+    } catch (err) {
+        return null;
+    }
+}
+
+// Pass the transaction's connection so the notification commits or rolls back with the
+// change it describes. A failure to notify never fails the action itself. customerId is the
+// customer the notification names, if any; anonymizing them deletes it.
+async function addNotification(db, { headline, message, type = 'info', detailsLink = '#', customerId = null }) {
+    const notification = {
+        id: generateNotificationId(),
+        headline,
+        message,
+        timestamp: new Date().toISOString(),
+        type,
+        read: false,
+        detailsLink
+    };
+    try {
+        await db.query(
+            'INSERT INTO Notifications (NotificationID, Headline, Message, Type, DetailsLink, CustomerID, CreatedAt) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [notification.id, headline, message, type, detailsLink, customerId, new Date(notification.timestamp)]
+        );
+        publishAfterCommit(db, 'notification', notification);
+    } catch (error) {
+        console.error('Error adding notification:', error);
+    }
+    return notification;
+}
+
+async function notifyEvent(db, event, data) {
+    const notification = renderNotification(notificationTemplates[event], data);
+    if (notification) await addNotification(db, { ...notification, customerId: data.customerId });
+}
+
+async function purgeExpiredNotifications() {
+    if (!pool || NOTIFICATION_RETENTION_DAYS === 0) return;
+    try {
+        const [result] = await pool.query(
+            `DELETE FROM Notifications WHERE IsRead = 1 AND CreatedAt < ${dialect.addDays(dialect.now, '?')}`,
+            [-NOTIFICATION_RETENTION_DAYS]
+        );
+        if (result.affectedRows > 0) {
+            console.log(`Purged ${result.affectedRows} read notification(s) older than ${NOTIFICATION_RETENTION_DAYS} days.`);
+        }
+    } catch (err) {
+        console.error('Error purging notifications:', err);
+    }
+}
+
+// GET /api/notifications?read=true|false&type=warning&limit=50&cursor=...
+// Returns the page split into unread/read (the shape the client has always used), the
+// total unread count for the same type filter, and nextCursor (null on the last page).
+app.get('/api/notifications', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const { read, type, cursor } = req.query;
+
+    const conditions = [];
+    const params = [];
+    if (read !== undefined) {
+        if (read !== 'true' && read !== 'false') {
+            return res.status(400).json({ error: 'read must be true or false.' });
+        }
+        conditions.push('IsRead = ?');
+        params.push(read === 'true');
+    }
+    if (type !== undefined) {
+        if (!NOTIFICATION_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${NOTIFICATION_TYPES.join(', ')}.` });
+        }
+        conditions.push('Type = ?');
+        params.push(type);
+    }
+
+    let limit = DEFAULT_NOTIFICATION_PAGE_SIZE;
+    if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_NOTIFICATION_PAGE_SIZE) {
+            return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_NOTIFICATION_PAGE_SIZE}.` });
+        }
+    }
+
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (cursor !== undefined) {
+        const position = decodeNotificationCursor(cursor);
+        if (!position) return res.status(400).json({ error: 'Invalid cursor.' });
+        pageConditions.push('(CreatedAt < ? OR (CreatedAt = ? AND NotificationID < ?))');
+        pageParams.push(position.createdAt, position.createdAt, position.id);
+    }
+
+    try {
+        const where = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+        const [rows] = await pool.query(
+            `SELECT NotificationID, Headline, Message, Type, DetailsLink, IsRead, CreatedAt
+             FROM Notifications
+             ${where}
+             ORDER BY CreatedAt DESC, NotificationID DESC
+             ${dialect.limit(limit + 1)}`,
+            pageParams
+        );
+        const notifications = rows.slice(0, limit).map(formatNotification);
+        const nextCursor = rows.length > limit ? encodeNotificationCursor(notifications[notifications.length - 1]) : null;
+
+        const [[{ UnreadCount }]] = await pool.query(
+            `SELECT COUNT(*) AS UnreadCount FROM Notifications WHERE IsRead = 0${type !== undefined ? ' AND Type = ?' : ''}`,
+            type !== undefined ? [type] : []
+        );
+
+        res.json({
+            unread: notifications.filter(n => !n.read),
+            read: notifications.filter(n => n.read),
+            unreadCount: Number(UnreadCount),
+            nextCursor
+        });
+    } catch (err) {
+        console.error('Error fetching notifications:', err);
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+});
+
+// Notification IDs are strings (see db/migrations/009_notifications.sql)
+const NOTIFICATION_STATUS_SCHEMA = {
+    params: { id: { required: true, maxLength: 64 } },
+    body: { read: { type: 'boolean', required: true } }
+};
+
+app.put('/api/notifications/:id/status', validateRequest(NOTIFICATION_STATUS_SCHEMA), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const notificationId = req.params.id;
+    const { read } = req.body;
+
+    try {
+        const [existing] = await pool.query('SELECT IsRead FROM Notifications WHERE NotificationID = ?', [notificationId]);
+        if (existing.length === 0) {
+            return res.status(404).json({ error: `Notification ${notificationId} not found.` });
+        }
+        if (Boolean(existing[0].IsRead) === read) {
+            return res.json({ message: `Notification ${notificationId} status already as requested.` });
+        }
+        await pool.query(
+            `UPDATE Notifications SET IsRead = ?, ReadAt = ${read ? dialect.now : 'NULL'} WHERE NotificationID = ?`,
+            [read, notificationId]
+        );
+        res.json({ message: `Notification ${notificationId} status updated.` });
+    } catch (err) {
+        console.error('Error updating notification status:', err);
+        res.status(500).json({ error: 'Failed to update notification status' });
+    }
+});
+
+app.put('/api/notifications/mark-all-read', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    try {
+        const [result] = await pool.query(`UPDATE Notifications SET IsRead = 1, ReadAt = ${dialect.now} WHERE IsRead = 0`);
+        res.json({ message: 'All unread notifications marked as read.', updated: result.affectedRows });
+    } catch (err) {
+        console.error('Error marking notifications as read:', err);
+        res.status(500).json({ error: 'Failed to mark all as read' });
+    }
+});
+
+app.delete('/api/notifications/:id', async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+    const notificationId = req.params.id;
+    try {
+        const [result] = await pool.query('DELETE FROM Notifications WHERE NotificationID = ?', [notificationId]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: `Notification ${notificationId} not found.` });
+        }
+        res.json({ message: `Notification ${notificationId} deleted.` });
+    } catch (err) {
+        console.error('Error deleting notification:', err);
+        res.status(500).json({ error: 'Failed to delete notification' });
+    }
+});
+
+// --- LOGIN ROUTE ---
+const LOGIN_SCHEMA = {
+    body: {
+        email: { required: true, maxLength: 100 },
+        password: { required: true }
+    }
+};
+
+app.post('/api/admin/login', validateRequest(LOGIN_SCHEMA), async (req, res) => {
+    if (!pool) return res.status(503).json({ error: 'Database not connected' });
+   
+    const { email, password } = req.body;
+
+    try {
+        const [adminRows] = await pool.query(
+            'SELECT AdminID, Email, AdminPass, FirstName, LastName, IsActive, SessionVersion FROM Admins WHERE Email = ?', 
+            [email]
+        );
+
+        if (adminRows.length > 0) {
+            const admin = adminRows[0];
+            const { valid, needsRehash } = await verifyPassword(password, admin.AdminPass);
+            if (valid) {
+                if (!isActiveFlag(admin.IsActive)) {
+                    return res.status(403).json({ error: 'This admin account has been deactivated' });
+                }
+                if (needsRehash) {
+                    await pool.query('UPDATE Admins SET AdminPass = ? WHERE AdminID = ?', [await hashPassword(password), admin.AdminID]);
+                }
+                await pool.query(`UPDATE Admins SET LastLoginDate = ${dialect.now}, UpdatedDate = UpdatedDate WHERE AdminID = ?`, [admin.AdminID]);
+                setSessionCookie(res, createSessionToken({ userId: admin.AdminID, role: 'admin', email: admin.Email, version: admin.SessionVersion }));
+                return res.json({ 
+                    success: true, 
+                    role: 'admin', 
+                    user: { AdminID: admin.AdminID, Email: admin.Email, FirstName: admin.FirstName, LastName: admin.LastName },
+                    message: 'Admin login successful'
+                });
+            }
+        }
 
         const [customerRows] = await pool.query(
-            'SELECT * FROM Customers WHERE Email = ? AND Password = ?', 
-            [email, password]
+            'SELECT CustomerID, FirstName, LastName, Email, Password, IsActive, SessionVersion FROM Customers WHERE Email = ?', 
+            [email]
         );
 
         if (customerRows.length > 0) {
-            return res.json({ 
-                success: true, 
-                role: 'customer', 
-                user: customerRows[0],
-                message: 'Customer login successful'
-            });
+            const customer = customerRows[0];
+            const { valid, needsRehash } = await verifyPassword(password, customer.Password);
+            if (valid) {
+                if (!isActiveFlag(customer.IsActive)) {
+                    return res.status(403).json({ error: 'This customer account has been deactivated' });
+                }
+                if (needsRehash) {
+                    await pool.query('UPDATE Customers SET Password = ? WHERE CustomerID = ?', [await hashPassword(password), customer.CustomerID]);
+                }
+                setSessionCookie(res, createSessionToken({ userId: customer.CustomerID, role: 'customer', email: customer.Email, version: customer.SessionVersion }));
+                return res.json({ 
+                    success: true, 
+                    role: 'customer', 
+                    user: { CustomerID: customer.CustomerID, Email: customer.Email, FirstName: customer.FirstName, LastName: customer.LastName },
+                    message: 'Customer login successful'
+                });
+            }
         }
 
         return res.status(401).json({ error: 'Invalid email or password' });
 
     } catch (err) {
         console.error('Login error:', err);
-        res.status(500).json({ error: 'Login failed', details: err.message });
+        res.status(500).json({ error: 'Login failed' });
     }
 });
 
+// Revokes the presented token, so it stops working even if a copy of it leaked. The
+// account's sessions on other devices carry on. Tokens issued before token ids existed can
+// only be revoked by bumping the account's SessionVersion, which signs it out everywhere.
+app.post('/api/auth/logout', async (req, res) => {
+    clearSessionCookie(res);
+    if (req.session && pool) {
+        const { role, userId, tokenId, expiresAt } = req.session;
+        try {
+            if (tokenId) {
+                await pool.query('INSERT INTO RevokedSessions (TokenID, ExpiresAt) VALUES (?, ?)', [tokenId, new Date(expiresAt)]);
+            } else {
+                const { table, idColumn } = SESSION_ACCOUNTS[role];
+                // Admins.UpdatedDate would otherwise move on MySQL (ON UPDATE CURRENT_TIMESTAMP)
+                const keepUpdatedDate = role === 'admin' ? ', UpdatedDate = UpdatedDate' : '';
+                await pool.query(`UPDATE ${table} SET SessionVersion = SessionVersion + 1${keepUpdatedDate} WHERE ${idColumn} = ?`, [userId]);
+            }
+            endLiveStreams(role, userId, tokenId);
+        } catch (err) {
+            console.error('Error revoking session on logout:', err);
+            return res.status(500).json({ error: 'Logout failed' });
+        }
+    }
+    res.json({ message: 'Logged out successfully' });
+});
+
+// A revoked token is refused anyway once it expires
+const REVOKED_SESSION_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+async function purgeRevokedSessions() {
+    if (!pool) return;
+    try {
+        await pool.query('DELETE FROM RevokedSessions WHERE ExpiresAt < ?', [new Date()]);
+    } catch (err) {
+        console.error('Error purging revoked sessions:', err);
+    }
+}
+
+app.get('/api/auth/session', (req, res) => {
+    res.json({ role: req.session.role, userId: req.session.userId, email: req.session.email, expiresAt: req.session.expiresAt });
+});
+
+// Errors no route handled: unparseable bodies from the body parsers, and anything thrown.
+// Internal error messages stay in the log rather than going to the client.
+app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Request body is not valid JSON.' });
+    if (err.type === 'entity.too.large') return res.status(413).json({ error: 'Request body is too large.' });
+    console.error(`Unhandled error in ${req.method} ${req.originalUrl}:`, err);
+    res.status(500).json({ error: 'Internal server error' });
+});
+
 // --- Server Setup ---
 connectDb().then(() => {
+    purgeExpiredNotifications();
+    setInterval(purgeExpiredNotifications, NOTIFICATION_PURGE_INTERVAL_MS).unref();
+    purgeRevokedSessions();
+    setInterval(purgeRevokedSessions, REVOKED_SESSION_PURGE_INTERVAL_MS).unref();
     app.listen(port, () => {
         console.log(`Server is running on http://localhost:${port}`);
     });
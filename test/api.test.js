@@ -0,0 +1,678 @@
+// API tests against the embedded SQLite database (see test/helpers.js). Each describe
+// block gets its own server and a freshly seeded database.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const Database = require('better-sqlite3');
+const { startServer, ADMIN, CUSTOMER } = require('./helpers');
+
+describe('authentication', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    it('rejects API calls without a session', async () => {
+        const { status } = await server.client().request('GET', '/api/kpis');
+        assert.equal(status, 401);
+    });
+
+    it('rejects a wrong password', async () => {
+        const { status } = await server.client().login(ADMIN.email, 'wrong');
+        assert.equal(status, 401);
+    });
+
+    it('logs an admin in and reports the session', async () => {
+        const client = server.client();
+        const login = await client.login(ADMIN.email, ADMIN.password);
+        assert.equal(login.status, 200);
+        assert.equal(login.body.role, 'admin');
+
+        const session = await client.request('GET', '/api/auth/session');
+        assert.equal(session.status, 200);
+        assert.equal(session.body.email, ADMIN.email);
+
+        await client.request('POST', '/api/auth/logout');
+        assert.equal((await client.request('GET', '/api/auth/session')).status, 401);
+    });
+
+    it('revokes the token on logout, not just the cookie', async () => {
+        const client = server.client();
+        const login = await client.login(ADMIN.email, ADMIN.password);
+        const token = login.headers.get('set-cookie').split(';')[0].split('=')[1];
+        const withToken = () => fetch(`${server.baseUrl}/api/auth/session`, { headers: { Authorization: `Bearer ${token}` } });
+        assert.equal((await withToken()).status, 200);
+
+        await client.request('POST', '/api/auth/logout');
+        assert.equal((await withToken()).status, 401);
+    });
+
+    it('signs out only the session that logs out', async () => {
+        const laptop = server.client();
+        const phone = server.client();
+        await laptop.login(CUSTOMER.email, CUSTOMER.password);
+        await phone.login(CUSTOMER.email, CUSTOMER.password);
+
+        await laptop.request('POST', '/api/auth/logout');
+        assert.equal((await laptop.request('GET', '/api/auth/session')).status, 401);
+        assert.equal((await phone.request('GET', '/api/auth/session')).status, 200);
+    });
+
+    it('keeps customers to their own orders', async () => {
+        const client = server.client();
+        const login = await client.login(CUSTOMER.email, CUSTOMER.password);
+        assert.equal(login.body.role, 'customer');
+
+        assert.equal((await client.request('GET', '/api/customers/1/orders')).status, 200);
+        assert.equal((await client.request('GET', '/api/customers/2/orders')).status, 403);
+        assert.equal((await client.request('GET', '/api/kpis')).status, 403);
+    });
+
+    it('ends an admin\'s sessions when their password is reset, or they are deactivated or deleted', async () => {
+        const admin = server.client();
+        await admin.login(ADMIN.email, ADMIN.password);
+        const { body: { adminId } } = await admin.request('POST', '/api/admins', { email: 'second.admin@bookstore.com', password: 'Second1!' });
+        const other = server.client();
+
+        await other.login('second.admin@bookstore.com', 'Second1!');
+        assert.equal((await admin.request('PUT', `/api/admins/${adminId}/password`, { password: 'Second2!' })).status, 200);
+        assert.equal((await other.request('GET', '/api/kpis')).status, 401);
+
+        await other.login('second.admin@bookstore.com', 'Second2!');
+        await admin.request('PUT', `/api/admins/${adminId}/status`, { isActive: false });
+        assert.equal((await other.request('GET', '/api/kpis')).status, 401);
+        await admin.request('PUT', `/api/admins/${adminId}/status`, { isActive: true });
+        assert.equal((await other.request('GET', '/api/kpis')).status, 401);
+
+        await other.login('second.admin@bookstore.com', 'Second2!');
+        assert.equal((await other.request('GET', '/api/kpis')).status, 200);
+        await admin.request('DELETE', `/api/admins/${adminId}`);
+        assert.equal((await other.request('GET', '/api/kpis')).status, 401);
+    });
+
+    it('ends an admin\'s live event streams when their sessions are revoked', async () => {
+        const admin = server.client();
+        await admin.login(ADMIN.email, ADMIN.password);
+        const { body: { adminId } } = await admin.request('POST', '/api/admins', { email: 'streaming.admin@bookstore.com', password: 'Stream1!' });
+        const login = await server.client().login('streaming.admin@bookstore.com', 'Stream1!');
+        const token = login.headers.get('set-cookie').split(';')[0].split('=')[1];
+        const stream = await fetch(`${server.baseUrl}/api/events`, { headers: { Authorization: `Bearer ${token}` } });
+        assert.equal(stream.status, 200);
+        const reader = stream.body.getReader();
+        await reader.read();
+
+        await admin.request('PUT', `/api/admins/${adminId}/status`, { isActive: false });
+        const readToEnd = async () => {
+            while (!(await reader.read()).done);
+            return 'ended';
+        };
+        const timeout = new Promise(resolve => setTimeout(resolve, 5000, 'still open').unref());
+        assert.equal(await Promise.race([readToEnd(), timeout]), 'ended');
+    });
+});
+
+describe('catalogue', () => {
+    let server;
+    let admin;
+    before(async () => {
+        server = await startServer();
+        admin = server.client();
+        await admin.login(ADMIN.email, ADMIN.password);
+    });
+    after(() => server.stop());
+
+    it('lists books with pagination', async () => {
+        const { status, body } = await admin.request('GET', '/api/books?page=1&pageSize=5');
+        assert.equal(status, 200);
+        assert.equal(body.items.length, 5);
+        assert.equal(body.total, 50);
+    });
+
+    it('searches books by title', async () => {
+        const { body } = await admin.request('GET', '/api/books/search?q=harry');
+        assert.ok(body.some(book => book.Title === "Harry Potter and the Sorcerer's Stone"));
+    });
+
+    it('adds a book through InsertBook and records its opening stock', async () => {
+        const created = await admin.request('POST', '/api/books', {
+            title: 'Test Driven Bookkeeping', authorId: 1, publisherId: 1, genre: 'Testing',
+            price: 12.5, stock: 7, format: 'Paperback', publicationDate: '2024-03-01'
+        });
+        assert.equal(created.status, 201);
+
+        const { body: [book] } = await admin.request('GET', '/api/books/search?q=bookkeeping');
+        assert.equal(book.Genre, 'Testing');
+        assert.equal(book.Stock, 7);
+        const { body: movements } = await admin.request('GET', `/api/books/${book.BookID}/stock-movements`);
+        assert.deepEqual(movements.map(movement => movement.Delta), [7]);
+    });
+
+    it('rejects a duplicate title regardless of case', async () => {
+        const { status } = await admin.request('POST', '/api/books', {
+            title: '  the great   GATSBY ', authorId: 1, publisherId: 1, price: 1, stock: 1,
+            format: 'Paperback', publicationDate: '2024-03-01'
+        });
+        assert.equal(status, 400);
+    });
+
+    it('adjusts stock but never below zero', async () => {
+        const removed = await admin.request('PUT', '/api/books/1/stock', { stockChange: -5, reason: 'Damaged' });
+        assert.equal(removed.status, 200);
+        assert.equal(removed.body.newStock, 145);
+
+        const tooMany = await admin.request('PUT', '/api/books/1/stock', { stockChange: -1000 });
+        assert.equal(tooMany.status, 409);
+        assert.equal(tooMany.body.currentStock, 145);
+    });
+
+    it('refuses to delete an author that still has books', async () => {
+        const { status } = await admin.request('DELETE', '/api/authors/1');
+        assert.equal(status, 400);
+    });
+});
+
+describe('customers and orders', () => {
+    let server;
+    let admin;
+    before(async () => {
+        server = await startServer();
+        admin = server.client();
+        await admin.login(ADMIN.email, ADMIN.password);
+    });
+    after(() => server.stop());
+
+    it('registers a customer through AddCustomer and rejects a duplicate email', async () => {
+        const customer = { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', password: 'Analytical1!' };
+        assert.equal((await admin.request('POST', '/api/customers', customer)).status, 201);
+        assert.equal((await admin.request('POST', '/api/customers', { ...customer, email: 'ADA@example.com' })).status, 400);
+
+        const login = await server.client().login(customer.email, customer.password);
+        assert.equal(login.body.role, 'customer');
+    });
+
+    it('places an order, takes the stock and records the payment', async () => {
+        const { body: before } = await admin.request('GET', '/api/books/2');
+        const placed = await admin.request('POST', '/api/orders', {
+            customerId: 1, paymentMethod: 'Card',
+            items: [{ bookId: 2, quantity: 2, discount: 1 }, { bookId: 3, quantity: 1 }]
+        });
+        assert.equal(placed.status, 201);
+        assert.equal(placed.body.itemCount, 2);
+
+        const { body: after } = await admin.request('GET', '/api/books/2');
+        assert.equal(after.Stock, before.Stock - 2);
+
+        const { body: lines } = await admin.request('GET', `/api/orders/${placed.body.orderId}/details`);
+        assert.equal(lines.length, 2);
+        const { body: history } = await admin.request('GET', `/api/orders/${placed.body.orderId}/history`);
+        assert.equal(history.status, 'Pending');
+    });
+
+    it('refuses an order the stock cannot cover', async () => {
+        const { status, body } = await admin.request('POST', '/api/orders', {
+            customerId: 1, paymentMethod: 'Cash', items: [{ bookId: 1, quantity: 100000 }]
+        });
+        assert.equal(status, 400);
+        assert.equal(body.shortages[0].bookId, 1);
+    });
+
+    it('cancels an order and puts the stock back', async () => {
+        const { body: before } = await admin.request('GET', '/api/books/4');
+        const placed = await admin.request('POST', '/api/orders', {
+            customerId: 2, paymentMethod: 'Cash', items: [{ bookId: 4, quantity: 3 }]
+        });
+        const cancelled = await admin.request('POST', `/api/orders/${placed.body.orderId}/cancel`, { reason: 'Changed mind' });
+        assert.equal(cancelled.status, 200);
+        assert.equal(cancelled.body.status, 'Cancelled');
+
+        const { body: after } = await admin.request('GET', '/api/books/4');
+        assert.equal(after.Stock, before.Stock);
+    });
+
+    it('only allows the order status transitions it knows', async () => {
+        const placed = await admin.request('POST', '/api/orders', {
+            customerId: 3, paymentMethod: 'Card', items: [{ bookId: 5, quantity: 1 }]
+        });
+        const url = `/api/orders/${placed.body.orderId}/status`;
+        assert.equal((await admin.request('PUT', url, { status: 'Completed' })).status, 409);
+        assert.equal((await admin.request('PUT', url, { status: 'Processing' })).status, 200);
+    });
+});
+
+describe('customer deactivation and erasure', () => {
+    let server;
+    let admin;
+    before(async () => {
+        server = await startServer();
+        admin = server.client();
+        await admin.login(ADMIN.email, ADMIN.password);
+    });
+    after(() => server.stop());
+
+    it('keeps deactivated customers out of the dropdown, login and new orders', async () => {
+        assert.equal((await admin.request('PUT', '/api/customers/5/status', { isActive: false })).status, 200);
+
+        const { body: active } = await admin.request('GET', '/api/customers?active=true');
+        assert.equal(active.length, 49);
+        assert.ok(!active.some(customer => customer.CustomerID === 5));
+        assert.equal((await server.client().login('customer5@example.com', 'CustP@$$wOrd5!')).status, 403);
+        const order = await admin.request('POST', '/api/orders', {
+            customerId: 5, paymentMethod: 'Cash', items: [{ bookId: 1, quantity: 1 }]
+        });
+        assert.equal(order.status, 409);
+
+        assert.equal((await admin.request('PUT', '/api/customers/5/status', { isActive: true })).status, 200);
+        assert.equal((await server.client().login('customer5@example.com', 'CustP@$$wOrd5!')).status, 200);
+    });
+
+    it('ends a customer\'s open sessions when they are deactivated', async () => {
+        const customer = server.client();
+        await customer.login('customer6@example.com', 'CustP@$$wOrd6!');
+        assert.equal((await customer.request('GET', '/api/orders/6/invoice')).status, 200);
+
+        await admin.request('PUT', '/api/customers/6/status', { isActive: false });
+        assert.equal((await customer.request('GET', '/api/customers/6/orders')).status, 401);
+        assert.equal((await customer.request('GET', '/api/customers/6/export')).status, 401);
+        assert.equal((await customer.request('GET', '/api/orders/6/invoice')).status, 401);
+
+        await admin.request('PUT', '/api/customers/6/status', { isActive: true });
+        assert.equal((await customer.request('GET', '/api/customers/6/orders')).status, 401);
+    });
+
+    it('exports a customer\'s profile, orders and payments, to them or an admin only', async () => {
+        const customer = server.client();
+        await customer.login(CUSTOMER.email, CUSTOMER.password);
+        const { status, headers, body } = await customer.request('GET', '/api/customers/1/export');
+        assert.equal(status, 200);
+        assert.match(headers.get('content-disposition'), /customer-1-data\.json/);
+        assert.equal(body.customer.email, CUSTOMER.email);
+        assert.equal(body.customer.password, undefined);
+        assert.deepEqual(body.orders.map(order => order.orderId), [1]);
+        assert.equal(body.orders[0].lines[0].title, 'To Kill a Mockingbird');
+        assert.equal(body.payments[0].method, 'JazzCash');
+        assert.equal((await customer.request('GET', '/api/customers/2/export')).status, 403);
+    });
+
+    it('exports a customer who has never ordered', async () => {
+        const registered = { firstName: 'Grace', lastName: 'Hopper', email: 'grace@example.com', password: 'Cobol1959!' };
+        assert.equal((await admin.request('POST', '/api/customers', registered)).status, 201);
+        const customer = server.client();
+        await customer.login(registered.email, registered.password);
+        const { body: session } = await customer.request('GET', '/api/auth/session');
+
+        const { status, body } = await customer.request('GET', `/api/customers/${session.userId}/export`);
+        assert.equal(status, 200);
+        assert.equal(body.customer.email, registered.email);
+        assert.deepEqual(body.orders, []);
+        assert.deepEqual(body.payments, []);
+    });
+
+    it('anonymizes a customer but keeps their orders and payments', async () => {
+        // Order 2 (customer 2) is completed; order 1 (customer 1) is still open
+        assert.equal((await admin.request('POST', '/api/customers/1/anonymize')).status, 409);
+        assert.equal((await admin.request('POST', '/api/customers/2/anonymize')).status, 200);
+        assert.equal((await admin.request('POST', '/api/customers/2/anonymize')).status, 409);
+
+        const { body: customer } = await admin.request('GET', '/api/customers/2');
+        assert.equal(customer.FirstName, 'Anonymized');
+        assert.equal(customer.Phone, null);
+        assert.equal(customer.ShippingAddress, null);
+        assert.ok(customer.AnonymizedDate);
+        assert.equal((await server.client().login('customer2@example.com', 'CustP@$$wOrd2!')).status, 401);
+        assert.equal((await admin.request('PUT', '/api/customers/2/status', { isActive: true })).status, 409);
+
+        const { body: exported } = await admin.request('GET', '/api/customers/2/export');
+        assert.deepEqual(exported.orders.map(order => order.orderId), [2]);
+        assert.ok(exported.payments.length > 0);
+    });
+
+    it('deletes the notifications about an anonymized customer and no one else', async () => {
+        const register = (firstName, lastName) => admin.request('POST', '/api/customers', {
+            firstName, lastName, email: `${firstName.toLowerCase()}@example.com`
+        });
+        await register('Ann', 'Lee');
+        await register('Joann', 'Leeds');
+        const { body: customers } = await admin.request('GET', '/api/customers');
+        const ann = customers.find(customer => customer.Email === 'ann@example.com');
+        assert.equal((await admin.request('POST', `/api/customers/${ann.CustomerID}/anonymize`)).status, 200);
+
+        const { body } = await admin.request('GET', '/api/notifications');
+        const headlines = [...body.unread, ...body.read].map(notification => notification.headline);
+        assert.ok(!headlines.includes('Customer Registered: Ann Lee'));
+        assert.ok(headlines.includes('Customer Registered: Joann Leeds'));
+    });
+});
+
+describe('purchase orders', () => {
+    let server;
+    let admin;
+    before(async () => {
+        server = await startServer();
+        admin = server.client();
+        await admin.login(ADMIN.email, ADMIN.password);
+    });
+    after(() => server.stop());
+
+    it('receives a sent purchase order into stock', async () => {
+        const { body: before } = await admin.request('GET', '/api/books/1');
+        const created = await admin.request('POST', '/api/purchase-orders', {
+            publisherId: before.PublisherID, items: [{ bookId: 1, quantity: 4, unitCost: 6 }]
+        });
+        assert.equal(created.status, 201);
+        const id = created.body.purchaseOrderId;
+
+        assert.equal((await admin.request('POST', `/api/purchase-orders/${id}/receive`, {})).status, 409);
+        assert.equal((await admin.request('POST', `/api/purchase-orders/${id}/send`)).status, 200);
+        const received = await admin.request('POST', `/api/purchase-orders/${id}/receive`, {});
+        assert.equal(received.status, 200);
+        assert.equal(received.body.status, 'Received');
+
+        const { body: after } = await admin.request('GET', '/api/books/1');
+        assert.equal(after.Stock, before.Stock + 4);
+    });
+});
+
+describe('reports', () => {
+    let server;
+    let admin;
+    before(async () => {
+        server = await startServer();
+        admin = server.client();
+        await admin.login(ADMIN.email, ADMIN.password);
+    });
+    after(() => server.stop());
+
+    it('computes the dashboard KPIs', async () => {
+        const { status, body } = await admin.request('GET', '/api/kpis');
+        assert.equal(status, 200);
+        assert.equal(body.totalBooks, 50);
+        assert.equal(body.totalOrders, 50);
+    });
+
+    it('buckets revenue by week and month', async () => {
+        for (const granularity of ['week', 'month']) {
+            const { status, body } = await admin.request('GET', `/api/analytics/revenue?granularity=${granularity}`);
+            assert.equal(status, 200);
+            assert.ok(body.series.length > 0);
+            assert.ok(body.series.some(point => point.revenue > 0));
+        }
+    });
+
+    it('breaks revenue down by genre', async () => {
+        const { body } = await admin.request('GET', '/api/analytics/revenue/breakdown?by=genre');
+        assert.ok(body.items.length > 0);
+        assert.ok(body.total > 0);
+    });
+});
+
+describe('bulk import', () => {
+    let server;
+    let admin;
+    let dataDir;
+    before(async () => {
+        // A database file, so the tests can add a trigger that makes one row fail
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-'));
+        server = await startServer({ env: { SQLITE_FILE: path.join(dataDir, 'bookstore.sqlite') } });
+        admin = server.client();
+        await admin.login(ADMIN.email, ADMIN.password);
+    });
+    after(async () => {
+        await server.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    const book = (title, fields = {}) => ({ title, author: 'New Author', publisher: 'New Press', genre: 'Fantasy',
+        price: 3, stock: 1, format: 'eBook', publicationDate: '2001-01-01', ...fields });
+
+    it('imports books in skip mode and reports the bad rows', async () => {
+        const { status, body } = await admin.request('POST', '/api/import/books?mode=skip', {
+            rows: [book('Imported Title', { stock: 2 }), { title: '' }]
+        });
+        assert.equal(status, 201);
+        assert.equal(body.imported, 1);
+        assert.equal(body.skipped, 1);
+        assert.deepEqual(body.created.authors, ['New Author']);
+    });
+
+    it('matches imported genres regardless of case and reports each new one once', async () => {
+        const { status, body } = await admin.request('POST', '/api/import/books', {
+            rows: [
+                book('Genre Case One', { genre: 'fantasy' }),
+                book('Genre Case Two', { genre: 'Space Opera' }),
+                book('Genre Case Three', { genre: 'space opera' })
+            ]
+        });
+        assert.equal(status, 201);
+        assert.deepEqual(body.created.genres, ['Space Opera']);
+        const { body: genres } = await admin.request('GET', '/api/genres');
+        assert.equal(genres.filter(genre => /^(fantasy|space opera)$/i.test(genre.Name)).length, 2);
+    });
+
+    it('forgets the authors, publishers and genres a failed row created', async () => {
+        const db = new Database(path.join(dataDir, 'bookstore.sqlite'));
+        db.exec(`CREATE TRIGGER TR_Test_RejectBook BEFORE INSERT ON Books WHEN NEW.Title = 'Rejected Import'
+                 BEGIN SELECT RAISE(ABORT, 'Rejected by the test trigger'); END`);
+        db.close();
+
+        const fields = { author: 'Rolled Back Author', publisher: 'Rolled Back Press', genre: 'Rolled Back Genre' };
+        const { status, body } = await admin.request('POST', '/api/import/books?mode=skip', {
+            rows: [book('Rejected Import', fields), book('Kept Import', fields)]
+        });
+        assert.equal(status, 201);
+        assert.equal(body.imported, 1);
+        assert.deepEqual(body.errors, [{ row: 1, errors: ['was rejected by the database'] }]);
+        assert.deepEqual(body.created, { authors: ['Rolled Back Author'], publishers: ['Rolled Back Press'], genres: ['Rolled Back Genre'] });
+    });
+});
+
+describe('invoices', () => {
+    let server;
+    let admin;
+    before(async () => {
+        server = await startServer();
+        admin = server.client();
+        await admin.login(ADMIN.email, ADMIN.password);
+    });
+    after(() => server.stop());
+
+    const invoiceNumberOf = response => /INV-\d{6}/.exec(response.headers.get('content-disposition'))[0];
+
+    it('keeps the store details on the server', async () => {
+        const invalid = await admin.request('PUT', '/api/settings/store', { storeName: 'Shop', storeEmail: 'not-an-email' });
+        assert.equal(invalid.status, 400);
+
+        const saved = await admin.request('PUT', '/api/settings/store', { storeName: ' Corner   Books ', storeEmail: 'hello@corner.example' });
+        assert.equal(saved.status, 200);
+        const { body } = await admin.request('GET', '/api/settings/store');
+        assert.equal(body.storeName, 'Corner Books');
+        assert.equal(body.storeEmail, 'hello@corner.example');
+    });
+
+    it('numbers invoices in the order they are issued and keeps the number on reprint', async () => {
+        const first = await admin.request('GET', '/api/orders/5/invoice?format=pdf');
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get('content-type'), 'application/pdf');
+        assert.ok(first.body.startsWith('%PDF-'));
+        const second = await admin.request('GET', '/api/orders/1/invoice?format=pdf');
+        assert.equal(invoiceNumberOf(first), 'INV-000001');
+        assert.equal(invoiceNumberOf(second), 'INV-000002');
+
+        const reprint = await admin.request('GET', '/api/orders/5/invoice?format=pdf');
+        assert.equal(invoiceNumberOf(reprint), 'INV-000001');
+    });
+
+    it('renders printable HTML with the store, customer, lines and payments', async () => {
+        const { status, body } = await admin.request('GET', '/api/orders/1/invoice');
+        assert.equal(status, 200);
+        assert.match(body, /INV-000002/);
+        assert.match(body, /Corner Books/);
+        assert.match(body, /customer1@example\.com/);
+        assert.match(body, /To Kill a Mockingbird/);
+        assert.match(body, /JazzCash/);
+    });
+
+    it('does not invoice cancelled orders', async () => {
+        const { status } = await admin.request('GET', '/api/orders/3/invoice');
+        assert.equal(status, 409);
+    });
+
+    it('lets customers fetch only their own invoices', async () => {
+        const customer = server.client();
+        await customer.login(CUSTOMER.email, CUSTOMER.password);
+        assert.equal((await customer.request('GET', '/api/orders/1/invoice')).status, 200);
+        assert.equal((await customer.request('GET', '/api/orders/2/invoice')).status, 403);
+    });
+});
+
+describe('report exports', () => {
+    let server;
+    let admin;
+    before(async () => {
+        server = await startServer();
+        admin = server.client();
+        await admin.login(ADMIN.email, ADMIN.password);
+    });
+    after(() => server.stop());
+
+    it('exports filtered orders as CSV', async () => {
+        const { status, headers, body } = await admin.request('GET', '/api/reports/orders/export?status=Cancelled&sort=orderId&order=asc');
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /^text\/csv/);
+        assert.match(headers.get('content-disposition'), /attachment; filename="orders-\d{4}-\d{2}-\d{2}\.csv"/);
+        const [header, first, ...rest] = body.replace(/^\uFEFF/, '').trim().split('\r\n');
+        assert.equal(header, 'Order ID,Date,Customer,Status,Amount');
+        assert.match(first, /^3,\d{4}-\d{2}-\d{2},CustF3 CustL3,Cancelled,/);
+        assert.ok(rest.every(line => line.includes(',Cancelled,')));
+    });
+
+    it('exports the same data as Excel and PDF', async () => {
+        const xlsx = await admin.request('GET', '/api/reports/top-sellers/export?format=xlsx&limit=5');
+        assert.equal(xlsx.status, 200);
+        assert.ok(xlsx.body.startsWith('PK'));
+        const pdf = await admin.request('GET', '/api/reports/customers/export?format=pdf&from=2020-01-01');
+        assert.equal(pdf.status, 200);
+        assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+        assert.ok(pdf.body.startsWith('%PDF-'));
+    });
+
+    it('limits the KPIs to the date range', async () => {
+        const { body } = await admin.request('GET', '/api/reports/kpis/export?from=2000-01-01&to=2000-12-31');
+        assert.match(body, /Books in catalogue,50\r\n/);
+        assert.match(body, /Orders placed,0\r\n/);
+    });
+
+    it('rejects unknown reports, formats and bad filters', async () => {
+        assert.equal((await admin.request('GET', '/api/reports/payroll/export')).status, 404);
+        assert.equal((await admin.request('GET', '/api/reports/orders/export?format=docx')).status, 400);
+        assert.equal((await admin.request('GET', '/api/reports/top-sellers/export?from=2024-02-31x')).status, 400);
+        assert.equal((await admin.request('GET', '/api/reports/low-stock/export?threshold=ten')).status, 400);
+    });
+});
+
+describe('request validation', () => {
+    let server;
+    let admin;
+    before(async () => {
+        server = await startServer();
+        admin = server.client();
+        await admin.login(ADMIN.email, ADMIN.password);
+    });
+    after(() => server.stop());
+
+    const fields = body => body.errors.map(error => `${error.location}.${error.field}`).sort();
+
+    it('reports every invalid field of a book at once', async () => {
+        const { status, body } = await admin.request('POST', '/api/books', {
+            title: 'Checksums', authorId: 1, publisherId: 1, price: 5, stock: 1,
+            format: 'Scroll', publicationDate: '2024-02-31', isbn: '978-0-306-40615-6'
+        });
+        assert.equal(status, 400);
+        assert.deepEqual(fields(body), ['body.format', 'body.isbn', 'body.publicationDate']);
+        assert.match(body.errors.find(error => error.field === 'isbn').message, /ISBN-10 or ISBN-13/);
+    });
+
+    it('accepts hyphenated ISBNs and stores them without hyphens', async () => {
+        const created = await admin.request('POST', '/api/books', {
+            title: 'Checksums Done Right', authorId: 1, publisherId: 1, price: '5.00', stock: '1',
+            format: 'paperback', publicationDate: '2024-02-29', isbn: '978-0-306-40615-7'
+        });
+        assert.equal(created.status, 201);
+        const { body: [book] } = await admin.request('GET', '/api/books/search?q=checksums done');
+        assert.equal(book.ISBN, '9780306406157');
+        assert.equal(book.Format, 'Paperback');
+    });
+
+    it('checks emails, IDs and nested order items', async () => {
+        const customer = await admin.request('POST', '/api/customers', { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@' });
+        assert.equal(customer.status, 400);
+        assert.deepEqual(fields(customer.body), ['body.email']);
+
+        const order = await admin.request('POST', '/api/orders', {
+            customerId: 1, paymentMethod: 'Cheque', items: [{ bookId: 1, quantity: 1 }, { bookId: 2, quantity: 0 }]
+        });
+        assert.equal(order.status, 400);
+        assert.deepEqual(fields(order.body), ['body.items[1].quantity', 'body.paymentMethod']);
+
+        const stock = await admin.request('PUT', '/api/books/abc/stock', { stockChange: 0 });
+        assert.deepEqual(fields(stock.body), ['body.stockChange', 'params.id']);
+    });
+
+    it('answers a malformed JSON body with 400 and no internals', async () => {
+        const { status, body } = await admin.request('POST', '/api/genres', '{"name": ');
+        assert.equal(status, 400);
+        assert.deepEqual(body, { error: 'Request body is not valid JSON.' });
+    });
+});
+
+describe('book covers', () => {
+    let server;
+    let admin;
+    let coversDir;
+    before(async () => {
+        coversDir = fs.mkdtempSync(path.join(os.tmpdir(), 'covers-'));
+        server = await startServer({ env: { COVERS_DIR: coversDir, COVER_MAX_BYTES: String(200 * 1024) } });
+        admin = server.client();
+        await admin.login(ADMIN.email, ADMIN.password);
+    });
+    after(async () => {
+        await server.stop();
+        fs.rmSync(coversDir, { recursive: true, force: true });
+    });
+
+    const coverForm = (data, type, name = 'cover.png') => {
+        const form = new FormData();
+        form.append('cover', new Blob([data], { type }), name);
+        return form;
+    };
+
+    it('stores an uploaded cover with a thumbnail and serves both', async () => {
+        const png = await sharp({ create: { width: 600, height: 900, channels: 3, background: '#336699' } }).png().toBuffer();
+        const uploaded = await admin.request('PUT', '/api/books/1/cover', coverForm(png, 'image/png'));
+        assert.equal(uploaded.status, 200);
+        assert.match(uploaded.body.BookCover, /^\/covers\/book-1-\w+\.jpg$/);
+
+        const { body: book } = await admin.request('GET', '/api/books/1');
+        assert.equal(book.BookCover, uploaded.body.BookCover);
+        assert.equal(book.CoverFile, undefined);
+        const thumbnail = await fetch(server.baseUrl + book.BookCoverThumb);
+        assert.equal(thumbnail.headers.get('content-type'), 'image/jpeg');
+        const { width, height } = await sharp(Buffer.from(await thumbnail.arrayBuffer())).metadata();
+        assert.deepEqual([width, height], [120, 180]);
+
+        const removed = await admin.request('DELETE', '/api/books/1/cover');
+        assert.match(removed.body.BookCover, /^https:\/\/covers\.openlibrary\.org\//);
+        assert.equal((await fetch(server.baseUrl + book.BookCover)).status, 404);
+        assert.deepEqual(fs.readdirSync(coversDir), []);
+    });
+
+    it('rejects files that are not images, whatever their type says, and oversized ones', async () => {
+        const fake = await admin.request('PUT', '/api/books/1/cover', coverForm('not an image', 'image/png'));
+        assert.equal(fake.status, 415);
+        const large = await admin.request('PUT', '/api/books/1/cover', coverForm(Buffer.alloc(300 * 1024), 'image/jpeg'));
+        assert.equal(large.status, 413);
+        assert.equal((await admin.request('PUT', '/api/books/1/cover', {})).status, 400);
+        assert.equal((await admin.request('DELETE', '/api/books/1/cover')).status, 404);
+    });
+});
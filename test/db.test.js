@@ -0,0 +1,135 @@
+// The data-access layer on its own: placeholder expansion, the SQLite driver's results
+// and error mapping, and the stored procedures it reimplements.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase, DB_ERRORS } = require('../lib/db');
+const { expandPlaceholders } = require('../lib/db/placeholders');
+
+describe('expandPlaceholders', () => {
+    const numbered = (sql, params) => {
+        const values = [];
+        const text = expandPlaceholders(sql, params, value => {
+            values.push(value);
+            return `$${values.length}`;
+        });
+        return { text, values };
+    };
+
+    it('binds one value per placeholder', () => {
+        assert.deepEqual(numbered('SELECT * FROM Books WHERE BookID = ? AND Stock > ?', [1, 0]), {
+            text: 'SELECT * FROM Books WHERE BookID = $1 AND Stock > $2',
+            values: [1, 0]
+        });
+    });
+
+    it('expands arrays into lists', () => {
+        assert.deepEqual(numbered('WHERE BookID IN (?)', [[4, 5, 6]]), {
+            text: 'WHERE BookID IN ($1, $2, $3)',
+            values: [4, 5, 6]
+        });
+        assert.deepEqual(numbered('VALUES ?', [[[1, 'a'], [2, 'b']]]).text, 'VALUES ($1, $2), ($3, $4)');
+        assert.equal(numbered('WHERE BookID IN (?)', [[]]).text, 'WHERE BookID IN (NULL)');
+    });
+
+    it('leaves question marks in strings, identifiers and comments alone', () => {
+        const { text, values } = numbered("SELECT '?', [a?], \"b?\" -- ?\nFROM T WHERE x = ? /* ? */", [7]);
+        assert.equal(text, "SELECT '?', [a?], \"b?\" -- ?\nFROM T WHERE x = $1 /* ? */");
+        assert.deepEqual(values, [7]);
+    });
+});
+
+describe('SQLite driver', () => {
+    let db;
+    before(async () => { db = await createDatabase({ client: 'sqlite', file: ':memory:', seed: true }); });
+    after(() => db.end());
+
+    it('seeds the sample data', async () => {
+        const [[counts]] = await db.query(`SELECT
+            (SELECT COUNT(*) FROM Books) AS books,
+            (SELECT COUNT(*) FROM Customers) AS customers,
+            (SELECT COUNT(*) FROM Orders) AS orders`);
+        assert.deepEqual({ ...counts }, { books: 50, customers: 50, orders: 50 });
+    });
+
+    it('returns DATE columns as Dates and reports writes like mysql2', async () => {
+        const [[author]] = await db.query('SELECT DOB FROM Authors WHERE AuthorID = ?', [1]);
+        assert.ok(author.DOB instanceof Date);
+
+        const [result] = await db.query('UPDATE Books SET Price = Price WHERE BookID IN (?)', [[1, 2, 3]]);
+        assert.equal(result.affectedRows, 3);
+    });
+
+    it('maps constraint failures to DB_ERRORS codes', async () => {
+        await assert.rejects(db.query('INSERT INTO Genres (Name) VALUES (?)', ['fantasy']),
+            { code: DB_ERRORS.DUPLICATE_ENTRY });
+        await assert.rejects(db.query('DELETE FROM Authors WHERE AuthorID = ?', [1]),
+            { code: DB_ERRORS.ROW_REFERENCED });
+        await assert.rejects(db.query('UPDATE Books SET AuthorID = ? WHERE BookID = ?', [9999, 1]),
+            { code: DB_ERRORS.MISSING_REFERENCE });
+        await assert.rejects(db.query('UPDATE Books SET Stock = ? WHERE BookID = ?', [-1, 1]),
+            { code: DB_ERRORS.CONSTRAINT_VIOLATION });
+        await assert.rejects(db.query('DELETE FROM StockMovements WHERE BookID = ?', [1]),
+            { code: DB_ERRORS.REJECTED });
+    });
+
+    it('runs UpdateBookStock and rejects a change below zero', async () => {
+        const [[{ Stock: before }]] = await db.query('SELECT Stock FROM Books WHERE BookID = ?', [1]);
+        await db.query(db.dialect.call('UpdateBookStock', 2), [1, -2]);
+        const [[{ Stock: after }]] = await db.query('SELECT Stock FROM Books WHERE BookID = ?', [1]);
+        assert.equal(after, before - 2);
+
+        await assert.rejects(db.query(db.dialect.call('UpdateBookStock', 2), [1, -100000]),
+            { code: DB_ERRORS.REJECTED });
+    });
+
+    it('runs PlaceOrder, taking stock only when there is enough', async () => {
+        const stockOf = async () => (await db.query('SELECT Stock FROM Books WHERE BookID = ?', [2]))[0][0].Stock;
+        const before = await stockOf();
+        const [[placed]] = await db.query(db.dialect.call('PlaceOrder', 4), [1, 2, 1, 'Cash']);
+        const [lines] = await db.query('SELECT BookID, Quantity FROM OrderDetails WHERE OrderID = ?', [placed.OrderID]);
+        assert.deepEqual(lines.map(line => ({ ...line })), [{ BookID: 2, Quantity: 1 }]);
+        const [[payment]] = await db.query('SELECT Amount FROM Payments WHERE OrderID = ?', [placed.OrderID]);
+        assert.equal(payment.Amount, placed.TotalAmount);
+        assert.equal(await stockOf(), before - 1);
+
+        await db.query(db.dialect.call('PlaceOrder', 4), [1, 2, 100000, 'Cash']);
+        assert.equal(await stockOf(), before - 1);
+    });
+
+    it('runs one transaction at a time and rolls back on release', async () => {
+        const stockOf = async target => (await target.query('SELECT Stock FROM Books WHERE BookID = ?', [10]))[0][0].Stock;
+        const original = await stockOf(db);
+        const first = await db.getConnection();
+        const second = await db.getConnection();
+        await first.beginTransaction();
+        let secondStarted = false;
+        const starting = second.beginTransaction().then(() => { secondStarted = true; });
+        await first.query('UPDATE Books SET Stock = Stock + 1 WHERE BookID = ?', [10]);
+        assert.equal(await stockOf(first), original + 1);
+        assert.equal(secondStarted, false);
+
+        first.release();
+        await starting;
+        assert.equal(await stockOf(second), original);
+        await second.commit();
+        second.release();
+    });
+
+    it('keeps pool writes made during a transaction out of its rollback', async () => {
+        const stockOf = async () => (await db.query('SELECT Stock FROM Books WHERE BookID = ?', [11]))[0][0].Stock;
+        const original = await stockOf();
+        const connection = await db.getConnection();
+        await connection.beginTransaction();
+        await connection.query('UPDATE Books SET Stock = Stock + 5 WHERE BookID = ?', [11]);
+        let written = false;
+        const writing = db.query('UPDATE Books SET Stock = Stock + 1 WHERE BookID = ?', [11])
+            .then(() => { written = true; });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(written, false);
+
+        await connection.rollback();
+        connection.release();
+        await writing;
+        assert.equal(await stockOf(), original + 1);
+    });
+});
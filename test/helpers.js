@@ -0,0 +1,95 @@
+// Starts server.js on a throwaway in-memory SQLite database with the sample data, and
+// gives the tests a fetch wrapper that keeps the session cookie like a browser would.
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+async function startServer({ env = {}, timeoutMs = 20000 } = {}) {
+    const port = await freePort();
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            DB_CLIENT: 'sqlite',
+            SQLITE_FILE: ':memory:',
+            SQLITE_SEED: 'true',
+            SESSION_SECRET: 'test-secret',
+            NOTIFICATION_TEMPLATES_FILE: '',
+            PORT: String(port),
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => fail(new Error(`Server did not start within ${timeoutMs} ms:\n${output}`)), timeoutMs);
+        const fail = err => {
+            clearTimeout(timer);
+            child.kill();
+            reject(err);
+        };
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('Server is running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.stderr.on('data', chunk => { output += chunk; });
+        child.on('exit', code => fail(new Error(`Server exited with code ${code}:\n${output}`)));
+    });
+
+    const baseUrl = `http://localhost:${port}`;
+    return {
+        baseUrl,
+        client: () => createClient(baseUrl),
+        stop: () => new Promise(resolve => {
+            if (child.exitCode !== null) return resolve();
+            child.once('exit', () => resolve());
+            child.kill();
+        })
+    };
+}
+
+// request(method, url, body) resolves to { status, body }; the body is parsed when it's JSON.
+// A FormData body is sent as multipart/form-data, anything else as JSON.
+function createClient(baseUrl) {
+    let cookie = '';
+    const request = async (method, url, body) => {
+        const isForm = body instanceof FormData;
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers: { ...(isForm ? {} : { 'Content-Type': 'application/json' }), ...(cookie ? { Cookie: cookie } : {}) },
+            body: body === undefined ? undefined : isForm ? body : JSON.stringify(body)
+        });
+        const setCookie = response.headers.get('set-cookie');
+        if (setCookie) cookie = setCookie.split(';')[0];
+        const text = await response.text();
+        const isJson = (response.headers.get('content-type') || '').includes('application/json');
+        return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+    };
+    return {
+        request,
+        login: (email, password) => request('POST', '/api/admin/login', { email, password })
+    };
+}
+
+const ADMIN = { email: 'super.admin@bookstore.com', password: 'AdminP@$$wOrd123!' };
+const CUSTOMER = { email: 'customer1@example.com', password: 'CustP@$$wOrd1!' };
+
+module.exports = { startServer, ADMIN, CUSTOMER };